@@ -1,6 +1,10 @@
-import { AgentSystem } from './components/AgentSystem.js';
+import { AgentSystem, MIN_AGENT_COUNT, MAX_AGENT_COUNT, MIN_CONNECT_DISTANCE, MAX_CONNECT_DISTANCE, TRAIL_MODES } from './components/AgentSystem.js';
+import { BEHAVIOR_PRESETS } from './utils/AgentBehaviors.js';
+import { PALETTES } from './utils/ColorPalettes.js';
 import { Logo } from './components/Logo.js';
 import { AudioManager } from './controllers/AudioManager.js';
+import { Playlist } from './controllers/Playlist.js';
+import { MediaSessionController } from './controllers/MediaSessionController.js';
 import { ThemeManager } from './controllers/ThemeManager.js';
 import { SplashScreen } from './components/SplashScreen.js';
 import { RetroWindow } from './components/RetroWindow.js';
@@ -16,6 +20,12 @@ import { Cylinder3D } from './components/Cylinder3D.js';
 import { Headline } from './components/Headline.js';
 import { AnimationController } from './controllers/AnimationController.js';
 import { ControlPanel } from './controllers/ControlPanel.js';
+import { downloadBlob, createExportName, getExtension } from './utils/FileExport.js';
+import { AVRecorder, CAPTURE_RESOLUTIONS, CAPTURE_FRAMERATES } from './utils/AVRecorder.js';
+import { OfflineRenderer } from './controllers/OfflineRenderer.js';
+import { FrameScheduler } from './controllers/FrameScheduler.js';
+import { PointerInput } from './controllers/PointerInput.js';
+import { LayerCompositor, BLEND_MODES } from './controllers/LayerCompositor.js';
 
 /**
  * Main App class for OMNIVOID - minimal experience with agents and logo
@@ -33,6 +43,21 @@ export class App {
     // Initialize audio manager
     this.audioManager = new AudioManager();
     
+    // Radio window transport state
+    this.loopPointA = null; // Pending A point of an A–B loop
+    this.importStatus = null; // Result of the last file import
+    
+    // Master recording state
+    this.recordWav = false;
+    this.recorderTimer = null;
+    this.recorderStatus = null; // Result of the last recording
+    this.videoRecorder = null;
+    this.videoCapture = { resolution: '720p', fps: 30 };
+    this.videoCaptureTimer = null;
+    this.videoCaptureStatus = null; // Result of the last capture or snapshot
+    this.offlineRenderer = null;
+    this.offlineRender = { url: null, fps: 30, resolution: '1080p', seed: '1', format: 'png' };
+    
     // Google Drive integration
     this.googleDriveConfig = GOOGLE_DRIVE_CONFIG;
     this.googleDriveConfig.log('AppMobile initialized with Google Drive integration');
@@ -68,12 +93,22 @@ export class App {
       this.splashScreen.log('📥 Audio system ready...', 35);
       this.googleDriveConfig.log('Audio system ready for Mixcloud integration');
       
+      // Local track queue driven by the bundled manifest
+      this.splashScreen.log('📜 Loading track manifest...', 40);
+      this.playlist = new Playlist(this.audioManager);
+      await this.playlist.loadManifest();
+      this.playlist.addChangeListener(() => this.renderLocalPlaylist());
+      this.audioManager.on('timeupdate', (detail) => this.updateTransportDisplay(detail));
+      this.mediaSession = new MediaSessionController(this.audioManager, this.playlist);
+      this.setupFileDrop();
+      
       this.splashScreen.log('✅ Audio ready', 45);
       this.googleDriveConfig.log('Audio system initialized for external audio sources');
 
       // Initialize visible components (AgentSystem, Logo only)
       this.splashScreen.log('✨ Loading visual elements...', 55);
       this.agentSystem = new AgentSystem(this.audioManager);
+      this.themeManager.addChangeListener(() => this.agentSystem.updateThemeColors());
       this.logo = new Logo(this.audioManager);
       
       // Initialize all other components but keep them hidden (for future use)
@@ -82,11 +117,30 @@ export class App {
       this.starfield = new Starfield();
       this.vectorGrid = new VectorGrid();
       this.asciiTunnel = new ASCIITunnel();
+      // Track titles fly through the tunnel among its text glyphs
+      const showTrackTitles = () => this.asciiTunnel.setWords(this.playlist.tracks.map(track => track.title));
+      this.playlist.addChangeListener(showTrackTitles);
+      showTrackTitles();
       this.cylinder3D = new Cylinder3D();
       this.grid = new Grid();
       this.solarSystem = new SolarSystem();
       this.headline = new Headline(this.audioManager);
       
+      // One animation loop drives every canvas layer; the compositor stacks them
+      this.pointerInput = new PointerInput();
+      this.frameScheduler = new FrameScheduler(this.audioManager, this.pointerInput);
+      this.compositor = new LayerCompositor(this.frameScheduler);
+      this.compositor.addLayer('agents', this.agentSystem, { name: 'Agents' });
+      this.compositor.addLayer('starfield', this.starfield, { name: 'Starfield' });
+      this.compositor.addLayer('vectorGrid', this.vectorGrid, { name: 'Vector Grid', muted: true });
+      this.compositor.addLayer('asciiTunnel', this.asciiTunnel, { name: 'ASCII Tunnel', muted: true });
+      this.compositor.addLayer('cylinder3D', this.cylinder3D, { name: '3D Cylinder', opacity: 0.8, muted: true });
+      // Opacity sliders update live, so redrawing the list would end the drag
+      this.compositor.addChangeListener((compositor, change) => {
+        if (change !== 'opacity') this.renderLayerList();
+      });
+      this.frameScheduler.start();
+      
       // Hide advanced visual layers but keep starfield visible
       this.hideAdvancedLayers();
       
@@ -120,13 +174,7 @@ export class App {
    * Hide advanced visual layers but keep starfield visible for minimal experience
    */
   hideAdvancedLayers() {
-    // Keep starfield visible - it's part of the minimal experience
-    this.starfield.setVisibility(true);
-    
-    // Hide other advanced layers
-    this.vectorGrid.setVisibility(false);
-    this.asciiTunnel.setVisibility(false);
-    this.cylinder3D.setVisibility(false);
+    // Canvas layers start muted in the compositor; hide the DOM-based ones
     this.grid.setVisibility(false);
     this.solarSystem.setVisibility(false);
     this.headline.setVisibility(false);
@@ -215,7 +263,7 @@ export class App {
     
     starfieldBtn.addEventListener('click', () => {
       const isVisible = this.starfield.isVisible;
-      this.starfield.setVisibility(!isVisible);
+      this.compositor.setMuted('starfield', isVisible);
       if (!isVisible) {
         starfieldBtn.classList.add('active');
         starfieldBtn.innerHTML = '✦';
@@ -273,7 +321,7 @@ export class App {
     
     asciiBtn.addEventListener('click', () => {
       const isVisible = this.asciiTunnel.isVisible;
-      this.asciiTunnel.setVisibility(!isVisible);
+      this.compositor.setMuted('asciiTunnel', isVisible);
       if (!isVisible) {
         asciiBtn.classList.add('active');
         asciiBtn.innerHTML = 'Ω';
@@ -652,15 +700,16 @@ export class App {
       });
     });
     
-    // Agent count control logic
+    // Agent count control logic; steps grow with the count so thousands stay reachable
+    const agentCountStep = count => (count < 100 ? 10 : count < 1000 ? 100 : 500);
     agentCountUpBtn.addEventListener('click', () => {
-      currentAgentCount = Math.min(150, currentAgentCount + 10);
+      currentAgentCount = Math.min(MAX_AGENT_COUNT, currentAgentCount + agentCountStep(currentAgentCount));
       this.agentSystem.setAgentCount(currentAgentCount);
       agentCountDisplay.textContent = currentAgentCount;
     });
     
     agentCountDownBtn.addEventListener('click', () => {
-      currentAgentCount = Math.max(20, currentAgentCount - 10);
+      currentAgentCount = Math.max(MIN_AGENT_COUNT, currentAgentCount - agentCountStep(currentAgentCount - 1));
       this.agentSystem.setAgentCount(currentAgentCount);
       agentCountDisplay.textContent = currentAgentCount;
     });
@@ -771,13 +820,13 @@ export class App {
     
     // Connection distance control logic
     connectionUpBtn.addEventListener('click', () => {
-      currentConnectionDistance = Math.min(200, currentConnectionDistance + 10);
+      currentConnectionDistance = Math.min(MAX_CONNECT_DISTANCE, currentConnectionDistance + 10);
       this.agentSystem.setConnectDistance(currentConnectionDistance);
       connectionDisplay.textContent = currentConnectionDistance;
     });
     
     connectionDownBtn.addEventListener('click', () => {
-      currentConnectionDistance = Math.max(50, currentConnectionDistance - 10);
+      currentConnectionDistance = Math.max(MIN_CONNECT_DISTANCE, currentConnectionDistance - 10);
       this.agentSystem.setConnectDistance(currentConnectionDistance);
       connectionDisplay.textContent = currentConnectionDistance;
     });
@@ -789,8 +838,363 @@ export class App {
     connectionContainer.appendChild(connectionLabel);
     connectionContainer.appendChild(connectionButtonsContainer);
     
+    // Behavior Preset Controls
+    const behaviorContainer = document.createElement('div');
+    behaviorContainer.className = 'dial-container';
+    behaviorContainer.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    `;
+    
+    const behaviorLabel = document.createElement('label');
+    behaviorLabel.innerHTML = '🧭';
+    behaviorLabel.title = 'Agent Behavior';
+    behaviorLabel.style.cssText = `
+      font-size: 12px;
+      color: #99ccff;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    
+    const behaviorButtonsContainer = document.createElement('div');
+    behaviorButtonsContainer.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    `;
+    
+    const behaviorButtonStyle = `
+      background: transparent;
+      border: 1px solid #99ccff;
+      color: #99ccff;
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 12px;
+      font-weight: bold;
+      transition: all 0.2s;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    
+    const behaviorPrevBtn = document.createElement('button');
+    behaviorPrevBtn.innerHTML = '‹';
+    behaviorPrevBtn.className = 'agent-btn';
+    behaviorPrevBtn.title = 'Previous Behavior';
+    behaviorPrevBtn.style.cssText = behaviorButtonStyle;
+    
+    const behaviorDisplay = document.createElement('div');
+    behaviorDisplay.className = 'behavior-display';
+    behaviorDisplay.style.cssText = `
+      color: #99ccff;
+      font-size: 9px;
+      font-family: 'Orbitron', sans-serif;
+      text-align: center;
+      min-width: 24px;
+      text-transform: uppercase;
+    `;
+    
+    const behaviorNextBtn = document.createElement('button');
+    behaviorNextBtn.innerHTML = '›';
+    behaviorNextBtn.className = 'agent-btn';
+    behaviorNextBtn.title = 'Next Behavior';
+    behaviorNextBtn.style.cssText = behaviorButtonStyle;
+    
+    // Behavior button hover effects
+    [behaviorPrevBtn, behaviorNextBtn].forEach(btn => {
+      btn.addEventListener('mouseenter', () => {
+        btn.style.backgroundColor = '#99ccff';
+        btn.style.color = '#000000';
+      });
+      
+      btn.addEventListener('mouseleave', () => {
+        btn.style.backgroundColor = 'transparent';
+        btn.style.color = '#99ccff';
+      });
+    });
+    
+    // Behavior preset control logic: step through the presets in order
+    const behaviorPresets = Object.keys(BEHAVIOR_PRESETS);
+    const showBehavior = () => {
+      const preset = BEHAVIOR_PRESETS[this.agentSystem.getBehaviorPreset()];
+      behaviorDisplay.textContent = preset.name;
+      behaviorLabel.title = `Agent Behavior: ${preset.name}`;
+    };
+    const stepBehavior = (direction) => {
+      const index = behaviorPresets.indexOf(this.agentSystem.getBehaviorPreset());
+      const next = (index + direction + behaviorPresets.length) % behaviorPresets.length;
+      this.agentSystem.setBehaviorPreset(behaviorPresets[next]);
+      showBehavior();
+    };
+    behaviorPrevBtn.addEventListener('click', () => stepBehavior(-1));
+    behaviorNextBtn.addEventListener('click', () => stepBehavior(1));
+    showBehavior();
+    
+    behaviorButtonsContainer.appendChild(behaviorPrevBtn);
+    behaviorButtonsContainer.appendChild(behaviorDisplay);
+    behaviorButtonsContainer.appendChild(behaviorNextBtn);
+    
+    behaviorContainer.appendChild(behaviorLabel);
+    behaviorContainer.appendChild(behaviorButtonsContainer);
+    
+    // Palette Controls: step through the named palettes, the last one is a custom gradient
+    const paletteContainer = document.createElement('div');
+    paletteContainer.className = 'dial-container';
+    paletteContainer.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    `;
+    
+    const paletteLabel = document.createElement('label');
+    paletteLabel.innerHTML = '🎨';
+    paletteLabel.title = 'Agent Palette';
+    paletteLabel.style.cssText = `
+      font-size: 12px;
+      color: #99ccff;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    
+    const paletteButtonsContainer = document.createElement('div');
+    paletteButtonsContainer.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    `;
+    
+    const palettePrevBtn = document.createElement('button');
+    palettePrevBtn.innerHTML = '‹';
+    palettePrevBtn.className = 'agent-btn';
+    palettePrevBtn.title = 'Previous Palette';
+    palettePrevBtn.style.cssText = behaviorButtonStyle;
+    
+    const paletteDisplay = document.createElement('div');
+    paletteDisplay.className = 'palette-display';
+    paletteDisplay.style.cssText = `
+      color: #99ccff;
+      font-size: 9px;
+      font-family: 'Orbitron', sans-serif;
+      text-align: center;
+      min-width: 24px;
+      text-transform: uppercase;
+    `;
+    
+    const paletteNextBtn = document.createElement('button');
+    paletteNextBtn.innerHTML = '›';
+    paletteNextBtn.className = 'agent-btn';
+    paletteNextBtn.title = 'Next Palette';
+    paletteNextBtn.style.cssText = behaviorButtonStyle;
+    
+    [palettePrevBtn, paletteNextBtn].forEach(btn => {
+      btn.addEventListener('mouseenter', () => {
+        btn.style.backgroundColor = '#99ccff';
+        btn.style.color = '#000000';
+      });
+      
+      btn.addEventListener('mouseleave', () => {
+        btn.style.backgroundColor = 'transparent';
+        btn.style.color = '#99ccff';
+      });
+    });
+    
+    // Custom gradient stops, low to high frequency; shown only for the custom palette
+    const customColorsContainer = document.createElement('div');
+    customColorsContainer.style.cssText = `
+      display: none;
+      align-items: center;
+      gap: 2px;
+    `;
+    
+    const customColorInputs = ['#1f3d5c', '#99ccff', '#ff1493'].map((color, i) => {
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.value = color;
+      input.title = ['Low', 'Mid', 'High'][i] + ' Frequency Color';
+      input.style.cssText = `
+        width: 18px;
+        height: 18px;
+        padding: 0;
+        border: 1px solid #99ccff;
+        border-radius: 50%;
+        background: transparent;
+        cursor: pointer;
+      `;
+      input.addEventListener('input', () => {
+        this.agentSystem.setCustomPalette(customColorInputs.map(colorInput => colorInput.value));
+      });
+      customColorsContainer.appendChild(input);
+      return input;
+    });
+    
+    const paletteNames = Object.keys(PALETTES).concat('custom');
+    const showPalette = () => {
+      const name = this.agentSystem.getPalette();
+      const displayName = name === 'custom' ? 'Custom' : PALETTES[name].name;
+      paletteDisplay.textContent = displayName;
+      paletteLabel.title = `Agent Palette: ${displayName}`;
+      customColorsContainer.style.display = name === 'custom' ? 'flex' : 'none';
+    };
+    const stepPalette = (direction) => {
+      const index = paletteNames.indexOf(this.agentSystem.getPalette());
+      const next = paletteNames[(index + direction + paletteNames.length) % paletteNames.length];
+      if (next === 'custom') {
+        this.agentSystem.setCustomPalette(customColorInputs.map(colorInput => colorInput.value));
+      } else {
+        this.agentSystem.setPalette(next);
+      }
+      showPalette();
+    };
+    palettePrevBtn.addEventListener('click', () => stepPalette(-1));
+    paletteNextBtn.addEventListener('click', () => stepPalette(1));
+    showPalette();
+    
+    paletteButtonsContainer.appendChild(palettePrevBtn);
+    paletteButtonsContainer.appendChild(paletteDisplay);
+    paletteButtonsContainer.appendChild(paletteNextBtn);
+    
+    paletteContainer.appendChild(paletteLabel);
+    paletteContainer.appendChild(paletteButtonsContainer);
+    paletteContainer.appendChild(customColorsContainer);
+    
+    // Touch Mode Control: presses pull agents in or push them away
+    const touchContainer = document.createElement('div');
+    touchContainer.className = 'dial-container';
+    touchContainer.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    `;
+    
+    const touchLabel = document.createElement('label');
+    touchLabel.innerHTML = '✋';
+    touchLabel.title = 'Touch: pull or push agents, drag to fling, long-press for a burst, pinch for connection distance';
+    touchLabel.style.cssText = `
+      font-size: 12px;
+      color: #99ccff;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    
+    // Pill-shaped toggle buttons shared by the touch, trail and lifecycle controls
+    const toggleButtonStyle = `
+      background: transparent;
+      border: 1px solid #99ccff;
+      color: #99ccff;
+      height: 24px;
+      padding: 0 8px;
+      border-radius: 12px;
+      cursor: pointer;
+      font-size: 9px;
+      font-weight: bold;
+      transition: all 0.2s;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    
+    const touchModeBtn = document.createElement('button');
+    touchModeBtn.className = 'agent-toggle-btn';
+    touchModeBtn.title = 'Toggle Pull/Push';
+    touchModeBtn.style.cssText = toggleButtonStyle;
+    
+    const showTouchMode = () => {
+      touchModeBtn.textContent = this.agentSystem.getPointerMode() === 'repel' ? 'PUSH' : 'PULL';
+    };
+    touchModeBtn.addEventListener('click', () => {
+      this.agentSystem.setPointerMode(this.agentSystem.getPointerMode() === 'repel' ? 'attract' : 'repel');
+      showTouchMode();
+    });
+    showTouchMode();
+    
+    touchContainer.appendChild(touchLabel);
+    touchContainer.appendChild(touchModeBtn);
+    
+    // Trail and Lifecycle Controls
+    const lifeContainer = document.createElement('div');
+    lifeContainer.className = 'dial-container';
+    lifeContainer.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    `;
+    
+    const lifeLabel = document.createElement('label');
+    lifeLabel.innerHTML = '〰️';
+    lifeLabel.title = 'Trails and Lifecycles';
+    lifeLabel.style.cssText = `
+      font-size: 12px;
+      color: #99ccff;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    
+    const trailBtn = document.createElement('button');
+    trailBtn.className = 'agent-toggle-btn';
+    trailBtn.title = 'Trails: off, history lines or fading persistence';
+    trailBtn.style.cssText = toggleButtonStyle;
+    
+    const lifeBtn = document.createElement('button');
+    lifeBtn.className = 'agent-toggle-btn';
+    lifeBtn.title = 'Lifecycles: agents are born and die, onsets spawn more';
+    lifeBtn.style.cssText = toggleButtonStyle;
+    
+    const trailLabels = { off: 'NO TRAIL', history: 'TRAIL', persistence: 'FADE' };
+    const showLifeControls = () => {
+      trailBtn.textContent = trailLabels[this.agentSystem.getTrailMode()];
+      lifeBtn.textContent = this.agentSystem.getLifecycles() ? 'LIFE ON' : 'LIFE OFF';
+    };
+    trailBtn.addEventListener('click', () => {
+      const index = TRAIL_MODES.indexOf(this.agentSystem.getTrailMode());
+      this.agentSystem.setTrailMode(TRAIL_MODES[(index + 1) % TRAIL_MODES.length]);
+      showLifeControls();
+    });
+    lifeBtn.addEventListener('click', () => {
+      this.agentSystem.setLifecycles(!this.agentSystem.getLifecycles());
+      showLifeControls();
+    });
+    showLifeControls();
+    
+    // Toggle button hover effects
+    [touchModeBtn, trailBtn, lifeBtn].forEach(btn => {
+      btn.addEventListener('mouseenter', () => {
+        btn.style.backgroundColor = '#99ccff';
+        btn.style.color = '#000000';
+      });
+      
+      btn.addEventListener('mouseleave', () => {
+        btn.style.backgroundColor = 'transparent';
+        btn.style.color = '#99ccff';
+      });
+    });
+    
+    lifeContainer.appendChild(lifeLabel);
+    lifeContainer.appendChild(trailBtn);
+    lifeContainer.appendChild(lifeBtn);
+    
+    // Long-press bursts and pinches change these outside the buttons
+    this.agentSystem.addChangeListener((agentSystem, change) => {
+      if (change === 'count') {
+        currentAgentCount = agentSystem.getAgentCount();
+        agentCountDisplay.textContent = currentAgentCount;
+      } else if (change === 'connectDistance') {
+        currentConnectionDistance = agentSystem.getBaseConnectDistance();
+        connectionDisplay.textContent = currentConnectionDistance;
+      }
+    });
+    
     agentContainer.appendChild(agentCountContainer);
     agentContainer.appendChild(connectionContainer);
+    agentContainer.appendChild(behaviorContainer);
+    agentContainer.appendChild(paletteContainer);
+    agentContainer.appendChild(touchContainer);
+    agentContainer.appendChild(lifeContainer);
     
     document.body.appendChild(agentContainer);
     this.agentContainer = agentContainer;
@@ -861,7 +1265,9 @@ export class App {
         }
         
         .agent-count-display,
-        .connection-display {
+        .connection-display,
+        .behavior-display,
+        .palette-display {
           font-size: 6px !important;
           min-width: 18px !important;
         }
@@ -1110,7 +1516,9 @@ export class App {
         }
         
         .agent-count-display,
-        .connection-display {
+        .connection-display,
+        .behavior-display,
+        .palette-display {
           font-size: 6px !important;
           min-width: 18px !important;
         }
@@ -1264,7 +1672,10 @@ export class App {
       { text: 'Radio', icon: './public/menuicons/radio.png', window: 'radio', isImage: true },
       { text: 'Gallery', icon: './public/menuicons/gallery.png', window: 'gallery', isImage: true },
       { text: 'Contact', icon: './public/menuicons/contact.png', window: 'contact', isImage: true },
-      { text: 'LATEST GIG', icon: './public/menuicons/gigs.png', window: 'latest-gig', isImage: true }
+      { text: 'LATEST GIG', icon: './public/menuicons/gigs.png', window: 'latest-gig', isImage: true },
+      { text: 'Effects', icon: 'FX', window: 'effects', isImage: false },
+      { text: 'Layers', icon: 'LYR', window: 'layers', isImage: false },
+      { text: 'Record', icon: 'REC', window: 'record', isImage: false }
     ];
 
     // Create retro windows for each menu item
@@ -1375,6 +1786,17 @@ export class App {
             }, 100);
           }
           
+          // Effects controls are built once the audio graph exists
+          if (item.window === 'effects') {
+            this.createEffectsControls();
+          }
+          if (item.window === 'record') {
+            this.createRecorderControls();
+          }
+          if (item.window === 'layers') {
+            this.renderLayerList();
+          }
+          
           console.log(`🔓 Showing window: ${item.window}`);
           this.retroWindows[item.window].show();
           
@@ -2148,11 +2570,373 @@ export class App {
             </div>
           </div>`;
 
+      case 'effects':
+        return `
+          <div style="border: 1px inset #333333; padding: 12px; margin-bottom: 12px; background: #0a0a0a; color: #99ccff;">
+            <h3 style="margin: 0 0 8px 0; font-size: 12px; font-weight: bold; color: #99ccff;">MASTER EFFECTS</h3>
+            <p style="margin: 0 0 8px 0; font-size: 10px; color: #66aaff;">
+              EQ → Filter → Delay → Reverb → Limiter. Delay follows the detected tempo.
+            </p>
+            <div id="effects-rack-controls" style="font-size: 10px;"></div>
+          </div>`;
+
+      case 'layers':
+        return `
+          <div style="border: 1px inset #333333; padding: 12px; margin-bottom: 12px; background: #0a0a0a; color: #99ccff;">
+            <h3 style="margin: 0 0 8px 0; font-size: 12px; font-weight: bold; color: #99ccff;">LAYERS</h3>
+            <p style="margin: 0 0 8px 0; font-size: 10px; color: #66aaff;">
+              Top of the list draws on top. S solos a layer, M mutes it; hidden layers are not rendered.
+            </p>
+            <div id="layer-list" style="font-size: 10px;"></div>
+          </div>`;
+
+      case 'record':
+        return `
+          <div style="border: 1px inset #333333; padding: 12px; margin-bottom: 12px; background: #0a0a0a; color: #99ccff;">
+            <h3 style="margin: 0 0 8px 0; font-size: 12px; font-weight: bold; color: #99ccff;">RECORD SET</h3>
+            <p style="margin: 0 0 8px 0; font-size: 10px; color: #66aaff;">
+              Captures the master output with effects and live input. Files download when you stop.
+            </p>
+            <div id="recorder-status" style="font-size: 11px; margin-bottom: 8px; color: #99ccff;">Ready</div>
+            <div id="recorder-controls" style="font-size: 10px;"></div>
+          </div>
+          <div style="border: 1px inset #333333; padding: 12px; margin-bottom: 12px; background: #0a0a0a; color: #99ccff;">
+            <h3 style="margin: 0 0 8px 0; font-size: 12px; font-weight: bold; color: #99ccff;">RECORD VIDEO</h3>
+            <p style="margin: 0 0 8px 0; font-size: 10px; color: #66aaff;">
+              Composites every visible layer with the master audio. Snapshots save a PNG still.
+            </p>
+            <div id="video-capture-status" style="font-size: 11px; margin-bottom: 8px; color: #99ccff;">Ready</div>
+            <div id="video-capture-controls" style="font-size: 10px;"></div>
+          </div>
+          <div style="border: 1px inset #333333; padding: 12px; margin-bottom: 12px; background: #0a0a0a; color: #99ccff;">
+            <h3 style="margin: 0 0 8px 0; font-size: 12px; font-weight: bold; color: #99ccff;">OFFLINE RENDER</h3>
+            <p style="margin: 0 0 8px 0; font-size: 10px; color: #66aaff;">
+              Renders a track frame by frame from its analysed audio. The same seed gives the same frames every time.
+            </p>
+            <div id="offline-render-status" style="font-size: 11px; margin-bottom: 8px; color: #99ccff;">Ready</div>
+            <div id="offline-render-controls" style="font-size: 10px;"></div>
+          </div>`;
+
       default:
         return '<p style="font-size: 11px; padding: 12px; color: #99ccff; background: #0a0a0a;">Content loading...</p>';
     }
   }
 
+  /**
+   * Build the recording controls once the audio graph exists
+   */
+  async createRecorderControls() {
+    if (this.recorderControlPanel) return;
+    await this.audioManager.initializeAudioContext();
+    if (this.recorderControlPanel || !document.getElementById('recorder-controls')) return;
+    
+    const panel = new ControlPanel('recorder-controls');
+    this.recorderControlPanel = panel;
+    panel.addCheckbox('rec-wav', 'Also save WAV (lossless, large)', this.recordWav, (checked) => {
+      this.recordWav = checked;
+    });
+    panel.addButton('rec-toggle', '● REC', () => this.toggleRecording());
+    panel.addButton('rec-stop', '■ STOP', () => this.stopRecording());
+    this.updateRecorderStatus();
+    
+    // Video shares the master stream so picture and sound come from one source
+    this.videoRecorder = new AVRecorder(this.audioManager.recorder.streamDestination.stream, this.frameScheduler);
+    const videoPanel = new ControlPanel('video-capture-controls');
+    const resolutions = Object.entries(CAPTURE_RESOLUTIONS).map(([id, resolution]) => ({ id, name: resolution.name }));
+    videoPanel.addSelect('video-resolution', 'Size', resolutions, this.videoCapture.resolution, (value) => {
+      this.videoCapture.resolution = value;
+    });
+    videoPanel.addSelect('video-fps', 'FPS', CAPTURE_FRAMERATES.map(String), String(this.videoCapture.fps), (value) => {
+      this.videoCapture.fps = Number(value);
+    });
+    videoPanel.addButton('video-toggle', '● REC VIDEO', () => this.toggleVideoCapture());
+    videoPanel.addButton('video-stop', '■ STOP VIDEO', () => this.stopVideoCapture());
+    videoPanel.addButton('video-snapshot', '📷 SNAPSHOT', () => this.takeSnapshot());
+    this.updateVideoCaptureStatus();
+
+    this.offlineRenderer = new OfflineRenderer(this.audioManager, this.frameScheduler);
+    const renderPanel = new ControlPanel('offline-render-controls');
+    const tracks = this.playlist ? this.playlist.tracks.map(track => ({ id: track.url, name: track.title })) : [];
+    this.offlineRender.url = this.offlineRender.url || (tracks[0] && tracks[0].id);
+    renderPanel.addSelect('render-track', 'Track', tracks, this.offlineRender.url, (value) => {
+      this.offlineRender.url = value;
+    });
+    renderPanel.addSelect('render-resolution', 'Size', resolutions, this.offlineRender.resolution, (value) => {
+      this.offlineRender.resolution = value;
+    });
+    renderPanel.addSelect('render-fps', 'FPS', ['30', '60'], String(this.offlineRender.fps), (value) => {
+      this.offlineRender.fps = Number(value);
+    });
+    renderPanel.addSelect('render-format', 'Output', [
+      // Without folder access the frames collect in a ZIP in memory
+      { id: 'png', name: window.showDirectoryPicker ? 'PNG sequence' : 'PNG sequence (ZIP, short clips)' },
+      { id: 'webm', name: 'WebM (real time)' }
+    ], this.offlineRender.format, (value) => {
+      this.offlineRender.format = value;
+    });
+    renderPanel.addTextInput('render-seed', 'Seed', this.offlineRender.seed, (value) => {
+      this.offlineRender.seed = value;
+    });
+    renderPanel.addButton('render-start', '▶ RENDER', () => this.startOfflineRender());
+    renderPanel.addButton('render-cancel', '■ CANCEL', () => this.offlineRenderer.cancel());
+  }
+
+  /**
+   * Render the selected track offline and download the result
+   */
+  async startOfflineRender() {
+    const status = document.getElementById('offline-render-status');
+    const setStatus = (text, color = '#99ccff') => {
+      if (!status) return;
+      status.textContent = text;
+      status.style.color = color;
+    };
+    const { url, fps, resolution, format } = this.offlineRender;
+    if (!url) {
+      setStatus('No track to render', '#ffaa00');
+      return;
+    }
+
+    // Any text works as a seed; the renderer hashes it
+    const seed = this.offlineRender.seed.trim() || '1';
+    const stages = { analyse: 'Analysing', render: 'Rendering' };
+
+    try {
+      const result = await this.offlineRenderer.render({
+        url, fps, seed, resolution, format,
+        onProgress: (stage, progress) => setStatus(`${stages[stage]} ${Math.round(progress * 100)}%`, '#ff4444')
+      });
+      if (!result) {
+        setStatus('Render cancelled', '#ffaa00');
+        return;
+      }
+      if (!result.blob) {
+        setStatus(`Saved ${result.frameCount} frames to the chosen folder`);
+        return;
+      }
+
+      const extension = format === 'png' ? 'zip' : getExtension(result.blob.type);
+      const filename = createExportName('omnivoid-render', extension);
+      downloadBlob(result.blob, filename);
+      setStatus(`Saved ${result.frameCount} frames: ${filename} (${(result.blob.size / (1024 * 1024)).toFixed(1)} MB)`);
+    } catch (error) {
+      console.error('❌ Offline render failed:', error);
+      setStatus(error.name === 'AbortError' ? 'Render cancelled' : `Render failed: ${error.message}`, '#ffaa00');
+    }
+  }
+
+  /**
+   * Start, pause or resume the video capture
+   */
+  toggleVideoCapture() {
+    const recorder = this.videoRecorder;
+    if (recorder.state === 'recording') {
+      recorder.pause();
+    } else if (recorder.state === 'paused') {
+      recorder.resume();
+    } else {
+      this.videoCaptureStatus = null;
+      if (!recorder.start(this.videoCapture)) {
+        this.videoCaptureStatus = 'Video capture is not supported in this browser';
+      } else if (!this.videoCaptureTimer) {
+        this.videoCaptureTimer = setInterval(() => this.updateVideoCaptureStatus(), 250);
+      }
+    }
+    this.updateVideoCaptureStatus();
+  }
+
+  /**
+   * Stop the video capture and download the file
+   */
+  async stopVideoCapture() {
+    const result = await this.videoRecorder.stop();
+    clearInterval(this.videoCaptureTimer);
+    this.videoCaptureTimer = null;
+    if (!result) return;
+    
+    const filename = createExportName('omnivoid-video', getExtension(result.video.type));
+    downloadBlob(result.video, filename);
+    this.videoCaptureStatus = `Saved ${this.formatDuration(result.duration)}: ${filename} (${(result.video.size / (1024 * 1024)).toFixed(1)} MB)`;
+    this.updateVideoCaptureStatus();
+  }
+
+  /**
+   * Save the current frame as a PNG at the selected size
+   */
+  async takeSnapshot() {
+    try {
+      const image = await this.videoRecorder.snapshot(this.videoCapture.resolution);
+      const filename = createExportName('omnivoid-still', 'png');
+      downloadBlob(image, filename);
+      this.videoCaptureStatus = `Saved ${filename}`;
+    } catch (error) {
+      console.error('❌ Snapshot failed:', error);
+      this.videoCaptureStatus = 'Snapshot failed';
+    }
+    this.updateVideoCaptureStatus();
+  }
+
+  /**
+   * Show video capture state and elapsed time
+   */
+  updateVideoCaptureStatus() {
+    const recorder = this.videoRecorder;
+    const status = document.getElementById('video-capture-status');
+    const toggle = document.getElementById('video-toggle');
+    if (!recorder || !status) return;
+    
+    const labels = { inactive: '● REC VIDEO', recording: '❚❚ PAUSE', paused: '● RESUME' };
+    if (toggle) toggle.textContent = labels[recorder.state];
+    
+    if (recorder.state === 'inactive') {
+      status.textContent = this.videoCaptureStatus || 'Ready';
+      status.style.color = '#99ccff';
+    } else {
+      status.textContent = `${recorder.state === 'recording' ? '● REC' : '❚❚ PAUSED'} ${this.formatDuration(recorder.elapsed)}`;
+      status.style.color = recorder.state === 'recording' ? '#ff4444' : '#ffaa00';
+    }
+  }
+
+  /**
+   * Start, pause or resume the master recording
+   */
+  async toggleRecording() {
+    const recorder = this.audioManager.recorder;
+    if (recorder.state === 'recording') {
+      recorder.pause();
+    } else if (recorder.state === 'paused') {
+      recorder.resume();
+    } else {
+      this.recorderStatus = null;
+      const started = await recorder.start({ wav: this.recordWav });
+      if (!started) {
+        this.recorderStatus = 'Recording is not supported in this browser';
+      } else if (!this.recorderTimer) {
+        this.recorderTimer = setInterval(() => this.updateRecorderStatus(), 250);
+      }
+    }
+    this.updateRecorderStatus();
+  }
+
+  /**
+   * Stop the recording and download the files
+   */
+  async stopRecording() {
+    const result = await this.audioManager.recorder.stop();
+    clearInterval(this.recorderTimer);
+    this.recorderTimer = null;
+    if (!result) return;
+    
+    const saved = [];
+    const date = new Date();
+    [result.audio, result.wav].filter(Boolean).forEach(blob => {
+      const filename = createExportName('omnivoid-set', getExtension(blob.type), date);
+      downloadBlob(blob, filename);
+      saved.push(`${filename} (${(blob.size / (1024 * 1024)).toFixed(1)} MB)`);
+    });
+    this.recorderStatus = `Saved ${this.formatDuration(result.duration)}: ${saved.join(', ')}`;
+    this.updateRecorderStatus();
+  }
+
+  /**
+   * Show recording state and elapsed time
+   */
+  updateRecorderStatus() {
+    const recorder = this.audioManager.recorder;
+    const status = document.getElementById('recorder-status');
+    const toggle = document.getElementById('rec-toggle');
+    if (!recorder || !status) return;
+    
+    const labels = { inactive: '● REC', recording: '❚❚ PAUSE', paused: '● RESUME' };
+    if (toggle) toggle.textContent = labels[recorder.state];
+    
+    if (recorder.state === 'inactive') {
+      status.textContent = this.recorderStatus || 'Ready';
+      status.style.color = '#99ccff';
+    } else {
+      status.textContent = `${recorder.state === 'recording' ? '● REC' : '❚❚ PAUSED'} ${this.formatDuration(recorder.elapsed)}`;
+      status.style.color = recorder.state === 'recording' ? '#ff4444' : '#ffaa00';
+    }
+  }
+
+  /**
+   * Build the effects rack controls (bypass, wet/dry and every parameter)
+   */
+  createEffectsControls() {
+    const rack = this.audioManager.effectsRack;
+    if (this.effectsControlPanel || !rack) return;
+    
+    const panel = new ControlPanel('effects-rack-controls');
+    this.effectsControlPanel = panel;
+    
+    // Frequency parameters use a logarithmic 0-100 slider
+    const toPosition = (param, value) => Math.round(100 * Math.log(value / param.min) / Math.log(param.max / param.min));
+    const fromPosition = (param, position) => param.min * Math.pow(param.max / param.min, position / 100);
+    
+    // Some choices reset other parameters (e.g. filter type reopens the cutoff)
+    const syncSliders = (effect) => {
+      Object.entries(effect.params).forEach(([name, param]) => {
+        const control = panel.controls.get(`fx-${effect.id}-${name}`);
+        if (!control || !control.slider) return;
+        const isLog = param.scale === 'log';
+        control.slider.value = isLog ? toPosition(param, param.value) : param.value;
+        control.valueSpan.textContent = isLog ? `${Math.round(param.value)} ${param.unit}` : param.value;
+      });
+    };
+    
+    // Loudness normalization trims each track before the rack
+    const normalization = this.audioManager.normalization;
+    panel.addHeading('Loudness');
+    panel.addCheckbox('fx-normalize', 'Normalize', normalization.enabled, (checked) => this.audioManager.setNormalization({ enabled: checked }));
+    panel.addSelect('fx-normalize-target', 'Target', [
+      { id: '-23', name: '-23 LUFS (EBU R128)' },
+      { id: '-16', name: '-16 LUFS' },
+      { id: '-14', name: '-14 LUFS (Streaming)' }
+    ], String(normalization.targetLufs), (value) => this.audioManager.setNormalization({ targetLufs: Number(value) }));
+    panel.addSeparator();
+    
+    rack.getEffects().forEach(effect => {
+      const id = effect.id;
+      panel.addHeading(effect.name);
+      panel.addCheckbox(`fx-${id}-on`, 'Enabled', !effect.bypassed, (checked) => rack.setBypass(id, !checked));
+      panel.addSlider(`fx-${id}-mix`, 'Wet/Dry', 0, 100, Math.round(effect.mix * 100), 1, (value) => rack.setMix(id, value / 100));
+      
+      Object.entries(effect.params).forEach(([name, param]) => {
+        const controlId = `fx-${id}-${name}`;
+        if (param.options) {
+          panel.addSelect(controlId, param.label, param.options, param.value, (value) => {
+            rack.setParam(id, name, value);
+            syncSliders(effect);
+          });
+        } else if (param.scale === 'log') {
+          panel.addSlider(controlId, param.label, 0, 100, toPosition(param, param.value), 1, (position) => {
+            rack.setParam(id, name, fromPosition(param, position), 0.05);
+            syncSliders(effect);
+          });
+        } else {
+          // Short ramps keep slider moves free of zipper noise
+          panel.addSlider(controlId, param.label, param.min, param.max, param.value, param.step, (value) => rack.setParam(id, name, value, 0.05));
+        }
+      });
+      
+      if (id === 'filter') {
+        // One-bar sweeps at the detected tempo
+        const sweep = (to) => {
+          const cutoff = effect.params.cutoff;
+          const bar = 4 * 60 / (this.audioManager.beatDetector.bpm || 120);
+          rack.setBypass('filter', false);
+          panel.controls.get('fx-filter-on').checkbox.checked = true;
+          rack.sweep('filter', 'cutoff', cutoff.value, to, bar);
+          syncSliders(effect);
+        };
+        panel.addButton('fx-filter-sweep-down', 'Sweep ↓', () => sweep(effect.params.type.value === 'lowpass' ? 200 : 20));
+        panel.addButton('fx-filter-sweep-up', 'Sweep ↑', () => sweep(effect.params.type.value === 'lowpass' ? 20000 : 2000));
+      }
+      panel.addSeparator();
+      syncSliders(effect);
+    });
+  }
+
   /**
    * Create live transmissions content with YouTube videos
    */
@@ -2201,6 +2985,26 @@ export class App {
         </div>
       </div>
       
+      <!-- Input Source -->
+      <div style="border: 1px inset #333333; padding: 8px; background: #0a0a0a; margin-bottom: 8px;">
+        <div style="background: #99ccff; color: #000; padding: 2px 4px; font-size: 10px; font-weight: bold; margin-bottom: 8px;">
+          Input Source
+        </div>
+        <div id="input-source">
+          ${this.createInputSourceMarkup()}
+        </div>
+      </div>
+      
+      <!-- Local Archive Playlist -->
+      <div style="border: 1px inset #333333; padding: 8px; background: #0a0a0a; margin-bottom: 8px;">
+        <div style="background: #99ccff; color: #000; padding: 2px 4px; font-size: 10px; font-weight: bold; margin-bottom: 8px;">
+          Local Archive
+        </div>
+        <div id="local-playlist">
+          ${this.createLocalPlaylistMarkup()}
+        </div>
+      </div>
+      
       <!-- Mixcloud Widget Container -->
       <div style="border: 1px inset #333333; padding: 8px; background: #0a0a0a; margin-bottom: 8px;">
         <div style="background: #99ccff; color: #000; padding: 2px 4px; font-size: 10px; font-weight: bold; margin-bottom: 8px;">
@@ -2232,7 +3036,7 @@ export class App {
           <div style="font-size: 8px; color: #999; line-height: 1.3;">
             1. Play music in Mixcloud widget above<br>
             2. Visual effects will respond to Mixcloud stream<br>
-            3. No microphone access - Mixcloud only
+            3. The widget cannot be captured - for live gigs switch Input Source to Live Input
           </div>
           <button onclick="window.omnivoidApp.manualAudioCapture()" style="
             margin-top: 6px;
@@ -2283,6 +3087,436 @@ export class App {
     return content;
   }
 
+  /**
+   * Create markup for the local archive transport and queue
+   * @returns {string} HTML string
+   */
+  createLocalPlaylistMarkup() {
+    const importControls = `
+      <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 6px; font-size: 9px; color: #999;">
+        <button onclick="window.omnivoidApp.openFilePicker()" style="
+          padding: 4px 8px;
+          background: transparent;
+          color: #99ccff;
+          border: 1px solid #99ccff;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 9px;
+          font-family: 'Orbitron', sans-serif;
+        ">📂 ADD FILES</button>
+        <span>${this.importStatus ? this.escapeHtml(this.importStatus) : 'or drop MP3/WAV/OGG/FLAC/M4A anywhere'}</span>
+      </div>`;
+    
+    if (!this.playlist || this.playlist.queue.length === 0) {
+      return importControls + '<div style="font-size: 9px; color: #999;">No local tracks available</div>';
+    }
+    
+    const playlist = this.playlist;
+    const current = playlist.getCurrentTrack();
+    const isPlaying = this.audioManager.isPlaying;
+    const buttonStyle = `
+      padding: 4px 8px;
+      background: transparent;
+      color: #99ccff;
+      border: 1px solid #99ccff;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 9px;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    const activeButtonStyle = buttonStyle + 'background: #99ccff; color: #000;';
+    const repeatLabels = { off: '⟳ OFF', all: '⟳ ALL', one: '⟳ ONE' };
+    const crossfadeOptions = [0, 2, 4, 8, 12].map(seconds => `
+      <option value="${seconds}" ${seconds === this.audioManager.crossfadeDuration ? 'selected' : ''}>
+        ${seconds === 0 ? 'Gapless' : `${seconds}s`}
+      </option>`).join('');
+    const rateOptions = [0.5, 0.75, 1, 1.25, 1.5, 2].map(rate => `
+      <option value="${rate}" ${rate === this.audioManager.playbackRate ? 'selected' : ''}>${rate}x</option>`).join('');
+    const loop = this.audioManager.loop;
+    const loopLabel = loop
+      ? `${this.formatDuration(loop.start)} → ${this.formatDuration(loop.end)}`
+      : (this.loopPointA !== null ? `A ${this.formatDuration(this.loopPointA)} → ?` : 'Off');
+    const modeLabels = { auto: 'Auto', stream: 'Stream', buffer: 'Decode' };
+    const modeOptions = Object.entries(modeLabels).map(([mode, label]) => `
+      <option value="${mode}" ${mode === this.audioManager.playbackMode ? 'selected' : ''}>${label}</option>`).join('');
+    
+    const rows = playlist.queue.map((track, index) => {
+      const isCurrent = track === current;
+      return `
+        <div style="display: flex; align-items: center; gap: 4px; padding: 2px 4px; font-size: 9px; ${isCurrent ? 'background: #1a1a1a; color: #66ff66;' : 'color: #99ccff;'}">
+          <span onclick="window.omnivoidApp.playlist.playAt(${index})" style="flex: 1; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+            ${isCurrent ? '▶' : String(index + 1).padStart(2, '0')} ${this.escapeHtml(track.title)}
+          </span>
+          ${track.duration ? `<span style="color: #666;">${this.formatDuration(track.duration)}</span>` : ''}
+          <span onclick="window.omnivoidApp.playlist.moveTrack(${index}, ${index - 1})" title="Move up" style="cursor: pointer; color: #66aaff;">▲</span>
+          <span onclick="window.omnivoidApp.playlist.moveTrack(${index}, ${index + 1})" title="Move down" style="cursor: pointer; color: #66aaff;">▼</span>
+        </div>`;
+    }).join('');
+    
+    return importControls + `
+      <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 6px;">
+        <button onclick="window.omnivoidApp.playlist.previous()" style="${buttonStyle}">⏮</button>
+        <button onclick="window.omnivoidApp.playlist.togglePlayback()" style="${buttonStyle}">${isPlaying ? '⏸' : '▶'}</button>
+        <button onclick="window.omnivoidApp.playlist.next()" style="${buttonStyle}">⏭</button>
+        <button onclick="window.omnivoidApp.playlist.setShuffle(!window.omnivoidApp.playlist.shuffle)" style="${playlist.shuffle ? activeButtonStyle : buttonStyle}">🔀 SHUFFLE</button>
+        <button onclick="window.omnivoidApp.playlist.cycleRepeatMode()" style="${playlist.repeatMode !== 'off' ? activeButtonStyle : buttonStyle}">${repeatLabels[playlist.repeatMode]}</button>
+      </div>
+      <div style="font-size: 9px; color: #66aaff; margin-bottom: 6px;">
+        <label>Crossfade
+          <select onchange="window.omnivoidApp.audioManager.setCrossfadeDuration(this.value)" style="margin-left: 4px; background: #000; color: #99ccff; border: 1px solid #333; font-size: 9px;">
+            ${crossfadeOptions}
+          </select>
+        </label>
+        <label style="margin-left: 8px;">Mode
+          <select onchange="window.omnivoidApp.audioManager.setPlaybackMode(this.value)" style="margin-left: 4px; background: #000; color: #99ccff; border: 1px solid #333; font-size: 9px;">
+            ${modeOptions}
+          </select>
+        </label>
+      </div>
+      <div style="font-size: 9px; color: #66aaff; margin-bottom: 4px;">
+        <strong>Now:</strong> ${playlist.isLoading ? 'Loading…' : (current ? this.escapeHtml(current.title) : 'Stopped')}
+      </div>
+      <div style="font-size: 9px; color: #66aaff; margin-bottom: 6px;">
+        <div style="display: flex; align-items: center; gap: 6px;">
+          <input id="transport-seek" type="range" min="0" max="1000" value="0"
+            onchange="window.omnivoidApp.seekToFraction(this.value / 1000)" style="flex: 1;">
+          <span id="transport-time">0:00 / 0:00</span>
+        </div>
+        <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 4px; margin-top: 4px;">
+          <label>Rate
+            <select onchange="window.omnivoidApp.audioManager.setPlaybackRate(this.value)" style="margin-left: 4px; background: #000; color: #99ccff; border: 1px solid #333; font-size: 9px;">
+              ${rateOptions}
+            </select>
+          </label>
+          <label>
+            <input type="checkbox" ${this.audioManager.preservePitch ? 'checked' : ''}
+              onchange="window.omnivoidApp.audioManager.setPlaybackRate(window.omnivoidApp.audioManager.playbackRate, { preservePitch: this.checked })">
+            Keep pitch
+          </label>
+          <button onclick="window.omnivoidApp.setLoopPoint('a')" style="${buttonStyle}">A</button>
+          <button onclick="window.omnivoidApp.setLoopPoint('b')" style="${loop ? activeButtonStyle : buttonStyle}">B</button>
+          <button onclick="window.omnivoidApp.setLoopPoint(null)" style="${buttonStyle}">✕</button>
+          <span>Loop: ${loopLabel}</span>
+        </div>
+      </div>
+      <div style="max-height: 140px; overflow-y: auto; border: 1px solid #333; background: #000;">
+        ${rows}
+      </div>
+    `;
+  }
+
+  /**
+   * Create markup for choosing between archive playback and live input
+   * @returns {string} HTML string
+   */
+  createInputSourceMarkup() {
+    const audioManager = this.audioManager;
+    const isLive = audioManager.inputSource === 'input';
+    const selectStyle = 'margin-left: 4px; background: #000; color: #99ccff; border: 1px solid #333; font-size: 9px;';
+    
+    const sourceSelect = `
+      <label>Source
+        <select onchange="window.omnivoidApp.selectAudioSource(this.value)" style="${selectStyle}">
+          <option value="file" ${!isLive ? 'selected' : ''}>Archive / Stream</option>
+          <option value="input" ${isLive ? 'selected' : ''}>Live Input</option>
+        </select>
+      </label>`;
+    
+    if (!isLive || !audioManager.audioInput) {
+      return `
+        <div style="font-size: 9px; color: #66aaff;">${sourceSelect}</div>
+        <div style="margin-top: 4px; font-size: 8px; color: #999;">
+          Live Input reacts to a microphone or line-in (asks for permission)
+        </div>
+      `;
+    }
+    
+    const input = audioManager.audioInput;
+    const deviceOptions = (this.inputDevices || []).map(device => `
+      <option value="${this.escapeHtml(device.deviceId)}" ${device.deviceId === input.deviceId ? 'selected' : ''}>${this.escapeHtml(device.label)}</option>`).join('');
+    const channelOptions = ['mix', ...Array.from({ length: input.channelCount }, (_, i) => i)]
+      .filter(channel => channel === 'mix' || input.channelCount > 1)
+      .map(channel => `
+      <option value="${channel}" ${channel === input.channel ? 'selected' : ''}>
+        ${channel === 'mix' ? 'Mix' : `Ch ${channel + 1}`}
+      </option>`).join('');
+    
+    return `
+      <div style="font-size: 9px; color: #66aaff; display: flex; flex-direction: column; gap: 4px;">
+        ${sourceSelect}
+        <label>Device
+          <select onchange="window.omnivoidApp.selectInputDevice(this.value)" style="${selectStyle} max-width: 160px;">
+            ${deviceOptions}
+          </select>
+        </label>
+        <label>Channel
+          <select onchange="window.omnivoidApp.audioManager.setInputChannel(this.value)" style="${selectStyle}">
+            ${channelOptions}
+          </select>
+        </label>
+        <label>Gain
+          <input type="range" min="0" max="4" step="0.1" value="${input.inputGain}"
+            oninput="window.omnivoidApp.audioManager.setInputGain(this.value)" style="vertical-align: middle; width: 100px;">
+        </label>
+        <label>
+          <input type="checkbox" ${input.isMonitoring ? 'checked' : ''}
+            onchange="window.omnivoidApp.audioManager.setInputMonitoring(this.checked)">
+          Monitor (use headphones - may feed back)
+        </label>
+      </div>
+    `;
+  }
+
+  /**
+   * Switch the audio source from the radio window
+   * @param {string} source 'file' or 'input'
+   */
+  async selectAudioSource(source) {
+    const active = await this.audioManager.setInputSource(source);
+    if (active && source === 'input') {
+      // Device labels are only exposed once permission has been granted
+      this.inputDevices = await this.audioManager.listInputDevices();
+    }
+    this.renderInputSource();
+    this.renderLocalPlaylist();
+  }
+
+  /**
+   * Capture from another device
+   * @param {string} deviceId Device ID
+   */
+  async selectInputDevice(deviceId) {
+    await this.audioManager.setInputDevice(deviceId);
+    this.renderInputSource();
+  }
+
+  /**
+   * Re-render the input source section if the radio window is showing it
+   */
+  renderInputSource() {
+    const container = document.getElementById('input-source');
+    if (container) {
+      container.innerHTML = this.createInputSourceMarkup();
+    }
+  }
+
+  /**
+   * Update the radio window's position readout from a 'timeupdate' event
+   * @param {Object} detail Transport state ({ currentTime, duration })
+   */
+  updateTransportDisplay({ currentTime, duration }) {
+    const time = document.getElementById('transport-time');
+    if (time) {
+      time.textContent = `${this.formatDuration(currentTime)} / ${this.formatDuration(duration)}`;
+    }
+    
+    // Leave the slider alone while the user is dragging it
+    const slider = document.getElementById('transport-seek');
+    if (slider && document.activeElement !== slider && duration > 0) {
+      slider.value = Math.round((currentTime / duration) * 1000);
+    }
+  }
+
+  /**
+   * Seek the current track to a fraction of its length
+   * @param {number} fraction Position between 0 and 1
+   */
+  seekToFraction(fraction) {
+    this.audioManager.seek(fraction * this.audioManager.duration);
+    const slider = document.getElementById('transport-seek');
+    if (slider) slider.blur();
+  }
+
+  /**
+   * Mark A–B loop points at the current position
+   * @param {string|null} point 'a', 'b', or null to clear the loop
+   */
+  setLoopPoint(point) {
+    const position = this.audioManager.getCurrentTime();
+    if (point === 'a') {
+      this.loopPointA = position;
+      this.audioManager.clearLoop();
+    } else if (point === 'b' && this.loopPointA !== null) {
+      this.audioManager.setLoop(this.loopPointA, position);
+    } else if (point === null) {
+      this.loopPointA = null;
+      this.audioManager.clearLoop();
+    }
+    this.renderLocalPlaylist();
+  }
+
+  /**
+   * Accept audio files dropped anywhere on the page
+   */
+  setupFileDrop() {
+    const overlay = document.createElement('div');
+    overlay.className = 'file-drop-overlay';
+    overlay.textContent = 'DROP AUDIO TO QUEUE';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 20px;
+      border: 2px dashed #99ccff;
+      border-radius: 10px;
+      background: rgba(0, 0, 0, 0.6);
+      color: #99ccff;
+      font-family: 'Orbitron', sans-serif;
+      font-size: 18px;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+      pointer-events: none;
+    `;
+    document.body.appendChild(overlay);
+    
+    // dragenter/dragleave fire for every child element crossed
+    let dragDepth = 0;
+    const hasFiles = (event) => Array.from(event.dataTransfer.types).includes('Files');
+    
+    document.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth++;
+      overlay.style.display = 'flex';
+    });
+    
+    document.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    
+    document.addEventListener('dragleave', (e) => {
+      if (!hasFiles(e)) return;
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0) overlay.style.display = 'none';
+    });
+    
+    document.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth = 0;
+      overlay.style.display = 'none';
+      this.importAudioFiles(e.dataTransfer.files);
+    });
+  }
+
+  /**
+   * Open the system file dialog for audio files
+   */
+  openFilePicker() {
+    if (!this.filePicker) {
+      this.filePicker = document.createElement('input');
+      this.filePicker.type = 'file';
+      this.filePicker.multiple = true;
+      this.filePicker.accept = 'audio/*,.mp3,.wav,.ogg,.oga,.opus,.flac,.m4a';
+      this.filePicker.style.display = 'none';
+      this.filePicker.addEventListener('change', () => {
+        this.importAudioFiles(this.filePicker.files);
+        this.filePicker.value = '';
+      });
+      document.body.appendChild(this.filePicker);
+    }
+    this.filePicker.click();
+  }
+
+  /**
+   * Decode user files and append them to the local queue
+   * @param {FileList} files Dropped or picked files
+   */
+  async importAudioFiles(files) {
+    if (!this.playlist || files.length === 0) return;
+    
+    this.importStatus = `Importing ${files.length} file(s)…`;
+    this.renderLocalPlaylist();
+    
+    const { added, rejected } = await this.playlist.addFiles(files);
+    this.importStatus = rejected.length
+      ? `Added ${added}, skipped ${rejected.length} unsupported`
+      : `Added ${added} file(s)`;
+    this.renderLocalPlaylist();
+  }
+
+  /**
+   * Escape text for use in generated markup
+   * @param {string} text Raw text
+   * @returns {string} HTML-safe text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} seconds Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) return '--:--';
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+  }
+
+  /**
+   * Re-render the local archive section if the radio window is showing it
+   */
+  renderLocalPlaylist() {
+    const container = document.getElementById('local-playlist');
+    if (container) {
+      container.innerHTML = this.createLocalPlaylistMarkup();
+    }
+  }
+
+  /**
+   * Refresh the layers list in the Layers window
+   */
+  renderLayerList() {
+    const container = document.getElementById('layer-list');
+    if (!container || !this.compositor) return;
+    
+    const buttonStyle = `
+      padding: 2px 6px;
+      background: transparent;
+      color: #99ccff;
+      border: 1px solid #99ccff;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 9px;
+      font-family: 'Orbitron', sans-serif;
+    `;
+    const activeButtonStyle = buttonStyle + 'background: #99ccff; color: #000;';
+    const layers = this.compositor.layers;
+    
+    // Listed top first, the way layers appear on screen
+    container.innerHTML = layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => {
+      const visible = this.compositor.isLayerVisible(layer);
+      const blendOptions = Object.entries(BLEND_MODES).map(([mode, blend]) => `
+        <option value="${mode}" ${mode === layer.blendMode ? 'selected' : ''}>${blend.name}</option>`).join('');
+      return `
+        <div style="padding: 4px; margin-bottom: 4px; border: 1px solid #333333; ${visible ? 'color: #99ccff;' : 'color: #666;'}">
+          <div style="display: flex; align-items: center; gap: 4px; margin-bottom: 4px;">
+            <span style="flex: 1;">${this.escapeHtml(layer.name)}</span>
+            <span onclick="window.omnivoidApp.compositor.moveLayer('${layer.id}', ${index + 1})" title="Move up" style="cursor: pointer; color: #66aaff;">▲</span>
+            <span onclick="window.omnivoidApp.compositor.moveLayer('${layer.id}', ${index - 1})" title="Move down" style="cursor: pointer; color: #66aaff;">▼</span>
+            <button onclick="window.omnivoidApp.compositor.setSolo('${layer.id}', ${!layer.solo})" title="Solo" style="${layer.solo ? activeButtonStyle : buttonStyle}">S</button>
+            <button onclick="window.omnivoidApp.compositor.setMuted('${layer.id}', ${!layer.muted})" title="Mute" style="${layer.muted ? activeButtonStyle : buttonStyle}">M</button>
+          </div>
+          <div style="display: flex; align-items: center; gap: 6px;">
+            <select onchange="window.omnivoidApp.compositor.setBlendMode('${layer.id}', this.value)" style="background: #000; color: #99ccff; border: 1px solid #333333; font-size: 9px;">
+              ${blendOptions}
+            </select>
+            <input type="range" min="0" max="1" step="0.05" value="${layer.opacity}" title="Opacity"
+              oninput="window.omnivoidApp.compositor.setOpacity('${layer.id}', parseFloat(this.value))" style="flex: 1;">
+          </div>
+        </div>`;
+    }).join('');
+  }
+
   /**
    * Initialize Mixcloud widget and audio reactivity
    */
@@ -3391,8 +4625,8 @@ export class App {
         true,
         (checked) => {
           console.log('✦ Starfield:', checked ? 'ON' : 'OFF');
-          if (this.starfield) {
-            this.starfield.setVisibility(checked);
+          if (this.compositor) {
+            this.compositor.setMuted('starfield', !checked);
           }
         }
       );
@@ -1,13 +1,156 @@
+/**
+ * AudioProcessor - off-main-thread feature extraction
+ *
+ * Mixes the input down to mono, collects analysis windows and posts
+ * RMS, peak, zero-crossing rate and spectral centroid to the main thread
+ * through the node's port. Output is left silent; the node is a tap.
+ */
 class AudioProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
-    this.isProcessing = false;
+    const processorOptions = (options && options.processorOptions) || {};
+    this.isProcessing = true;
+
+    this.configure(processorOptions.windowSize || 1024);
+
+    this.port.onmessage = (event) => {
+      const { type, windowSize, enabled } = event.data || {};
+      if (type === 'configure' && windowSize) {
+        this.configure(windowSize);
+      } else if (type === 'enable') {
+        this.isProcessing = Boolean(enabled);
+      }
+    };
+  }
+
+  /**
+   * Allocate buffers for a new analysis window size (power of two)
+   * @param {number} windowSize Samples per analysis window
+   */
+  configure(windowSize) {
+    const size = 1 << Math.round(Math.log2(windowSize));
+    this.windowSize = size;
+    this.samples = new Float32Array(size);
+    this.writeIndex = 0;
+
+    this.real = new Float32Array(size);
+    this.imag = new Float32Array(size);
+
+    // Hann window to limit spectral leakage in the centroid
+    this.window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+
+    // Bit-reversal permutation for the in-place FFT
+    const bits = Math.log2(size);
+    this.reversed = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this.reversed[i] = reversed;
+    }
   }
 
-  process(inputs, outputs, parameters) {
-    // Always return true to keep the processor running
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.isProcessing || !input || input.length === 0) {
+      // Always return true to keep the processor running
+      return true;
+    }
+
+    const channels = input.length;
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        sample += input[channel][i];
+      }
+      this.samples[this.writeIndex++] = sample / channels;
+
+      if (this.writeIndex === this.windowSize) {
+        this.analyzeWindow();
+        this.writeIndex = 0;
+      }
+    }
+
     return true;
   }
+
+  /**
+   * Compute features for a full window and post them
+   */
+  analyzeWindow() {
+    const samples = this.samples;
+    const size = this.windowSize;
+
+    let sumSquares = 0;
+    let peak = 0;
+    let crossings = 0;
+    for (let i = 0; i < size; i++) {
+      const sample = samples[i];
+      sumSquares += sample * sample;
+      const magnitude = Math.abs(sample);
+      if (magnitude > peak) peak = magnitude;
+      if (i > 0 && (sample >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+
+    this.port.postMessage({
+      rms: Math.sqrt(sumSquares / size),
+      peak,
+      zeroCrossingRate: crossings / (size - 1),
+      spectralCentroid: this.computeCentroid(),
+      time: currentTime
+    });
+  }
+
+  /**
+   * Magnitude-weighted mean frequency of the current window
+   * @returns {number} Spectral centroid in Hz
+   */
+  computeCentroid() {
+    const size = this.windowSize;
+    const real = this.real;
+    const imag = this.imag;
+
+    for (let i = 0; i < size; i++) {
+      real[this.reversed[i]] = this.samples[i] * this.window[i];
+      imag[i] = 0;
+    }
+
+    // Iterative radix-2 Cooley-Tukey FFT
+    for (let length = 2; length <= size; length <<= 1) {
+      const half = length >> 1;
+      const angle = (-2 * Math.PI) / length;
+      for (let start = 0; start < size; start += length) {
+        for (let k = 0; k < half; k++) {
+          const cos = Math.cos(angle * k);
+          const sin = Math.sin(angle * k);
+          const even = start + k;
+          const odd = even + half;
+          const oddReal = real[odd] * cos - imag[odd] * sin;
+          const oddImag = real[odd] * sin + imag[odd] * cos;
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+        }
+      }
+    }
+
+    let weighted = 0;
+    let total = 0;
+    const binWidth = sampleRate / size;
+    for (let bin = 1; bin < size / 2; bin++) {
+      const magnitude = Math.hypot(real[bin], imag[bin]);
+      weighted += magnitude * bin * binWidth;
+      total += magnitude;
+    }
+
+    return total > 0 ? weighted / total : 0;
+  }
 }
 
-registerProcessor('audio-processor', AudioProcessor); 
\ No newline at end of file
+registerProcessor('audio-processor', AudioProcessor);
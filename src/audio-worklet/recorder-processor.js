@@ -0,0 +1,74 @@
+/**
+ * RecorderProcessor - PCM capture for the WAV export
+ *
+ * Converts the input to interleaved 16-bit samples and posts them to the
+ * main thread in blocks, so messages stay infrequent. Output is left
+ * silent; the node is a tap.
+ */
+class RecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    this.channelCount = processorOptions.channelCount || 2;
+    this.blockFrames = processorOptions.blockFrames || 8192;
+    this.isRecording = false;
+    this.allocate();
+
+    this.port.onmessage = (event) => {
+      const { type } = event.data || {};
+      if (type === 'record') {
+        this.isRecording = true;
+      } else if (type === 'pause') {
+        this.isRecording = false;
+      } else if (type === 'flush') {
+        this.isRecording = false;
+        this.flush();
+        this.port.postMessage({ type: 'flushed' });
+      }
+    };
+  }
+
+  /**
+   * Start a new block of samples
+   */
+  allocate() {
+    this.block = new Int16Array(this.blockFrames * this.channelCount);
+    this.frameIndex = 0;
+  }
+
+  /**
+   * Post the samples collected so far
+   */
+  flush() {
+    if (this.frameIndex === 0) return;
+    const samples = this.block.slice(0, this.frameIndex * this.channelCount);
+    this.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+    this.allocate();
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.isRecording || !input || input.length === 0) {
+      // Always return true to keep the processor running
+      return true;
+    }
+
+    const frames = input[0].length;
+    for (let i = 0; i < frames; i++) {
+      for (let channel = 0; channel < this.channelCount; channel++) {
+        // Mono inputs are copied to every channel
+        const data = input[Math.min(channel, input.length - 1)];
+        const value = Math.max(-1, Math.min(1, data[i]));
+        this.block[this.frameIndex * this.channelCount + channel] = value < 0 ? value * 0x8000 : value * 0x7fff;
+      }
+      this.frameIndex++;
+      if (this.frameIndex === this.blockFrames) {
+        this.flush();
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
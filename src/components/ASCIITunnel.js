@@ -1,7 +1,33 @@
 import { Component } from './Base.js';
 
+// How symbols are drawn: OMNIVOID SVG letters, text glyphs, or both
+export const GLYPH_MODES = ['svg', 'text', 'mixed'];
+
+// Character sets for text glyphs
+export const CHARSET_PRESETS = {
+  ascii: { name: 'ASCII', chars: '#$%&*+-/0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]{}|~' },
+  katakana: { name: 'Katakana', chars: 'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワヲン' },
+  binary: { name: 'Binary', chars: '01' },
+  boxDrawing: { name: 'Box Drawing', chars: '─│┌┐└┘├┤┬┴┼═║╔╗╚╝╠╣╦╩╬░▒▓█' }
+};
+
+// Speeds are in depth units per 60fps frame; the depth is the canvas width
+const CRUISE_SPEED = 8;
+// Symbols in the tunnel at full density
+const MAX_SYMBOLS = 100;
+// Share of text glyphs that are words from the word list, when it has any
+const WORD_CHANCE = 0.2;
+// Hue of text glyphs without treble (Matrix green); treble shifts it toward blue and magenta
+const BASE_HUE = 120;
+const HUE_RANGE = 180;
+// How quickly speed, density and hue follow the audio (per second)
+const AUDIO_EASE = 4;
+
 /**
- * ASCIITunnel component that creates a matrix-like tunnel effect with ASCII characters
+ * ASCIITunnel component that creates a matrix-like tunnel effect with ASCII characters.
+ * Symbols are OMNIVOID SVG letters, text glyphs from a character set or word
+ * list, or a mix; text stands in for SVGs that failed to load. Bass drives
+ * the speed, mids the density and treble the hue.
  */
 export class ASCIITunnel extends Component {
   /**
@@ -12,6 +38,79 @@ export class ASCIITunnel extends Component {
     this.layer = createASCIITunnelLayer();
   }
 
+  /**
+   * Set how symbols are drawn
+   * @param {string} mode One of GLYPH_MODES
+   */
+  setGlyphMode(mode) {
+    this.layer.setGlyphMode(mode);
+  }
+
+  /**
+   * Get how symbols are drawn
+   * @returns {string} One of GLYPH_MODES
+   */
+  getGlyphMode() {
+    return this.layer.getGlyphMode();
+  }
+
+  /**
+   * Use a preset character set for text glyphs
+   * @param {string} name Key of CHARSET_PRESETS
+   * @returns {boolean} Whether the preset exists
+   */
+  setCharset(name) {
+    return this.layer.setCharset(name);
+  }
+
+  /**
+   * Use custom characters for text glyphs
+   * @param {string} chars Characters to pick from
+   */
+  setCustomCharset(chars) {
+    this.layer.setCustomCharset(chars);
+  }
+
+  /**
+   * Get the character set
+   * @returns {string} Key of CHARSET_PRESETS, or 'custom'
+   */
+  getCharset() {
+    return this.layer.getCharset();
+  }
+
+  /**
+   * Set the font for text glyphs
+   * @param {string} family CSS font family, e.g. "'Orbitron', monospace"
+   */
+  setFont(family) {
+    this.layer.setFont(family);
+  }
+
+  /**
+   * Get the font for text glyphs
+   * @returns {string} CSS font family
+   */
+  getFont() {
+    return this.layer.getFont();
+  }
+
+  /**
+   * Set words that fly by among the text glyphs, e.g. track titles
+   * @param {Array<string>} words Words or phrases (empty for characters only)
+   */
+  setWords(words) {
+    this.layer.setWords(words);
+  }
+
+  /**
+   * Get the word list
+   * @returns {Array<string>} Words
+   */
+  getWords() {
+    return this.layer.getWords();
+  }
+
   /**
    * Handle visibility changes
    * @param {boolean} visible Whether the tunnel is now visible
@@ -41,7 +140,7 @@ export class ASCIITunnel extends Component {
 }
 
 /**
- * Create an ASCII tunnel layer with animated SVG characters
+ * Create an ASCII tunnel layer with animated SVG and text characters
  * @param {string} id Canvas element ID
  * @returns {Object} Tunnel control methods
  */
@@ -53,7 +152,6 @@ function createASCIITunnelLayer(id = "asciiTunnel") {
   canvas.style.position = "absolute";
   canvas.style.top = 0;
   canvas.style.left = 0;
-  canvas.style.zIndex = 0;
   canvas.style.pointerEvents = "none";
   canvas.style.opacity = 1;
 
@@ -61,11 +159,9 @@ function createASCIITunnelLayer(id = "asciiTunnel") {
 
   const ctx = canvas.getContext("2d");
   const svgPaths = ['O.svg','WORM.svg', 'I.svg', 'V.svg', 'D.svg' , 'L.svg', 'A.svg', 'B.svg', 'S.svg'];
-  const numChars = 50;
   
   // Store loaded SVG images
   const svgImages = new Map();
-  let imagesLoaded = 0;
   
   // Load all SVG files
   const loadSVGs = () => {
@@ -82,65 +178,125 @@ function createASCIITunnelLayer(id = "asciiTunnel") {
     }));
   };
 
-  const tunnel = Array.from({ length: numChars }, () => ({
-    svg: svgPaths[Math.floor(Math.random() * svgPaths.length)],
-    x: Math.random() * canvas.width,
-    y: Math.random() * canvas.height,
-    z: Math.random() * canvas.width,
-    rotation: Math.random() * 360,
-    rotationSpeed: (Math.random() - 0.5) * 2
-  }));
+  let tunnel = [];
+  let glyphMode = 'svg';
+  let charsetName = 'ascii';
+  let chars = Array.from(CHARSET_PRESETS.ascii.chars);
+  let font = "'Orbitron', monospace";
+  let words = [];
+  // Audio-driven state, eased toward the current bands
+  let speed = CRUISE_SPEED;
+  let density = 0.5;
+  let hueShift = 0; // 0-1 share of HUE_RANGE
+
+  /**
+   * Pick what a symbol shows. SVG symbols also carry their letter as text,
+   * which is drawn until (or unless) the image loads.
+   * @param {Object} symbol Symbol to update
+   * @param {Function} random Random number source
+   */
+  function assignGlyph(symbol, random) {
+    const useSvg = glyphMode === 'svg' || (glyphMode === 'mixed' && random() < 0.5);
+    if (useSvg) {
+      symbol.svg = svgPaths[Math.floor(random() * svgPaths.length)];
+      symbol.text = symbol.svg.replace('.svg', '');
+      symbol.isWord = symbol.text.length > 1;
+    } else if (words.length > 0 && random() < WORD_CHANCE) {
+      symbol.svg = null;
+      symbol.text = words[Math.floor(random() * words.length)];
+      symbol.isWord = true;
+    } else {
+      symbol.svg = null;
+      symbol.text = chars[Math.floor(random() * chars.length)];
+      symbol.isWord = false;
+    }
+    // Words stay close to upright so they can be read
+    symbol.rotation = symbol.isWord ? (random() - 0.5) * 30 : random() * 360;
+    symbol.rotationSpeed = symbol.isWord ? 0 : (random() - 0.5) * 2;
+  }
+
+  /**
+   * Place a symbol at a new position
+   * @param {Function} random Random number source
+   * @param {number} z Depth (defaults to a random depth)
+   * @returns {Object} Symbol
+   */
+  function createSymbol(random, z = random() * canvas.width) {
+    const symbol = {
+      x: random() * canvas.width,
+      y: random() * canvas.height,
+      z,
+      // Symbols show while the density is above their threshold
+      threshold: random()
+    };
+    assignGlyph(symbol, random);
+    return symbol;
+  }
 
-  let animationFrame;
-  let isReady = false;
+  function reset(random = Math.random) {
+    tunnel = Array.from({ length: MAX_SYMBOLS }, () => createSymbol(random));
+    speed = CRUISE_SPEED;
+    density = 0.5;
+    hueShift = 0;
+  }
+
+  /**
+   * Give every symbol a new glyph after a glyph setting changed
+   */
+  function reassignGlyphs() {
+    tunnel.forEach(symbol => assignGlyph(symbol, Math.random));
+  }
 
-  function draw() {
+  function renderFrame(frame) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    if (!isReady) {
-      // Show loading indicator
-      ctx.fillStyle = "#0f0";
-      ctx.font = "20px 'Orbitron', monospace";
-      ctx.textAlign = "center";
-      ctx.fillText("Loading OMNIVOID...", canvas.width / 2, canvas.height / 2);
-      animationFrame = requestAnimationFrame(draw);
-      return;
-    }
 
+    // Without audio the tunnel keeps its original pace and half density
+    const features = frame.audioFeatures;
+    const ease = Math.min(1, frame.delta * AUDIO_EASE);
+    const targetSpeed = features ? CRUISE_SPEED * (0.5 + features.bass * 2) : CRUISE_SPEED;
+    const targetDensity = features ? 0.25 + features.mid * 0.75 : 0.5;
+    const targetHue = features ? features.treble : 0;
+    speed += (targetSpeed - speed) * ease;
+    density += (targetDensity - density) * ease;
+    hueShift += (targetHue - hueShift) * ease;
+
+    // Speeds are tuned per 60fps frame
+    const steps = frame.delta * 60;
+    const textColor = `hsl(${BASE_HUE + hueShift * HUE_RANGE}, 100%, 60%)`;
+    // The SVGs are tinted green by a 90 degree hue rotation; treble turns them further
+    const svgFilter = `hue-rotate(${90 + hueShift * HUE_RANGE}deg) brightness(1.2) contrast(1.5)`;
     tunnel.forEach((symbol) => {
-      symbol.z -= 8;
-      symbol.rotation += symbol.rotationSpeed;
+      symbol.z -= speed * steps;
+      symbol.rotation += symbol.rotationSpeed * steps;
       
       if (symbol.z <= 0) {
-        symbol.z = canvas.width;
-        symbol.x = Math.random() * canvas.width;
-        symbol.y = Math.random() * canvas.height;
-        symbol.svg = svgPaths[Math.floor(Math.random() * svgPaths.length)];
-        symbol.rotation = Math.random() * 360;
-        symbol.rotationSpeed = (Math.random() - 0.5) * 2;
+        Object.assign(symbol, createSymbol(frame.random, canvas.width));
       }
 
+      // Fade symbols in and out as the density crosses their threshold
+      const presence = Math.min(1, (density - symbol.threshold) * 10);
+      if (presence <= 0) return;
+
       const distance = canvas.width / symbol.z;
       const sx = (symbol.x - canvas.width / 2) * distance + canvas.width / 2;
       const sy = (symbol.y - canvas.height / 2) * distance + canvas.height / 2;
       const size = 40 * distance;
+      if (size <= 1) return;
 
-      // Get the SVG image
-      const svgImage = svgImages.get(symbol.svg);
-      if (svgImage && size > 1) {
-        ctx.save();
-        
+      ctx.save();
+      ctx.globalCompositeOperation = 'source-over';
+      
+      // Calculate opacity based on distance (fade out distant objects)
+      ctx.globalAlpha = Math.min(1, distance * 2) * presence;
+      
+      // Move to position and rotate
+      ctx.translate(sx, sy);
+      ctx.rotate((symbol.rotation * Math.PI) / 180);
+      
+      const svgImage = symbol.svg && svgImages.get(symbol.svg);
+      if (svgImage) {
         // Set green tint for the Matrix effect
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.filter = 'hue-rotate(90deg) brightness(1.2) contrast(1.5)';
-        
-        // Calculate opacity based on distance (fade out distant objects)
-        const opacity = Math.min(1, distance * 2);
-        ctx.globalAlpha = opacity;
-        
-        // Move to position and rotate
-        ctx.translate(sx, sy);
-        ctx.rotate((symbol.rotation * Math.PI) / 180);
+        ctx.filter = svgFilter;
         
         // Draw the SVG with size based on distance
         ctx.drawImage(
@@ -150,12 +306,16 @@ function createASCIITunnelLayer(id = "asciiTunnel") {
           size,
           size
         );
-        
-        ctx.restore();
+      } else {
+        ctx.fillStyle = textColor;
+        ctx.font = `${symbol.isWord ? size / 2 : size}px ${font}`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(symbol.text, 0, 0);
       }
+      
+      ctx.restore();
     });
-
-    animationFrame = requestAnimationFrame(draw);
   }
 
   // Handle window resize
@@ -164,28 +324,59 @@ function createASCIITunnelLayer(id = "asciiTunnel") {
     canvas.height = window.innerHeight;
   });
 
-  // Start loading SVGs and begin animation
-  loadSVGs().then(() => {
+  // Start loading SVGs; frames fall back to text until they arrive
+  const ready = loadSVGs().then(() => {
     console.log('🎨 OMNIVOID SVGs loaded for ASCII tunnel');
-    isReady = true;
   }).catch(error => {
-    console.error('❌ Failed to load SVGs:', error);
-    // Fallback to text characters if SVG loading fails
-    isReady = true;
+    // Symbols whose SVG is missing keep drawing their letter as text
+    console.error('❌ Failed to load SVGs, drawing text glyphs instead:', error);
   });
 
-  draw();
+  reset();
 
   return {
     canvas,
+    ready,
+    renderFrame,
+    reset,
+    setGlyphMode: (mode) => {
+      if (!GLYPH_MODES.includes(mode)) return;
+      glyphMode = mode;
+      reassignGlyphs();
+    },
+    getGlyphMode: () => glyphMode,
+    setCharset: (name) => {
+      if (!CHARSET_PRESETS[name]) return false;
+      charsetName = name;
+      chars = Array.from(CHARSET_PRESETS[name].chars);
+      reassignGlyphs();
+      return true;
+    },
+    setCustomCharset: (customChars) => {
+      // Array.from keeps characters outside the BMP whole
+      const list = Array.from(customChars).filter(char => char.trim());
+      if (list.length === 0) return;
+      charsetName = 'custom';
+      chars = list;
+      reassignGlyphs();
+    },
+    getCharset: () => charsetName,
+    setFont: (family) => {
+      font = family;
+    },
+    getFont: () => font,
+    setWords: (list) => {
+      // New words appear as symbols respawn at the far end
+      words = list.map(word => String(word).trim()).filter(Boolean);
+    },
+    getWords: () => words.slice(),
     destroy: () => {
-      cancelAnimationFrame(animationFrame);
       canvas.remove();
     },
     setOpacity: (value) => {
       canvas.style.opacity = value;
     },
-    hide: () => (canvas.style.opacity = 0),
-    show: () => (canvas.style.opacity = 1),
+    hide: () => (canvas.style.display = 'none'),
+    show: () => (canvas.style.display = 'block'),
   };
-} 
\ No newline at end of file
+}
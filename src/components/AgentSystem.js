@@ -1,5 +1,46 @@
 import { Component } from './Base.js';
 import { Agent } from '../utils/Agent.js';
+import { SpatialHash } from '../utils/SpatialHash.js';
+import { AgentGLRenderer } from '../utils/AgentGLRenderer.js';
+import { BEHAVIOR_PRESETS } from '../utils/AgentBehaviors.js';
+import { PALETTES, samplePalette, parseColor } from '../utils/ColorPalettes.js';
+
+export const MIN_AGENT_COUNT = 20;
+export const MAX_AGENT_COUNT = 5000;
+export const MIN_CONNECT_DISTANCE = 50;
+export const MAX_CONNECT_DISTANCE = 200;
+
+// Agents and connections are drawn as one path per color, so colors are
+// quantized: brightness steps per palette entry and alpha steps per line
+const BRIGHTNESS_LEVELS = 8;
+const ALPHA_LEVELS = 4;
+// The palette is sampled at each agent's frequency position, up to this
+// many samples; larger swarms share neighboring samples
+const MAX_PALETTE_STEPS = 128;
+
+// Pointer interaction: reach in pixels, pull per frame, how strongly agents
+// follow a drag, and the long-press burst
+const POINTER_RADIUS = 200;
+const POINTER_STRENGTH = 0.25;
+const FLING_GRIP = 0.15;
+const LONG_PRESS_SECONDS = 0.5;
+const LONG_PRESS_SLOP = 10; // Pixels a long press may wander
+const BURST_SIZE = 24;
+const BURST_SPEED = 6; // Pixels per frame
+
+// Trails: positions kept per agent in history mode, and the share of the
+// previous frame erased per 60fps frame in persistence mode
+const TRAIL_LENGTH = 12;
+const PERSISTENCE_FADE = 0.12;
+export const TRAIL_MODES = ['off', 'history', 'persistence'];
+
+// Lifecycles: lifespans in seconds of the base population and of extra
+// agents spawned on onsets and bursts, fade in/out time, and onset spawning
+const BASE_LIFESPAN = [8, 20];
+const EXTRA_LIFESPAN = [1.5, 4];
+const LIFE_FADE_SECONDS = 0.5;
+const ONSET_SPAWN_MAX = 40; // Agents spawned by a full-strength onset
+const ONSET_SPAWN_SPEED = 3; // Pixels per frame
 
 /**
  * AgentSystem component that manages particle system with connecting lines
@@ -20,7 +61,9 @@ export class AgentSystem extends Component {
       document.body.appendChild(this.canvas);
     }
     
-    this.ctx = this.canvas.getContext('2d');
+    // Drawing backend: a Canvas 2D context or a WebGL2 renderer (see setRenderer)
+    this.ctx = null;
+    this.glRenderer = null;
     this.agents = [];
     this.agentCount = 60;
     this.baseConnectDist = 100; // Base connection distance
@@ -34,158 +77,181 @@ export class AgentSystem extends Component {
     this.frequencyData = null;
     this.audioIntensity = 0; // Overall audio intensity
     this.bassIntensity = 0; // Bass-specific intensity
+    this.bpm = 0; // Tempo estimate from the beat detector
+    this.beatPhase = 0; // Position within the current beat (0-1)
     
-    // Color lookup table for audio-reactive colors
-    this.colorLUT = this.createColorLookupTable();
-    this.defaultColor = getComputedStyle(document.documentElement).getPropertyValue('--fg-color').trim();
+    // Audio-reactive colors sampled from a named palette (see ColorPalettes);
+    // the silent color follows the theme's --fg-color
+    this.paletteName = 'spectrum';
+    this.customColors = null; // User gradient for the 'custom' palette
+    this.paletteColors = PALETTES.spectrum.colors;
+    this.colorLUT = []; // Palette sampled for the current population
+    this.updateThemeColors();
+    
+    // Per-frame caches for neighbor search and batched drawing
+    this.spatialHash = new SpatialHash();
+    this.agentLevels = new Float32Array(0); // Frequency response per agent (0-1)
+    this.agentPalette = new Uint8Array(0); // colorLUT entry per agent
+    this.paletteBase = 0; // Population the palette was laid out for
+    this.agentBuckets = new Uint16Array(0); // Color bucket per agent
+    this.agentSizes = new Float32Array(0); // Drawn radius per agent
+    this.bucketColors = []; // CSS color per bucket
+    this.bucketRgba = new Float32Array(0); // RGBA (0-1) per bucket, for WebGL
+    this.agentBatches = []; // Agent indices per bucket
+    this.lineBatches = []; // Agent index pairs per bucket and alpha step
+    
+    // Steering behaviors (see AgentBehaviors), chosen by preset
+    this.behaviorPreset = 'drift';
+    this.behaviors = [];
+    this.maxSpeed = Infinity;
+    
+    // Pointer interaction (see handlePointers)
+    this.pointerMode = 'attract';
+    this.burstPointers = new Set(); // Presses that already spawned a burst
+    this.pinchStart = null; // { key, distance, connectDist } of the current pinch
+    this.changeCallbacks = new Set();
+    
+    // Trails and lifecycles (see setTrailMode and setLifecycles)
+    this.trailMode = 'off';
+    this.trailBatches = []; // Trail segment coordinates per bucket and alpha step
+    this.lifecycles = false;
     
     this.setupCanvas();
     this.initAgents();
-    this.setupAudioVisualization();
-    this.animate();
+    this.setRenderer('webgl');
   }
 
   /**
-   * Create a color lookup table that maps frequency ranges to colors
-   * @returns {Array} Array of color objects with RGB values and frequency ranges
+   * Switch to a named palette
+   * @param {string} name Key of PALETTES, or 'custom' once a custom palette is set
+   * @returns {boolean} Whether the palette exists
    */
-  createColorLookupTable() {
-    return [
-      // Deep bass - Deep purple/violet
-      { r: 138, g: 43, b: 226, freqMin: 0, freqMax: 0.1, name: 'Deep Bass' },
-      // Bass - Blue
-      { r: 0, g: 100, b: 255, freqMin: 0.1, freqMax: 0.2, name: 'Bass' },
-      // Low-mid - Cyan
-      { r: 0, g: 255, b: 255, freqMin: 0.2, freqMax: 0.35, name: 'Low-Mid' },
-      // Mid - Green
-      { r: 0, g: 255, b: 100, freqMin: 0.35, freqMax: 0.5, name: 'Mid' },
-      // High-mid - Yellow
-      { r: 255, g: 255, b: 0, freqMin: 0.5, freqMax: 0.65, name: 'High-Mid' },
-      // High - Orange
-      { r: 255, g: 165, b: 0, freqMin: 0.65, freqMax: 0.8, name: 'High' },
-      // Treble - Red
-      { r: 255, g: 50, b: 50, freqMin: 0.8, freqMax: 0.9, name: 'Treble' },
-      // Ultra-high - Pink/Magenta
-      { r: 255, g: 20, b: 147, freqMin: 0.9, freqMax: 1.0, name: 'Ultra-High' }
-    ];
+  setPalette(name) {
+    const colors = name === 'custom' ? this.customColors : PALETTES[name] && PALETTES[name].colors;
+    if (!colors) return false;
+    
+    this.paletteName = name;
+    this.paletteColors = colors;
+    // Resample the palette for the agents on the next frame
+    this.paletteBase = 0;
+    console.log(`🎨 AgentSystem: Palette ${name}`);
+    return true;
   }
 
   /**
-   * Get color for an agent based on its frequency data
-   * @param {number} agentIndex Index of the agent
-   * @param {number} intensity Audio intensity multiplier (0-1)
-   * @returns {string} CSS color string
+   * Use a user-defined gradient
+   * @param {Array<string>} colors CSS colors from low to high frequency
    */
-  getAgentColor(agentIndex, intensity = 1) {
-    if (!this.frequencyData || this.frequencyData.length === 0) {
-      return this.defaultColor;
-    }
-    
-    // Map agent index to frequency position (0-1)
-    const freqPosition = agentIndex / this.agentCount;
-    
-    // Get the frequency bin for this agent
-    const frequencyIndex = Math.floor(freqPosition * this.frequencyData.length);
-    const frequencyValue = this.frequencyData[frequencyIndex];
-    
-    // Convert from dB to linear scale (frequency data is typically -140 to 0 dB)
-    const normalizedFreq = Math.max(0, Math.min(1, (frequencyValue + 140) / 140));
-    
-    // Find the appropriate color from the lookup table
-    let selectedColor = this.colorLUT[0]; // Default to first color
-    for (const color of this.colorLUT) {
-      if (freqPosition >= color.freqMin && freqPosition < color.freqMax) {
-        selectedColor = color;
-        break;
+  setCustomPalette(colors) {
+    this.customColors = colors.slice();
+    this.setPalette('custom');
+  }
+
+  /**
+   * Get the current palette
+   * @returns {string} Key of PALETTES, or 'custom'
+   */
+  getPalette() {
+    return this.paletteName;
+  }
+
+  /**
+   * Re-read theme colors, e.g. after ThemeManager switched themes
+   */
+  updateThemeColors() {
+    this.defaultColor = getComputedStyle(document.documentElement).getPropertyValue('--fg-color').trim();
+    this.defaultRgba = parseColor(this.defaultColor);
+  }
+
+  /**
+   * Cache each agent's frequency response and color bucket for this frame.
+   * Buckets are colorLUT entries split into brightness steps; every agent
+   * and connection in a bucket shares one CSS color.
+   */
+  updateAgentStyles() {
+    const count = this.agents.length;
+    // Agents map to frequency positions (0-1) by index across the base
+    // population; extra agents from onsets and bursts wrap around
+    const base = Math.max(1, this.agentCount);
+    if (this.agentLevels.length < count || this.paletteBase !== base) {
+      // Room for a doubled population, so spawning rarely reallocates
+      const capacity = Math.max(count, base * 2);
+      this.agentLevels = new Float32Array(capacity);
+      this.agentBuckets = new Uint16Array(capacity);
+      this.agentSizes = new Float32Array(capacity);
+      // An agent's palette entry is fixed by its index; up to
+      // MAX_PALETTE_STEPS agents each get the gradient at their own position
+      const steps = Math.min(base, MAX_PALETTE_STEPS);
+      this.colorLUT = samplePalette(this.paletteColors, steps);
+      this.agentPalette = new Uint8Array(capacity);
+      this.paletteBase = base;
+      for (let i = 0; i < capacity; i++) {
+        const freqPosition = (i % base) / base;
+        this.agentPalette[i] = Math.floor(freqPosition * steps);
       }
     }
     
-    // Apply intensity-based brightness and saturation
-    const brightness = 0.3 + (normalizedFreq * intensity * 0.7); // 30% to 100% brightness
-    const saturation = 0.5 + (normalizedFreq * 0.5); // 50% to 100% saturation
-    
-    // Calculate final RGB values with brightness applied
-    const r = Math.floor(selectedColor.r * brightness);
-    const g = Math.floor(selectedColor.g * brightness);
-    const b = Math.floor(selectedColor.b * brightness);
+    const data = this.frequencyData;
+    if (!data || data.length === 0) {
+      this.agentLevels.fill(0);
+      this.agentBuckets.fill(0);
+      this.agents.forEach((agent, i) => {
+        this.agentSizes[i] = this.baseSize * this.getLifeFade(agent);
+      });
+      this.bucketColors = [this.defaultColor];
+      this.bucketRgba = Float32Array.from(this.defaultRgba, (value, i) => (i < 3 ? value / 255 : value));
+      return;
+    }
     
     // Add some alpha based on audio intensity for subtle transparency effects
     const alpha = 0.7 + (this.audioIntensity * 0.3);
+    const bucketCount = this.colorLUT.length * BRIGHTNESS_LEVELS;
+    if (this.bucketRgba.length !== bucketCount * 4) this.bucketRgba = new Float32Array(bucketCount * 4);
+    this.bucketColors = [];
+    this.colorLUT.forEach((color, entry) => {
+      for (let level = 0; level < BRIGHTNESS_LEVELS; level++) {
+        const brightness = 0.3 + (level / (BRIGHTNESS_LEVELS - 1)) * 0.7; // 30% to 100% brightness
+        const r = Math.floor(color.r * brightness);
+        const g = Math.floor(color.g * brightness);
+        const b = Math.floor(color.b * brightness);
+        this.bucketColors.push(`rgba(${r}, ${g}, ${b}, ${alpha})`);
+        this.bucketRgba.set([r / 255, g / 255, b / 255, alpha], (entry * BRIGHTNESS_LEVELS + level) * 4);
+      }
+    });
     
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    for (let i = 0; i < count; i++) {
+      // Convert from dB to linear scale (frequency data is typically -140 to 0 dB)
+      const frequencyValue = data[Math.floor(((i % base) / base) * data.length)];
+      const level = Math.max(0, Math.min(1, (frequencyValue + 140) / 140));
+      this.agentLevels[i] = level;
+      
+      const brightnessLevel = Math.round(level * this.audioIntensity * (BRIGHTNESS_LEVELS - 1));
+      this.agentBuckets[i] = this.agentPalette[i] * BRIGHTNESS_LEVELS + brightnessLevel;
+      this.agentSizes[i] = this.getAgentSize(i) * this.getLifeFade(this.agents[i]);
+    }
   }
 
   /**
-   * Get connection color based on the two connected agents
-   * @param {number} agentIndex1 First agent index
-   * @param {number} agentIndex2 Second agent index
-   * @returns {string} CSS color string
+   * Update audio-driven state from visualizer data
+   * @param {Object} normalizedData Visualizer data from AudioManager
    */
-  getConnectionColor(agentIndex1, agentIndex2) {
-    if (!this.frequencyData || this.frequencyData.length === 0) {
-      return this.defaultColor;
-    }
+  applyAudioFeatures(normalizedData) {
+    // Use the raw frequency data for per-agent scaling
+    this.frequencyData = normalizedData.raw;
     
-    // Blend colors of the two connected agents
-    const color1 = this.getAgentColor(agentIndex1, this.audioIntensity);
-    const color2 = this.getAgentColor(agentIndex2, this.audioIntensity);
+    // Calculate overall audio intensity with emphasis on bass and mid
+    this.bassIntensity = normalizedData.bass;
+    this.audioIntensity = (normalizedData.bass * 1.5 + normalizedData.mid + normalizedData.treble * 0.8) / 3.3;
     
-    // For simplicity, use the color of the agent with higher frequency response
-    const freq1Position = agentIndex1 / this.agentCount;
-    const freq2Position = agentIndex2 / this.agentCount;
+    this.bpm = normalizedData.bpm;
+    this.beatPhase = normalizedData.beatPhase;
     
-    const freq1Index = Math.floor(freq1Position * this.frequencyData.length);
-    const freq2Index = Math.floor(freq2Position * this.frequencyData.length);
+    // Scale agents more dramatically: 1x to 6x based on audio
+    this.audioScale = 1 + this.audioIntensity * 5;
     
-    const freq1Value = this.frequencyData[freq1Index];
-    const freq2Value = this.frequencyData[freq2Index];
-    
-    // Use the color of the agent with higher frequency response
-    return freq1Value > freq2Value ? color1 : color2;
-  }
-
-  /**
-   * Set up audio visualization if audio manager is available
-   */
-  setupAudioVisualization() {
-    if (this.audioManager) {
-      console.log('🎵 AgentSystem: Setting up audio visualization...');
-      console.log('🎵 AgentSystem: AudioManager instance:', this.audioManager);
-      console.log('🎵 AgentSystem: Current visualizer callbacks count:', this.audioManager.visualizerCallbacks.size);
-      
-      // Add this agent system as a visualizer callback
-      const visualizerCallback = (normalizedData) => {
-        // Debug: Log that we're receiving audio data
-        if (Math.random() < 0.01) { // Log 1% of the time to avoid spam
-          console.log('🎵 AgentSystem RECEIVED audio data:', {
-            bass: normalizedData.bass.toFixed(3),
-            mid: normalizedData.mid.toFixed(3),
-            treble: normalizedData.treble.toFixed(3),
-            rawDataLength: normalizedData.raw ? normalizedData.raw.length : 'null',
-            rawFirstValues: normalizedData.raw ? Array.from(normalizedData.raw.slice(0, 3)).map(v => v.toFixed(1)) : 'null'
-          });
-        }
-        
-        // Use the raw frequency data for per-agent scaling
-        this.frequencyData = normalizedData.raw;
-        
-        // Calculate overall audio intensity with emphasis on bass and mid
-        this.bassIntensity = normalizedData.bass;
-        this.audioIntensity = (normalizedData.bass * 1.5 + normalizedData.mid + normalizedData.treble * 0.8) / 3.3;
-        
-        // Scale agents more dramatically: 1x to 6x based on audio
-        this.audioScale = 1 + this.audioIntensity * 5;
-        
-        // Dynamic connection distance: increases significantly with loud music
-        // Base distance + up to 150% more when audio is intense
-        this.connectDist = this.baseConnectDist * (1 + this.audioIntensity * 1.5);
-      };
-      
-      this.audioManager.addVisualizer(visualizerCallback);
-      console.log('🎵 AgentSystem: Visualizer callback added. New count:', this.audioManager.visualizerCallbacks.size);
-    } else {
-      console.warn('⚠️ AgentSystem: No audio manager provided');
-    }
+    // Dynamic connection distance: increases significantly with loud music
+    // Base distance + up to 150% more when audio is intense
+    this.connectDist = this.baseConnectDist * (1 + this.audioIntensity * 1.5);
   }
 
   /**
@@ -210,15 +276,6 @@ export class AgentSystem extends Component {
     );
   }
 
-  /**
-   * Set the number of agents
-   * @param {number} count Number of agents
-   */
-  setAgentCount(count) {
-    this.agentCount = count;
-    this.initAgents();
-  }
-
   /**
    * Set the connection distance between agents
    * @param {number} dist Maximum distance for connection
@@ -227,120 +284,590 @@ export class AgentSystem extends Component {
     this.baseConnectDist = dist;
     // Update current connect distance with current audio intensity
     this.connectDist = this.baseConnectDist * (1 + this.audioIntensity * 1.5);
+    this.notifyChange('connectDistance');
+  }
+
+  /**
+   * Get the connection distance set by the user, before audio scaling
+   * @returns {number} Base connection distance
+   */
+  getBaseConnectDistance() {
+    return this.baseConnectDist;
   }
 
   /**
-   * Get the scale factor for an agent based on audio frequency
+   * Get the drawn radius of an agent from its cached frequency response
    * @param {number} agentIndex Index of the agent
-   * @returns {number} Scale factor
+   * @returns {number} Radius in pixels
    */
-  getAgentAudioScale(agentIndex) {
+  getAgentSize(agentIndex) {
     if (!this.frequencyData || this.frequencyData.length === 0) {
-      return 1.0;
+      return this.baseSize;
     }
     
-    // Map agent index to frequency bin
-    const frequencyIndex = Math.floor((agentIndex / this.agentCount) * this.frequencyData.length);
-    const frequencyValue = this.frequencyData[frequencyIndex];
-    
-    // Convert from dB to linear scale and normalize (frequency data is in dB, typically -140 to 0)
-    const normalizedValue = Math.max(0, Math.min(1, (frequencyValue + 140) / 140));
-    
     // More dramatic per-agent scaling: 0.5x to 4x based on frequency intensity
     // Combined with global audio scale for even more reactive effect
-    const perAgentScale = 0.5 + normalizedValue * 3.5;
+    const perAgentScale = 0.5 + this.agentLevels[agentIndex] * 3.5;
     const globalScale = 1 + this.audioIntensity * 2;
     
-    return perAgentScale * globalScale;
+    return Math.max(0.5, this.baseSize * perAgentScale * globalScale);
+  }
+
+  /**
+   * Re-create agents and clear audio state, e.g. before a reproducible render
+   * @param {Function} random Random number source
+   */
+  reset(random = Math.random) {
+    this.agents = Array.from(
+      { length: this.agentCount },
+      (_, index) => new Agent(this.width, this.height, index, random)
+    );
+    this.frequencyData = null;
+    this.audioIntensity = 0;
+    this.bassIntensity = 0;
+    this.audioScale = 1;
+    this.bpm = 0;
+    this.beatPhase = 0;
+    this.connectDist = this.baseConnectDist;
+    this.burstPointers.clear();
+    this.pinchStart = null;
+    if (this.lifecycles) this.assignLifespans(random);
+    this.clearCanvas();
   }
 
   /**
-   * Animation loop
+   * Advance and draw one frame
+   * @param {Object} frame Frame context (see FrameScheduler)
    */
-  animate = () => {
-    if (!this.isVisible) {
-      requestAnimationFrame(this.animate);
+  renderFrame(frame) {
+    if (frame.audioFeatures) {
+      this.applyAudioFeatures(frame.audioFeatures);
+    }
+
+    if (this.lifecycles) {
+      this.updateLifecycles(frame);
+    }
+
+    const context = { width: this.width, height: this.height, time: frame.time, features: frame.audioFeatures };
+    this.behaviors.forEach(behavior => behavior.apply(this.agents, context));
+    this.handlePointers(frame);
+
+    // Move first so connections and agents are drawn at the same positions;
+    // agents move faster when music is intense (speeds are per 60fps frame)
+    const speedMultiplier = (1 + this.audioIntensity * 0.5) * frame.delta * 60;
+    this.agents.forEach(agent => agent.update(this.width, this.height, speedMultiplier, this.maxSpeed));
+    
+    this.updateAgentStyles();
+    this.collectConnections();
+    this.collectTrails();
+    
+    // Persistence trails erase only part of the previous frame
+    const fade = this.trailMode === 'persistence' ? 1 - Math.pow(1 - PERSISTENCE_FADE, frame.delta * 60) : 1;
+    
+    if (this.glRenderer) {
+      this.glRenderer.render({
+        agents: this.agents,
+        sizes: this.agentSizes,
+        buckets: this.agentBuckets,
+        bucketRgba: this.bucketRgba,
+        lineBatches: this.lineBatches,
+        trailBatches: this.trailBatches,
+        alphaLevels: ALPHA_LEVELS,
+        glow: this.getGlow(),
+        fade
+      });
       return;
     }
 
-    this.ctx.clearRect(0, 0, this.width, this.height);
+    if (fade < 1) {
+      this.ctx.globalCompositeOperation = 'destination-out';
+      this.ctx.fillStyle = `rgba(0, 0, 0, ${fade})`;
+      this.ctx.fillRect(0, 0, this.width, this.height);
+      this.ctx.globalCompositeOperation = 'source-over';
+    } else {
+      this.ctx.clearRect(0, 0, this.width, this.height);
+    }
 
-    // Debug: Draw audio info overlay in top-left corner
-    if (this.audioManager && this.audioManager.isPlaying) {
+    // Debug: Draw audio info overlay in top-left corner (Canvas 2D only;
+    // skipped with persistence trails, where the text would smear)
+    if (this.audioManager && this.audioManager.isPlaying && fade === 1) {
       this.ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--fg-color');
       this.ctx.font = '12px monospace';
       this.ctx.fillText(`Audio: ${this.audioIntensity.toFixed(2)} | Bass: ${this.bassIntensity.toFixed(2)}`, 10, 20);
       this.ctx.fillText(`Connections: ${this.connectDist.toFixed(0)} | Scale: ${this.audioScale.toFixed(1)}`, 10, 40);
       this.ctx.fillText(`Playing: ${this.audioManager.isPlaying ? 'YES' : 'NO'}`, 10, 60);
       this.ctx.fillText(`Colors: ${this.frequencyData ? 'ACTIVE' : 'INACTIVE'}`, 10, 80);
+      this.ctx.fillText(`BPM: ${this.bpm || '--'} | Beat: ${this.beatPhase.toFixed(2)}`, 10, 100);
     }
 
-    // Draw connections with audio-reactive colors
-    for (let i = 0; i < this.agents.length; i++) {
-      for (let j = i + 1; j < this.agents.length; j++) {
-        const a = this.agents[i], b = this.agents[j];
-        const dx = a.x - b.x, dy = a.y - b.y;
-        const dist = Math.hypot(dx, dy);
-        
-        if (dist < this.connectDist) {
-          // Base opacity based on distance
-          let opacity = 1 - dist / this.connectDist;
-          
-          // Enhance opacity with audio intensity - connections get brighter with loud music
-          opacity *= (0.3 + this.audioIntensity * 0.7);
-          
-          // Bass boost - make connections thicker and more visible during bass hits
-          const lineWidth = 1 + this.bassIntensity * 2;
-          
-          // Get dynamic color for the connection
-          const connectionColor = this.getConnectionColor(i, j);
-          
-          this.ctx.globalAlpha = Math.min(1, opacity);
-          this.ctx.lineWidth = lineWidth;
-          this.ctx.strokeStyle = connectionColor;
-          this.ctx.beginPath();
-          this.ctx.moveTo(a.x, a.y);
-          this.ctx.lineTo(b.x, b.y);
-          this.ctx.stroke();
-        }
+    this.drawTrails();
+    this.drawConnections();
+    this.drawAgents();
+  }
+
+  /**
+   * Age agents and replace the dead. Base agents are reborn elsewhere, so
+   * the population never drops below the agent count; extra agents from
+   * onsets and bursts simply die, so the swarm decays back to it.
+   * @param {Object} frame Frame context
+   */
+  updateLifecycles(frame) {
+    const random = frame.random;
+    const survivors = [];
+    this.agents.forEach((agent, i) => {
+      agent.age += frame.delta;
+      if (agent.age < agent.lifespan) {
+        survivors.push(agent);
+      } else if (i < this.agentCount) {
+        agent.reset(this.width, this.height, random);
+        agent.lifespan = randomBetween(BASE_LIFESPAN, random);
+        survivors.push(agent);
       }
+    });
+    this.agents = survivors;
+    
+    const features = frame.audioFeatures;
+    if (features && features.onset) {
+      this.spawnOnOnset(features.onsetStrength || 0, random);
+    }
+  }
+
+  /**
+   * Split new agents off existing ones on an onset; stronger onsets
+   * spawn more, up to doubling the base population
+   * @param {number} strength Onset strength (0-1)
+   * @param {Function} random Random number source
+   */
+  spawnOnOnset(strength, random) {
+    const room = Math.min(this.agentCount * 2, MAX_AGENT_COUNT) - this.agents.length;
+    const count = Math.min(room, Math.round(ONSET_SPAWN_MAX * (0.25 + strength * 0.75)));
+    const parents = this.agents.length;
+    if (count <= 0 || parents === 0) return;
+
+    for (let i = 0; i < count; i++) {
+      const parent = this.agents[Math.floor(random() * parents)];
+      const agent = new Agent(this.width, this.height, this.agents.length, random);
+      agent.x = parent.x;
+      agent.y = parent.y;
+      agent.lifespan = randomBetween(EXTRA_LIFESPAN, random);
+      const angle = random() * Math.PI * 2;
+      agent.applyImpulse(Math.cos(angle) * ONSET_SPAWN_SPEED, Math.sin(angle) * ONSET_SPAWN_SPEED);
+      this.agents.push(agent);
     }
+  }
 
-    // Update and draw agents with enhanced audio scaling and dynamic colors
-    this.ctx.globalAlpha = 1;
-    this.ctx.lineWidth = 1; // Reset line width for agent drawing
+  /**
+   * Give every agent a lifespan, with ages staggered so they do not all die together
+   * @param {Function} random Random number source
+   */
+  assignLifespans(random) {
+    this.agents.forEach(agent => {
+      agent.lifespan = randomBetween(BASE_LIFESPAN, random);
+      agent.age = random() * agent.lifespan;
+    });
+  }
+
+  /**
+   * Size factor for fading agents in after birth and out before death
+   * @param {Agent} agent Agent
+   * @returns {number} Factor (0-1)
+   */
+  getLifeFade(agent) {
+    if (agent.lifespan === Infinity) return 1;
+    const fadeIn = agent.age / LIFE_FADE_SECONDS;
+    const fadeOut = (agent.lifespan - agent.age) / LIFE_FADE_SECONDS;
+    return Math.max(0, Math.min(1, fadeIn, fadeOut));
+  }
+
+  /**
+   * Turn agent births, deaths and onset spawning on or off
+   * @param {boolean} enabled Whether agents live and die
+   * @param {Function} random Random number source
+   */
+  setLifecycles(enabled, random = Math.random) {
+    this.lifecycles = enabled;
+    if (enabled) {
+      this.assignLifespans(random);
+    } else {
+      // Everyone lives forever again, and extra agents leave at once
+      this.agents = this.agents.slice(0, this.agentCount);
+      this.agents.forEach(agent => {
+        agent.age = 0;
+        agent.lifespan = Infinity;
+      });
+    }
+    console.log(`🌱 AgentSystem: Lifecycles ${enabled ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Whether agents live and die
+   * @returns {boolean} Lifecycle state
+   */
+  getLifecycles() {
+    return this.lifecycles;
+  }
+
+  /**
+   * Choose how agents leave trails
+   * @param {string} mode 'off', 'history' (fading line behind each agent) or 'persistence' (previous frames fade out)
+   */
+  setTrailMode(mode) {
+    if (!TRAIL_MODES.includes(mode)) return;
+    this.trailMode = mode;
+    this.agents.forEach(agent => agent.clearTrail());
+    this.clearCanvas();
+    console.log(`〰️ AgentSystem: Trails ${mode}`);
+  }
+
+  /**
+   * Get the trail mode
+   * @returns {string} One of TRAIL_MODES
+   */
+  getTrailMode() {
+    return this.trailMode;
+  }
+
+  /**
+   * Record agent positions and group trail segments by color bucket and
+   * alpha step, older segments fainter
+   */
+  collectTrails() {
+    const batchCount = this.bucketColors.length * ALPHA_LEVELS;
+    while (this.trailBatches.length < batchCount) this.trailBatches.push([]);
+    this.trailBatches.forEach(batch => (batch.length = 0));
+    if (this.trailMode !== 'history') return;
+
+    this.agents.forEach((agent, i) => {
+      agent.recordTrail(TRAIL_LENGTH);
+      const trail = agent.trail;
+      const base = this.agentBuckets[i] * ALPHA_LEVELS;
+      let slot = agent.trailHead;
+      for (let k = 1; k < agent.trailCount; k++) {
+        const previous = (slot + TRAIL_LENGTH - 1) % TRAIL_LENGTH;
+        const alphaLevel = ALPHA_LEVELS - Math.floor((k - 1) * ALPHA_LEVELS / (TRAIL_LENGTH - 1));
+        this.trailBatches[base + alphaLevel - 1].push(
+          trail[slot * 2], trail[slot * 2 + 1], trail[previous * 2], trail[previous * 2 + 1]
+        );
+        slot = previous;
+      }
+    });
+  }
+
+  /**
+   * Draw the collected trail segments with Canvas 2D, one path per batch
+   */
+  drawTrails() {
+    if (this.trailMode !== 'history') return;
+    const batchCount = this.bucketColors.length * ALPHA_LEVELS;
     
-    this.agents.forEach((agent, index) => {
-      // Make agents move faster when music is intense
-      const speedMultiplier = 1 + this.audioIntensity * 0.5;
-      agent.update(this.width, this.height, speedMultiplier);
+    for (let b = 0; b < batchCount; b++) {
+      const batch = this.trailBatches[b];
+      if (batch.length === 0) continue;
       
-      // Get audio-based scale for this agent
-      const audioScale = this.getAgentAudioScale(index);
-      const size = Math.max(0.5, this.baseSize * audioScale);
+      this.ctx.globalAlpha = ((b % ALPHA_LEVELS) + 1) / ALPHA_LEVELS;
+      this.ctx.strokeStyle = this.bucketColors[Math.floor(b / ALPHA_LEVELS)];
+      this.ctx.beginPath();
+      for (let k = 0; k < batch.length; k += 4) {
+        this.ctx.moveTo(batch[k], batch[k + 1]);
+        this.ctx.lineTo(batch[k + 2], batch[k + 3]);
+      }
+      this.ctx.stroke();
+    }
+    this.ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Erase everything drawn so far, including persistence trails
+   */
+  clearCanvas() {
+    if (this.glRenderer) {
+      this.glRenderer.clear();
+    } else if (this.ctx) {
+      this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+  }
+
+  /**
+   * React to pointers over the background: one or more presses pull or
+   * push nearby agents and fling them along with a drag, a long press
+   * spawns a burst, and two presses pinch the connection distance
+   * @param {Object} frame Frame context
+   */
+  handlePointers(frame) {
+    const pressed = (frame.pointers || []).filter(pointer => pointer.pressed);
+    this.burstPointers.forEach(id => {
+      if (!pressed.some(pointer => pointer.id === id)) this.burstPointers.delete(id);
+    });
+
+    if (pressed.length === 2) {
+      this.pinch(pressed[0], pressed[1]);
+      return;
+    }
+    this.pinchStart = null;
+
+    const steps = frame.delta * 60;
+    pressed.forEach(pointer => {
+      const isLongPress = pointer.duration >= LONG_PRESS_SECONDS && pointer.travel < LONG_PRESS_SLOP;
+      if (isLongPress && !this.burstPointers.has(pointer.id)) {
+        this.burstPointers.add(pointer.id);
+        this.spawnBurst(pointer.x, pointer.y, frame.random);
+      }
+      this.pushAgents(pointer, steps);
+    });
+  }
+
+  /**
+   * Pull (or push) agents near a pointer and drag them along with it;
+   * the momentum carries them on after release
+   * @param {Object} pointer Frame pointer
+   * @param {number} steps Frame length in 60fps frames
+   */
+  pushAgents(pointer, steps) {
+    const sign = this.pointerMode === 'repel' ? -1 : 1;
+    const flingX = pointer.vx / 60; // Pixels per frame
+    const flingY = pointer.vy / 60;
+
+    this.agents.forEach(agent => {
+      const dx = pointer.x - agent.x;
+      const dy = pointer.y - agent.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist >= POINTER_RADIUS) return;
+
+      const falloff = 1 - dist / POINTER_RADIUS;
+      const pull = (sign * POINTER_STRENGTH * falloff * steps) / Math.max(dist, 1);
+      const grip = FLING_GRIP * falloff * steps;
+      agent.applyImpulse(
+        dx * pull + (flingX - agent.mx) * grip,
+        dy * pull + (flingY - agent.my) * grip
+      );
+    });
+  }
+
+  /**
+   * Scale the connection distance by how far two pointers have spread
+   * since the pinch started
+   * @param {Object} first First pressed pointer
+   * @param {Object} second Second pressed pointer
+   */
+  pinch(first, second) {
+    const distance = Math.hypot(first.x - second.x, first.y - second.y);
+    const key = `${first.id}:${second.id}`;
+    if (!this.pinchStart || this.pinchStart.key !== key) {
+      this.pinchStart = { key, distance: Math.max(distance, 1), connectDist: this.baseConnectDist };
+      return;
+    }
+
+    const scaled = Math.round(this.pinchStart.connectDist * distance / this.pinchStart.distance);
+    const connectDist = Math.max(MIN_CONNECT_DISTANCE, Math.min(MAX_CONNECT_DISTANCE, scaled));
+    if (connectDist !== this.baseConnectDist) {
+      this.setConnectDistance(connectDist);
+    }
+  }
+
+  /**
+   * Spawn a ring of new agents flying out from a point
+   * @param {number} x Burst center x
+   * @param {number} y Burst center y
+   * @param {Function} random Random number source
+   */
+  spawnBurst(x, y, random) {
+    const count = Math.min(BURST_SIZE, MAX_AGENT_COUNT - this.agents.length);
+    if (count <= 0) return;
+
+    for (let i = 0; i < count; i++) {
+      const agent = new Agent(this.width, this.height, this.agents.length, random);
+      agent.x = x;
+      agent.y = y;
+      const angle = ((i + random()) / count) * Math.PI * 2;
+      const speed = BURST_SPEED * (0.5 + random() * 0.5);
+      agent.applyImpulse(Math.cos(angle) * speed, Math.sin(angle) * speed);
+      // With lifecycles the burst is temporary; otherwise it joins the population
+      if (this.lifecycles) agent.lifespan = randomBetween(EXTRA_LIFESPAN, random);
+      this.agents.push(agent);
+    }
+    console.log(`✨ AgentSystem: Burst of ${count} agents`);
+    if (!this.lifecycles) {
+      this.agentCount = this.agents.length;
+      this.notifyChange('count');
+    }
+  }
+
+  /**
+   * Set whether pressed pointers pull agents in or push them away
+   * @param {string} mode 'attract' or 'repel'
+   */
+  setPointerMode(mode) {
+    this.pointerMode = mode === 'repel' ? 'repel' : 'attract';
+  }
+
+  /**
+   * Get the pointer mode
+   * @returns {string} 'attract' or 'repel'
+   */
+  getPointerMode() {
+    return this.pointerMode;
+  }
+
+  /**
+   * Find agents closer than the connection distance and group the pairs
+   * by color bucket and alpha step
+   */
+  collectConnections() {
+    const batchCount = this.bucketColors.length * ALPHA_LEVELS;
+    while (this.lineBatches.length < batchCount) this.lineBatches.push([]);
+    this.lineBatches.forEach(batch => (batch.length = 0));
+    
+    const connectDist = this.connectDist;
+    const levels = this.agentLevels;
+    const buckets = this.agentBuckets;
+    // Enhance opacity with audio intensity - connections get brighter with loud music
+    const intensityAlpha = 0.3 + this.audioIntensity * 0.7;
+    
+    this.spatialHash.rebuild(this.agents, this.width, this.height, connectDist);
+    this.spatialHash.forEachPair(this.agents, connectDist, (i, j, dist) => {
+      // Base opacity based on distance, drawn in ALPHA_LEVELS steps
+      const alphaLevel = Math.round(Math.min(1, (1 - dist / connectDist) * intensityAlpha) * ALPHA_LEVELS);
+      if (alphaLevel === 0) return;
       
-      // Get dynamic color for this agent
-      const agentColor = this.getAgentColor(index, this.audioIntensity);
+      // Use the color of the agent with higher frequency response (the later one on ties)
+      const first = Math.min(i, j);
+      const second = Math.max(i, j);
+      const bucket = levels[first] > levels[second] ? buckets[first] : buckets[second];
+      this.lineBatches[bucket * ALPHA_LEVELS + alphaLevel - 1].push(first, second);
+    });
+  }
+
+  /**
+   * Draw the collected connections with Canvas 2D, one path per batch
+   */
+  drawConnections() {
+    const batchCount = this.bucketColors.length * ALPHA_LEVELS;
+    
+    // Bass boost - make connections thicker and more visible during bass hits
+    this.ctx.lineWidth = 1 + this.bassIntensity * 2;
+    for (let b = 0; b < batchCount; b++) {
+      const batch = this.lineBatches[b];
+      if (batch.length === 0) continue;
       
-      // Add subtle glow effect during intense audio
-      if (this.audioIntensity > 0.5) {
-        this.ctx.shadowBlur = 10 * this.audioIntensity;
-        this.ctx.shadowColor = agentColor;
-      } else {
-        this.ctx.shadowBlur = 0;
+      this.ctx.globalAlpha = ((b % ALPHA_LEVELS) + 1) / ALPHA_LEVELS;
+      this.ctx.strokeStyle = this.bucketColors[Math.floor(b / ALPHA_LEVELS)];
+      this.ctx.beginPath();
+      for (let k = 0; k < batch.length; k += 2) {
+        const a = this.agents[batch[k]];
+        const c = this.agents[batch[k + 1]];
+        this.ctx.moveTo(a.x, a.y);
+        this.ctx.lineTo(c.x, c.y);
       }
+      this.ctx.stroke();
+    }
+    
+    this.ctx.globalAlpha = 1;
+    this.ctx.lineWidth = 1;
+  }
+
+  /**
+   * Draw the agents with Canvas 2D, one path per color bucket
+   */
+  drawAgents() {
+    const bucketCount = this.bucketColors.length;
+    while (this.agentBatches.length < bucketCount) this.agentBatches.push([]);
+    this.agentBatches.forEach(batch => (batch.length = 0));
+    for (let i = 0; i < this.agents.length; i++) {
+      this.agentBatches[this.agentBuckets[i]].push(i);
+    }
+    
+    const glow = this.getGlow();
+    this.ctx.shadowBlur = glow;
+    
+    for (let b = 0; b < bucketCount; b++) {
+      const batch = this.agentBatches[b];
+      if (batch.length === 0) continue;
       
-      // Set the agent color
-      this.ctx.fillStyle = agentColor;
-      this.ctx.strokeStyle = agentColor;
-      
-      agent.draw(this.ctx, size);
-    });
+      this.ctx.fillStyle = this.bucketColors[b];
+      if (glow) this.ctx.shadowColor = this.bucketColors[b];
+      this.ctx.beginPath();
+      batch.forEach(index => {
+        const agent = this.agents[index];
+        const size = this.agentSizes[index];
+        this.ctx.moveTo(agent.x + size, agent.y);
+        this.ctx.arc(agent.x, agent.y, size, 0, Math.PI * 2);
+      });
+      this.ctx.fill();
+    }
     
-    // Reset shadow and color for next frame
+    // Reset shadow for next frame
     this.ctx.shadowBlur = 0;
+  }
+
+  /**
+   * Glow radius around agents; a subtle glow appears during intense audio
+   * @returns {number} Radius in pixels (0 for none)
+   */
+  getGlow() {
+    return this.audioIntensity > 0.5 ? 10 * this.audioIntensity : 0;
+  }
 
-    requestAnimationFrame(this.animate);
+  /**
+   * Choose the drawing backend. WebGL2 draws agents as instanced sprites
+   * and connections from one line buffer; Canvas 2D is used when WebGL2
+   * is unavailable, fails to start, or loses its context.
+   * @param {string} renderer 'webgl' or '2d'
+   * @returns {string} Backend now in use
+   */
+  setRenderer(renderer) {
+    const wantsWebGL = renderer === 'webgl';
+    if ((this.ctx || this.glRenderer) && wantsWebGL === Boolean(this.glRenderer)) {
+      return this.getRenderer();
+    }
+    
+    // A canvas keeps the first kind of context it hands out, so switching needs a new one
+    if (this.ctx || this.glRenderer) {
+      this.replaceCanvas();
+    }
+    
+    if (wantsWebGL) {
+      try {
+        this.glRenderer = new AgentGLRenderer(this.canvas);
+        this.glRenderer.onContextLost = () => this.setRenderer('2d');
+      } catch (error) {
+        console.warn('⚠️ AgentSystem: WebGL2 unavailable, using Canvas 2D:', error.message);
+        this.replaceCanvas();
+      }
+    }
+    if (!this.glRenderer) {
+      this.ctx = this.canvas.getContext('2d');
+    }
+    
+    console.log(`🎨 AgentSystem: Rendering with ${this.glRenderer ? 'WebGL2' : 'Canvas 2D'}`);
+    return this.getRenderer();
+  }
+
+  /**
+   * Current drawing backend
+   * @returns {string} 'webgl' or '2d'
+   */
+  getRenderer() {
+    return this.glRenderer ? 'webgl' : '2d';
+  }
+
+  /**
+   * Swap in a fresh canvas with the same id and styles, dropping the current backend
+   */
+  replaceCanvas() {
+    if (this.glRenderer) {
+      this.glRenderer.destroy();
+      this.glRenderer = null;
+    }
+    this.ctx = null;
+    
+    const canvas = document.createElement('canvas');
+    canvas.id = this.canvas.id;
+    canvas.className = this.canvas.className;
+    canvas.style.cssText = this.canvas.style.cssText;
+    canvas.width = this.width;
+    canvas.height = this.height;
+    this.canvas.replaceWith(canvas);
+    this.canvas = canvas;
   }
 
   /**
@@ -357,11 +884,37 @@ export class AgentSystem extends Component {
    */
   setAgentCount(count) {
     console.log(`🎯 AgentSystem: Setting agent count to ${count}`);
-    this.agentCount = Math.max(20, Math.min(120, count));
+    this.agentCount = Math.max(MIN_AGENT_COUNT, Math.min(MAX_AGENT_COUNT, count));
     
     // Recreate agents with new count
     this.agents = [];
     this.initAgents();
+    if (this.lifecycles) this.assignLifespans(Math.random);
+    this.notifyChange('count');
+  }
+
+  /**
+   * Switch to a behavior preset
+   * @param {string} name Key of BEHAVIOR_PRESETS
+   * @returns {boolean} Whether the preset exists
+   */
+  setBehaviorPreset(name) {
+    const preset = BEHAVIOR_PRESETS[name];
+    if (!preset) return false;
+    
+    console.log(`🧭 AgentSystem: Behavior preset ${preset.name}`);
+    this.behaviorPreset = name;
+    this.behaviors = preset.create();
+    this.maxSpeed = preset.maxSpeed;
+    return true;
+  }
+
+  /**
+   * Get the current behavior preset
+   * @returns {string} Key of BEHAVIOR_PRESETS
+   */
+  getBehaviorPreset() {
+    return this.behaviorPreset;
   }
 
   /**
@@ -370,7 +923,7 @@ export class AgentSystem extends Component {
    */
   setConnectionDistance(distance) {
     console.log(`🔗 AgentSystem: Setting connection distance to ${distance}`);
-    this.connectDist = Math.max(50, Math.min(200, distance));
+    this.connectDist = Math.max(MIN_CONNECT_DISTANCE, Math.min(MAX_CONNECT_DISTANCE, distance));
   }
 
   /**
@@ -388,4 +941,39 @@ export class AgentSystem extends Component {
   getConnectionDistance() {
     return this.connectDist;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Add a change callback, called when the agent count or connection
+   * distance changes, including through touch gestures
+   * @param {Function} callback Callback receiving (agentSystem, change) with change 'count' or 'connectDistance'
+   */
+  addChangeListener(callback) {
+    this.changeCallbacks.add(callback);
+  }
+
+  /**
+   * Remove a change callback
+   * @param {Function} callback Callback function
+   */
+  removeChangeListener(callback) {
+    this.changeCallbacks.delete(callback);
+  }
+
+  /**
+   * Notify change callbacks
+   * @param {string} change What changed
+   */
+  notifyChange(change) {
+    this.changeCallbacks.forEach(callback => callback(this, change));
+  }
+}
+
+/**
+ * Pick a number in a range
+ * @param {Array<number>} range [min, max]
+ * @param {Function} random Random number source
+ * @returns {number} Value in the range
+ */
+function randomBetween([min, max], random) {
+  return min + random() * (max - min);
+}
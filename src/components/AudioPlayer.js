@@ -116,14 +116,12 @@ export class AudioPlayer extends Component {
       this.audioManager.setVolume(this.volumeControl.value);
     });
     
-    // Update progress
-    setInterval(() => {
-      if (this.audioManager.isPlaying) {
-        const progress = this.audioManager.currentTime / this.audioManager.duration;
-        this.updateProgress(progress);
-        this.updateTimeDisplay();
-      }
-    }, 100);
+    // Follow the transport clock instead of polling
+    this.audioManager.on('timeupdate', ({ currentTime, duration, isPlaying }) => {
+      this.updateProgress(duration ? currentTime / duration : 0);
+      this.updateTimeDisplay(currentTime, duration);
+      this.playButton.innerHTML = isPlaying ? '⏸' : '▶';
+    });
   }
 
   /**
@@ -136,16 +134,18 @@ export class AudioPlayer extends Component {
 
   /**
    * Update time display
+   * @param {number} currentTime Position in seconds
+   * @param {number} duration Track length in seconds
    */
-  updateTimeDisplay() {
+  updateTimeDisplay(currentTime = this.audioManager.getCurrentTime(), duration = this.audioManager.duration) {
     const formatTime = (time) => {
       const minutes = Math.floor(time / 60);
       const seconds = Math.floor(time % 60);
       return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     };
     
-    const current = formatTime(this.audioManager.currentTime);
-    const total = formatTime(this.audioManager.duration);
+    const current = formatTime(currentTime);
+    const total = formatTime(duration);
     this.timeDisplay.textContent = `${current} / ${total}`;
   }
 } 
\ No newline at end of file
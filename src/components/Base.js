@@ -22,4 +22,36 @@ export class Component {
   onVisibilityChange(visible) {
     // Override in child classes
   }
+
+  /**
+   * Canvas the component draws into (see LayerCompositor)
+   * @returns {HTMLCanvasElement|null} Canvas element
+   */
+  getCanvas() {
+    return this.layer ? this.layer.canvas : this.canvas || null;
+  }
+
+  /**
+   * Advance and draw one frame (layers created by a factory forward to it)
+   * @param {Object} frame Frame context (see FrameScheduler)
+   */
+  renderFrame(frame) {
+    if (this.layer) this.layer.renderFrame(frame);
+  }
+
+  /**
+   * Wait until the component has loaded what it draws
+   * @returns {Promise<void>} Resolves when frames render fully
+   */
+  whenReady() {
+    return (this.layer && this.layer.ready) || Promise.resolve();
+  }
+
+  /**
+   * Re-create the animated state from a random source
+   * @param {Function} random Random number source
+   */
+  reset(random = Math.random) {
+    if (this.layer) this.layer.reset(random);
+  }
 } 
\ No newline at end of file
@@ -77,7 +77,6 @@ function createCylinderLayer(id = "cylinder3D") {
   canvas.style.position = "absolute";
   canvas.style.top = 0;
   canvas.style.left = 0;
-  canvas.style.zIndex = 2; // In front of grid (grid has z-index 0-1)
   canvas.style.pointerEvents = "none";
   canvas.style.opacity = 0.8;
 
@@ -94,8 +93,6 @@ function createCylinderLayer(id = "cylinder3D") {
   // Number of segments for the cylinder
   const segments = 24;
   const heightSegments = 8;
-  
-  let animationFrame;
 
   /**
    * Project 3D point to 2D screen coordinates
@@ -155,10 +152,18 @@ function createCylinderLayer(id = "cylinder3D") {
     return vertices;
   }
 
+  /**
+   * Return to the starting rotation
+   */
+  function reset() {
+    rotationY = 0;
+  }
+
   /**
    * Draw the 3D cylinder
+   * @param {Object} frame Frame context (see FrameScheduler)
    */
-  function draw() {
+  function renderFrame(frame) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
     const vertices = generateVertices();
@@ -245,10 +250,8 @@ function createCylinderLayer(id = "cylinder3D") {
       ctx.stroke();
     }
     
-    // Update rotation
-    rotationY += rotationSpeed;
-    
-    animationFrame = requestAnimationFrame(draw);
+    // Update rotation (speed is per 60fps frame)
+    rotationY += rotationSpeed * frame.delta * 60;
   }
 
   // Handle window resize
@@ -257,19 +260,19 @@ function createCylinderLayer(id = "cylinder3D") {
     canvas.height = window.innerHeight;
   });
 
-  draw();
 
   return {
     canvas,
+    renderFrame,
+    reset,
     destroy: () => {
-      cancelAnimationFrame(animationFrame);
       canvas.remove();
     },
     setOpacity: (value) => {
       canvas.style.opacity = value;
     },
-    hide: () => (canvas.style.opacity = 0),
-    show: () => (canvas.style.opacity = 0.8),
+    hide: () => (canvas.style.display = 'none'),
+    show: () => (canvas.style.display = 'block'),
     setRotationSpeed: (speed) => {
       rotationSpeed = speed * 0.02;
     },
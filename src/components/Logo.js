@@ -14,6 +14,7 @@ export class Logo extends Component {
     this.audioScale = 1.0;
     this.baseScale = 1.0;
     this.maxScale = 1.2;
+    this.beatPulse = 0; // Decaying kick added on detected beats
     
     this.createElement();
     this.setupAudioVisualization();
@@ -109,7 +110,13 @@ export class Logo extends Component {
       this.audioManager.addVisualizer((normalizedData) => {
         // Calculate overall audio intensity
         const audioIntensity = (normalizedData.bass + normalizedData.mid + normalizedData.treble) / 3;
-        this.audioScale = this.baseScale + audioIntensity * (this.maxScale - this.baseScale);
+        
+        // Kick on real beats, easing back between them
+        this.beatPulse = normalizedData.beat ? 1 : this.beatPulse * 0.85;
+        
+        this.audioScale = this.baseScale +
+          audioIntensity * (this.maxScale - this.baseScale) +
+          this.beatPulse * 0.05;
         this.updateScale();
       });
     }
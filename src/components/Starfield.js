@@ -1,15 +1,69 @@
 import { Component } from './Base.js';
 
+export const MIN_STAR_COUNT = 20;
+export const MAX_STAR_COUNT = 2000;
+export const MAX_DEPTH_LAYERS = 5;
+
+// Speeds are in depth units per 60fps frame; the depth is the canvas width
+const CRUISE_SPEED = 4;
+// Extra speed multiple at full bass
+const WARP_BOOST = 10;
+// How quickly warp and the vanishing point ease toward their targets (per second)
+const WARP_EASE = 6;
+const STEER_EASE = 3;
+// Share of the pointer's offset from the center the vanishing point moves
+const STEER_AMOUNT = 0.5;
+// Radius cap for stars passing right in front of the viewer
+const MAX_STAR_SIZE = 4;
+// Streak length as a multiple of the distance moved this frame, at full warp
+const STREAK_LENGTH = 4;
+
 /**
- * Starfield component that creates a dynamic star field effect
+ * Starfield component that creates a dynamic star field effect.
+ * Bass drives warp speed with streaked stars, treble makes stars twinkle,
+ * and the vanishing point follows the pointer or the device tilt with
+ * nearer depth layers shifting further (parallax).
  */
 export class Starfield extends Component {
   /**
    * Create a new Starfield instance
+   * @param {Object} options Options { starCount, depthLayers }
    */
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.layer = createStarfieldLayer();
+    this.layer = createStarfieldLayer('starfield', options);
+  }
+
+  /**
+   * Set the number of stars
+   * @param {number} count Star count (MIN_STAR_COUNT to MAX_STAR_COUNT)
+   */
+  setStarCount(count) {
+    this.layer.setStarCount(count);
+  }
+
+  /**
+   * Get the number of stars
+   * @returns {number} Star count
+   */
+  getStarCount() {
+    return this.layer.getStarCount();
+  }
+
+  /**
+   * Set the number of parallax depth layers
+   * @param {number} count Layer count (1 to MAX_DEPTH_LAYERS)
+   */
+  setDepthLayers(count) {
+    this.layer.setDepthLayers(count);
+  }
+
+  /**
+   * Get the number of parallax depth layers
+   * @returns {number} Layer count
+   */
+  getDepthLayers() {
+    return this.layer.getDepthLayers();
   }
 
   /**
@@ -43,9 +97,10 @@ export class Starfield extends Component {
 /**
  * Create a starfield layer with animated stars
  * @param {string} id Canvas element ID
+ * @param {Object} options Options { starCount, depthLayers }
  * @returns {Object} Starfield control methods
  */
-function createStarfieldLayer(id = "starfield") {
+function createStarfieldLayer(id = "starfield", { starCount = 200, depthLayers = 3 } = {}) {
   const canvas = document.createElement("canvas");
   canvas.id = id;
   canvas.width = window.innerWidth;
@@ -53,39 +108,135 @@ function createStarfieldLayer(id = "starfield") {
   canvas.style.position = "absolute";
   canvas.style.top = 0;
   canvas.style.left = 0;
-  canvas.style.zIndex = 0;
   canvas.style.pointerEvents = "none";
   canvas.style.opacity = 1;
 
   document.body.appendChild(canvas);
 
   const ctx = canvas.getContext("2d");
-  const numStars = 100;
-  const stars = Array.from({ length: numStars }, () => ({
-    x: Math.random() * canvas.width,
-    y: Math.random() * canvas.height,
-    z: Math.random() * canvas.width,
-  }));
+  let numStars = clampStarCount(starCount);
+  let numLayers = clampDepthLayers(depthLayers);
+  let stars = [];
+  let warp = 0; // Smoothed bass (0-1)
+  let steerX = 0; // Vanishing point offset from the center
+  let steerY = 0;
+
+  /**
+   * Create a star somewhere in the volume; star i belongs to depth layer i % numLayers
+   * @param {Function} random Random number source
+   * @param {number} z Depth (defaults to a random depth)
+   * @returns {Object} Star
+   */
+  function createStar(random, z = random() * canvas.width) {
+    return {
+      x: (random() - 0.5) * canvas.width,
+      y: (random() - 0.5) * canvas.height,
+      z,
+      color: temperatureToRgb(3000 + random() * random() * 9000),
+      twinklePhase: random() * Math.PI * 2,
+      twinkleRate: 2 + random() * 6,
+    };
+  }
+
+  function reset(random = Math.random) {
+    stars = Array.from({ length: numStars }, () => createStar(random));
+    warp = 0;
+    steerX = 0;
+    steerY = 0;
+  }
+
+  /**
+   * Ease the vanishing point toward the first pointer, else the device tilt
+   * @param {Object} frame Frame context
+   * @param {number} ease Share of the remaining distance to cover this frame
+   */
+  function steer(frame, ease) {
+    const pointers = frame.pointers || [];
+    const pointer = pointers.find(item => item.pressed) || pointers[0];
+    let targetX = 0;
+    let targetY = 0;
+    if (pointer) {
+      targetX = (pointer.x - canvas.width / 2) * STEER_AMOUNT;
+      targetY = (pointer.y - canvas.height / 2) * STEER_AMOUNT;
+    } else if (frame.tilt) {
+      targetX = frame.tilt.x * (canvas.width / 2) * STEER_AMOUNT;
+      targetY = frame.tilt.y * (canvas.height / 2) * STEER_AMOUNT;
+    }
+    steerX += (targetX - steerX) * ease;
+    steerY += (targetY - steerY) * ease;
+  }
 
-  let animationFrame;
+  function renderFrame(frame) {
+    // Speeds are tuned per 60fps frame
+    const steps = frame.delta * 60;
+    const features = frame.audioFeatures;
+    const bass = features ? features.bass : 0;
+    const treble = features ? features.treble : 0;
+    warp += (bass - warp) * Math.min(1, frame.delta * WARP_EASE);
+    steer(frame, Math.min(1, frame.delta * STEER_EASE));
+
+    const depth = canvas.width;
+    const speed = CRUISE_SPEED * (1 + warp * WARP_BOOST) * steps;
+    // Without treble stars barely shimmer; loud highs make them flicker deeply
+    const twinkleDepth = 0.1 + treble * 0.7;
 
-  function draw() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = "white";
-    stars.forEach((star) => {
-      star.z -= 4;
-      if (star.z <= 0) star.z = canvas.width;
-
-      const sx = (star.x - canvas.width / 2) * (canvas.width / star.z) + canvas.width / 2;
-      const sy = (star.y - canvas.height / 2) * (canvas.height / star.z) + canvas.height / 2;
-      const size = 1 * (canvas.width / star.z);
-
-      ctx.beginPath();
-      ctx.arc(sx, sy, size, 0, 2 * Math.PI);
-      ctx.fill();
+    ctx.lineCap = "round";
+    stars.forEach((star, i) => {
+      // Far layers move slower, look smaller and dimmer, and shift less with the vanishing point
+      const nearness = ((i % numLayers) + 1) / numLayers;
+      const move = speed * nearness;
+      star.z -= move;
+      if (star.z <= 1) {
+        Object.assign(star, createStar(frame.random, depth));
+        return;
+      }
+
+      const centerX = canvas.width / 2 + steerX * nearness;
+      const centerY = canvas.height / 2 + steerY * nearness;
+      const scale = depth / star.z;
+      const sx = centerX + star.x * scale;
+      const sy = centerY + star.y * scale;
+      if (sx < 0 || sx > canvas.width || sy < 0 || sy > canvas.height) {
+        Object.assign(star, createStar(frame.random, depth));
+        return;
+      }
+
+      const size = Math.min(MAX_STAR_SIZE, (0.5 + nearness * 0.5) * scale);
+      const twinkle = 1 - twinkleDepth * (0.5 + 0.5 * Math.sin(frame.time * star.twinkleRate + star.twinklePhase));
+      // Fade in from the far plane so new stars do not pop
+      const fadeIn = Math.min(1, (depth - star.z) / (depth * 0.2));
+      const alpha = (0.4 + nearness * 0.6) * twinkle * fadeIn;
+      const color = `rgba(${star.color}, ${alpha})`;
+
+      // Streak from where the star was a little earlier, longer as warp builds
+      const tailScale = depth / Math.min(depth, star.z + move * (1 + warp * STREAK_LENGTH));
+      const tx = centerX + star.x * tailScale;
+      const ty = centerY + star.y * tailScale;
+      if (Math.hypot(sx - tx, sy - ty) > size * 2) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = size * 2;
+        ctx.beginPath();
+        ctx.moveTo(tx, ty);
+        ctx.lineTo(sx, sy);
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(sx, sy, size, 0, 2 * Math.PI);
+        ctx.fill();
+      }
     });
+  }
 
-    animationFrame = requestAnimationFrame(draw);
+  function setStarCount(count) {
+    numStars = clampStarCount(count);
+    if (stars.length > numStars) {
+      stars.length = numStars;
+    }
+    while (stars.length < numStars) {
+      stars.push(createStar(Math.random));
+    }
   }
 
   // Handle window resize
@@ -94,18 +245,57 @@ function createStarfieldLayer(id = "starfield") {
     canvas.height = window.innerHeight;
   });
 
-  draw();
+  reset();
 
   return {
     canvas,
+    renderFrame,
+    reset,
+    setStarCount,
+    getStarCount: () => numStars,
+    setDepthLayers: (count) => {
+      numLayers = clampDepthLayers(count);
+    },
+    getDepthLayers: () => numLayers,
     destroy: () => {
-      cancelAnimationFrame(animationFrame);
       canvas.remove();
     },
     setOpacity: (value) => {
       canvas.style.opacity = value;
     },
-    hide: () => (canvas.style.opacity = 0),
-    show: () => (canvas.style.opacity = 1),
+    hide: () => (canvas.style.display = 'none'),
+    show: () => (canvas.style.display = 'block'),
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Keep a star count in range
+ * @param {number} count Requested count
+ * @returns {number} Whole count between MIN_STAR_COUNT and MAX_STAR_COUNT
+ */
+function clampStarCount(count) {
+  return Math.max(MIN_STAR_COUNT, Math.min(MAX_STAR_COUNT, Math.round(count)));
+}
+
+/**
+ * Keep a depth layer count in range
+ * @param {number} count Requested count
+ * @returns {number} Whole count between 1 and MAX_DEPTH_LAYERS
+ */
+function clampDepthLayers(count) {
+  return Math.max(1, Math.min(MAX_DEPTH_LAYERS, Math.round(count)));
+}
+
+/**
+ * Approximate the color of a black body, from warm orange to blue-white
+ * @param {number} kelvin Color temperature (1000-40000 K)
+ * @returns {string} "r, g, b" (0-255) for use in rgba()
+ */
+function temperatureToRgb(kelvin) {
+  const t = kelvin / 100;
+  const clamp = value => Math.round(Math.max(0, Math.min(255, value)));
+  const r = t <= 66 ? 255 : 329.7 * Math.pow(t - 60, -0.1332);
+  const g = t <= 66 ? 99.47 * Math.log(t) - 161.12 : 288.12 * Math.pow(t - 60, -0.0755);
+  const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04;
+  return `${clamp(r)}, ${clamp(g)}, ${clamp(b)}`;
+}
@@ -53,7 +53,6 @@ function createGridLayer(id = "vectorGrid") {
   canvas.style.position = "absolute";
   canvas.style.top = 0;
   canvas.style.left = 0;
-  canvas.style.zIndex = 0;
   canvas.style.pointerEvents = "none";
   canvas.style.opacity = 1;
 
@@ -62,9 +61,12 @@ function createGridLayer(id = "vectorGrid") {
   const ctx = canvas.getContext("2d");
   const gridSpacing = 40;
   let offset = 0;
-  let animationFrame;
 
-  function draw() {
+  function reset() {
+    offset = 0;
+  }
+
+  function renderFrame(frame) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     ctx.strokeStyle = "#0ff";
     ctx.lineWidth = 1;
@@ -80,8 +82,8 @@ function createGridLayer(id = "vectorGrid") {
       }
     }
 
-    offset += 1;
-    animationFrame = requestAnimationFrame(draw);
+    // One pixel per 60fps frame
+    offset += frame.delta * 60;
   }
 
   // Handle window resize
@@ -90,18 +92,18 @@ function createGridLayer(id = "vectorGrid") {
     canvas.height = window.innerHeight;
   });
 
-  draw();
 
   return {
     canvas,
+    renderFrame,
+    reset,
     destroy: () => {
-      cancelAnimationFrame(animationFrame);
       canvas.remove();
     },
     setOpacity: (value) => {
       canvas.style.opacity = value;
     },
-    hide: () => (canvas.style.opacity = 0),
-    show: () => (canvas.style.opacity = 1),
+    hide: () => (canvas.style.display = 'none'),
+    show: () => (canvas.style.display = 'block'),
   };
 } 
\ No newline at end of file
@@ -1,4 +1,13 @@
 import { GOOGLE_DRIVE_CONFIG } from '../config/googleDrive.js';
+import { AudioDeck } from '../utils/AudioDeck.js';
+import { BeatDetector } from '../utils/BeatDetector.js';
+import { BandAnalyzer, BAND_PRESETS } from '../utils/BandAnalyzer.js';
+import { AudioInput } from '../utils/AudioInput.js';
+import { EffectsRack } from './EffectsRack.js';
+import { measureLoudness } from '../utils/LoudnessMeter.js';
+import { MasterRecorder } from '../utils/MasterRecorder.js';
+
+const LOUDNESS_STORAGE_KEY = 'omnivoid-loudness';
 
 /**
  * AudioManager handles audio playback and FFT analysis with optimized performance
@@ -16,10 +25,42 @@ export class AudioManager {
     this.audioContext = null;
     this.analyser = null;
     this.dataArray = null;
-    this.source = null;
     this.gainNode = null;
+    this.effectsRack = null;
+    this.analysisBus = null;
+    this.recorder = null;
     this.audioBuffer = null;
     
+    // 'file' analyses deck playback, 'input' analyses the microphone/line-in
+    this.inputSource = 'file';
+    this.audioInput = null;
+    
+    // Two decks so the next track can overlap the current one
+    this.decks = [];
+    this.activeDeckIndex = 0;
+    this.crossfadeDuration = 4; // Seconds; 0 = gapless back-to-back
+    this.transitionLookahead = 1; // Seconds before a fade that it gets scheduled
+    this.streamLookahead = 3; // Streams need longer to buffer before a fade
+    this.nextTrack = null; // { url, mode, buffer, ready } prepared for the standby deck
+    this.transition = null; // Scheduled crossfade between decks
+    this.transitionTimer = null;
+    
+    // Decoded buffers by URL (pending decodes are stored as promises)
+    this.bufferCache = new Map();
+    this.maxCachedBuffers = 3;
+    
+    // 'buffer' decodes whole files, 'stream' plays through an <audio> element,
+    // 'auto' streams anything larger than streamingThreshold bytes
+    this.playbackMode = 'auto';
+    this.streamingThreshold = 8 * 1024 * 1024;
+    
+    // Loudness normalization: each deck is trimmed towards targetLufs, but never
+    // boosted past maxBoostDb or so far that its true peak exceeds ceilingDb.
+    // The trim sits before the analyser, so visual intensity is normalized too.
+    this.normalization = { enabled: true, targetLufs: -14, ceilingDb: -1, maxBoostDb: 12 };
+    this.loudnessCache = this.loadLoudnessCache(); // url → { integrated, truePeak }
+    this.pendingLoudness = new Map(); // url → measurement promise
+    
     // Playback state
     this.isPlaying = false;
     this.currentTime = 0;
@@ -27,29 +68,48 @@ export class AudioManager {
     this.duration = 0;
     this.pendingPlayback = false;
     
-    // Visualization state
+    // Transport: rate, optional pitch preservation and A–B loop
+    this.playbackRate = 1;
+    this.preservePitch = false;
+    this.loop = null; // { start, end } in track seconds
+    this.transportTimer = null;
+    this.lastTimeUpdate = 0;
+    this.timeUpdateInterval = 250; // ms between 'timeupdate' events
+    
+    // Visualization state; frames are requested by the FrameScheduler
     this.isProcessing = false;
-    this.frameId = null;
     this.lastFrameTime = 0;
+    this.lastFeatures = null;
     this.minFrameInterval = 1000 / 60; // 60 FPS
     this.visualizerCallbacks = new Set();
     
+    // Playback event listeners keyed by event name ('ended', ...)
+    this.eventListeners = new Map();
+    
     // Audio analysis parameters
     this.fftSize = 1024;
     this.bufferLength = this.fftSize / 2;
     
+    // Onset/beat tracking on the analyser spectrum
+    this.beatDetector = new BeatDetector();
+    
+    // bass/mid/treble stay fixed for existing visualizers; bandAnalyzer is user-configurable
+    this.coreBands = new BandAnalyzer(BAND_PRESETS.classic());
+    this.bandAnalyzer = new BandAnalyzer(BAND_PRESETS.log());
+    
     // Initialize audio context with optimized settings but don't create until user interaction
     this.audioWorklet = null;
     
+    // Time-domain features posted by the worklet (or computed on the main thread as a fallback)
+    this.signalFeatures = { rms: 0, peak: 0, zeroCrossingRate: 0, spectralCentroid: 0 };
+    // Highest worklet peak since the last visual frame, so throttled frames keep transients
+    this.peakSinceFrame = 0;
+    this.timeDomainData = null;
+    
     // Audio state
     this.isInitialized = false;
     this.audioBuffer = null; // Cached audio buffer
     
-    // Performance optimization flags
-    this.frameId = null;
-    this.lastFrameTime = 0;
-    this.minFrameInterval = 1000 / 60; // Cap at 60fps
-    
     // Add click listener for initial context resume
     document.addEventListener('click', () => this.handleFirstInteraction(), { once: true });
     
@@ -65,7 +125,7 @@ export class AudioManager {
       await this.audioContext.resume();
       console.log('✅ Audio context resumed');
       
-      if (this.pendingPlayback && this.audioBuffer) {
+      if (this.pendingPlayback && this.hasLoadedTrack()) {
         this.play();
       }
     }
@@ -96,16 +156,43 @@ export class AudioManager {
     this.dataArray = new Float32Array(this.bufferLength);
 
     console.log('🔊 Creating audio nodes...');
+    // Analysis taps a bus that playback and live input both feed, so the
+    // input can drive the visuals without being heard
+    this.analysisBus = this.audioContext.createGain();
+    this.analysisBus.connect(this.analyser);
+    
     // Create and connect gain node
     this.gainNode = this.audioContext.createGain();
-    this.gainNode.connect(this.analyser);
-    this.analyser.connect(this.audioContext.destination);
+    
+    // Master effects sit after the volume so the visuals follow what is heard
+    this.effectsRack = new EffectsRack(this.audioContext);
+    this.gainNode.connect(this.effectsRack.input);
+    this.effectsRack.output.connect(this.analysisBus);
+    this.effectsRack.output.connect(this.audioContext.destination);
+    
+    // The recorder hears the master output plus the live input (see setInputSource)
+    this.recorder = new MasterRecorder(this.audioContext);
+    this.effectsRack.output.connect(this.recorder.input);
+
+    // Both decks feed the master gain: deck → gainNode → effectsRack → destination (+ analysisBus → analyser)
+    this.decks = [0, 1].map(() => {
+      const deck = new AudioDeck(this.audioContext, this.gainNode);
+      deck.onended = (endedDeck) => this.handleDeckEnded(endedDeck);
+      return deck;
+    });
+    this.activeDeckIndex = 0;
 
     // Load and initialize audio worklet
     try {
       console.log('🔧 Loading audio worklet...');
       await this.audioContext.audioWorklet.addModule('/src/audio-worklet/audio-processor.js');
-      this.audioWorklet = new AudioWorkletNode(this.audioContext, 'audio-processor');
+      this.audioWorklet = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+        processorOptions: { windowSize: this.fftSize }
+      });
+      this.audioWorklet.port.onmessage = (event) => this.handleWorkletFeatures(event.data);
+      
+      // Tap the analysis bus; the worklet outputs silence
+      this.analysisBus.connect(this.audioWorklet);
       this.audioWorklet.connect(this.audioContext.destination);
       console.log('✅ Audio worklet loaded and connected');
     } catch (error) {
@@ -117,10 +204,12 @@ export class AudioManager {
   }
 
   /**
-   * Load an audio file with optimized buffering
+   * Load an audio file, either fully decoded or as a stream
    * @param {string} url URL of the audio file (can be local or Google Drive)
+   * @param {Object} options Load options
+   * @param {string} options.mode 'buffer', 'stream' or 'auto' (defaults to playbackMode)
    */
-  async loadAudio(url) {
+  async loadAudio(url, options = {}) {
     try {
       console.log('🎵 Starting audio load process...');
       
@@ -134,24 +223,29 @@ export class AudioManager {
       // Initialize context if not already done
       await this.initializeAudioContext();
 
-      // Stop any existing playback
-      if (this.source) {
+      // Stop any existing playback and drop the queued transition
+      this.cancelTransition();
+      this.nextTrack = null;
+      if (this.isPlaying) {
         console.log('⏹️ Stopping existing playback...');
-        this.source.stop();
-        this.source.disconnect();
+        this.decks.forEach(deck => deck.stop());
+        this.isPlaying = false;
+        this.stopVisualizationIfIdle();
       }
 
-      // Always clear the buffer when loading a new file
-      console.log(`📥 Fetching audio file from: ${url}`);
-      const response = await fetch(url);
-      console.log('🔄 Converting to array buffer...');
-      const arrayBuffer = await response.arrayBuffer();
-      console.log('🎼 Decoding audio data...');
-      this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-      console.log('✅ Audio buffered successfully');
-
-      this.duration = this.audioBuffer.duration;
-      this.currentTime = 0;
+      // Reuse a pre-decoded buffer when the track was queued ahead of time
+      const track = await this.prepareTrack(url, options.mode);
+      await this.loadDeck(this.activeDeck, track);
+      console.log(`✅ Audio ready (${track.mode} mode)`);
+
+      this.activeDeck.setGain(1);
+      this.syncActiveDeckState();
+      this.startTime = 0;
+      this.clearLoop();
+      this.emitTimeUpdate();
+      this.beatDetector.reset();
+      this.coreBands.reset();
+      this.bandAnalyzer.reset();
       
       console.log('✅ Audio loaded successfully');
       return true;
@@ -165,8 +259,8 @@ export class AudioManager {
    * Play the loaded audio
    */
   play() {
-    if (!this.audioBuffer) {
-      console.log('⚠️ Cannot play: No audio buffer loaded');
+    if (!this.hasLoadedTrack()) {
+      console.log('⚠️ Cannot play: No audio loaded');
       return;
     }
     
@@ -174,6 +268,11 @@ export class AudioManager {
       console.log('⚠️ Already playing');
       return;
     }
+    
+    if (this.inputSource === 'input') {
+      console.log('⚠️ Cannot play: live input is the active source');
+      return;
+    }
 
     // Check if context is suspended (needs user interaction)
     if (this.audioContext.state === 'suspended') {
@@ -184,157 +283,427 @@ export class AudioManager {
     
     console.log('▶️ Starting audio playback...');
     
-    // Create a new source from the cached buffer
-    this.source = this.audioContext.createBufferSource();
-    this.source.buffer = this.audioBuffer;
-    
-    // Connect audio source through the analysis chain
-    // source → gainNode → analyser → destination
-    this.source.connect(this.gainNode);
-    // Note: gainNode and analyser are already connected in initializeAudioContext()
-    
-    // Set up ended callback
-    this.source.onended = () => {
-      console.log('🏁 Audio playback ended');
-      this.isPlaying = false;
-      this.currentTime = 0;
-      this.startTime = 0;
-      this.stopVisualization();
-    };
+    // Start the active deck from the stored position
+    // deck → gainNode → effectsRack → destination + analyser (connected in initializeAudioContext())
+    const deck = this.activeDeck;
+    deck.setGain(1);
+    deck.start(this.audioContext.currentTime, this.currentTime);
     
     // Record start time for progress tracking
-    this.startTime = this.audioContext.currentTime;
-    this.source.start(0, this.currentTime);
+    this.startTime = deck.startedAt;
     this.isPlaying = true;
     this.pendingPlayback = false;
     this.startVisualization();
+    this.startTransport();
+    this.armTransition();
     console.log('✅ Audio playback started with frequency analysis');
   }
 
+  /**
+   * Handle a deck reaching the end of its track
+   * @param {AudioDeck} deck Deck that finished
+   */
+  handleDeckEnded(deck) {
+    // A throttled commit timer can fire after the outgoing track has run out
+    if (this.transition && this.transition.outgoing === deck) {
+      this.commitTransition(this.transition);
+      return;
+    }
+    
+    // The outgoing deck of a crossfade ends after the switch; nothing to do
+    if (deck !== this.activeDeck) return;
+    
+    console.log('🏁 Audio playback ended');
+    this.isPlaying = false;
+    this.currentTime = 0;
+    this.startTime = 0;
+    this.stopTransport();
+    this.stopVisualizationIfIdle();
+    this.emit('ended');
+  }
+
   /**
    * Pause the audio
    */
   pause() {
     if (!this.isPlaying) return;
     
-    // Calculate current playback position
-    if (this.startTime) {
-      this.currentTime += this.audioContext.currentTime - this.startTime;
-    }
+    // A fade already under way completes so the incoming track is paused
+    this.cancelTransition();
     
-    this.source.stop();
+    // Stopping a deck records its position and does not report a track end
+    this.decks.forEach(deck => deck.stop());
+    this.currentTime = this.activeDeck.offset;
     this.isPlaying = false;
     this.startTime = 0;
-    this.stopVisualization();
+    this.stopTransport();
+    this.stopVisualizationIfIdle();
     
     console.log(`⏸️ Audio paused at ${this.currentTime.toFixed(2)}s`);
   }
 
   /**
-   * Start the visualization loop with frame rate control
+   * Start analysing for visual frames
    */
   startVisualization() {
     if (!this.isProcessing) {
       this.isProcessing = true;
       this.lastFrameTime = performance.now();
-      console.log('🎵 AudioManager: Starting visualization loop...');
-      
-      const animate = () => {
-        if (!this.isProcessing) return;
-        
-        const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastFrameTime;
-        
-        if (deltaTime >= this.minFrameInterval) {
-          this.analyser.getFloatFrequencyData(this.dataArray);
-          
-          // Debug: Check if we're getting frequency data
-          const dataSum = this.dataArray.reduce((sum, val) => sum + Math.abs(val), 0);
-          if (Math.random() < 0.005) { // Log occasionally to avoid spam
-            console.log('🎵 AudioManager frequency data:', {
-              dataArrayLength: this.dataArray.length,
-              dataSum: dataSum.toFixed(2),
-              firstFewValues: Array.from(this.dataArray.slice(0, 5)).map(v => v.toFixed(1)),
-              callbackCount: this.visualizerCallbacks.size
-            });
-          }
-          
-          // Calculate frequency ranges more efficiently
-          const bass = this.getAverageFrequencyRange(0, 100);
-          const mid = this.getAverageFrequencyRange(100, 2000);
-          const treble = this.getAverageFrequencyRange(2000, 16000);
-          
-          // Update visualizers with normalized data
-          const normalizedData = {
-            bass: this.normalizeValue(bass),
-            mid: this.normalizeValue(mid),
-            treble: this.normalizeValue(treble),
-            raw: this.dataArray
-          };
-          
-          this.visualizerCallbacks.forEach(callback => callback(normalizedData));
-          this.lastFrameTime = currentTime;
+      console.log('🎵 AudioManager: Starting visualization...');
+    }
+  }
+
+  /**
+   * Analyse the audio for one visual frame and notify visualizer callbacks.
+   * The FrameScheduler calls this once per animation frame; frames closer
+   * together than minFrameInterval reuse the previous analysis, without
+   * repeating its onset and beat so each hit is handled once.
+   * @param {number} now Frame timestamp in ms
+   * @returns {Object|null} Visualizer data, or null while nothing is analysed
+   */
+  analyzeFrame(now) {
+    if (!this.isProcessing) return null;
+    
+    const deltaTime = now - this.lastFrameTime;
+    if (deltaTime < this.minFrameInterval && this.lastFeatures) {
+      return this.lastFeatures;
+    }
+    
+    this.analyser.getFloatFrequencyData(this.dataArray);
+    
+    // Signal level comes from the worklet instead of reducing dataArray here
+    const features = this.consumeSignalFeatures();
+    
+    // Debug: Check if we're getting frequency data
+    if (Math.random() < 0.005) { // Log occasionally to avoid spam
+      console.log('🎵 AudioManager frequency data:', {
+        dataArrayLength: this.dataArray.length,
+        rms: features.rms.toFixed(4),
+        firstFewValues: Array.from(this.dataArray.slice(0, 5)).map(v => v.toFixed(1)),
+        callbackCount: this.visualizerCallbacks.size
+      });
+    }
+    
+    // Onsets and beats are timed on the audio clock
+    const deltaSeconds = Math.min(Math.max(deltaTime, 0), 250) / 1000;
+    const normalizedData = createFeatureFrame(this.dataArray, features, this.getAnalyzers(), {
+      sampleRate: this.audioContext.sampleRate,
+      deltaTime: deltaSeconds,
+      time: this.audioContext.currentTime
+    });
+    if (normalizedData.bpm) {
+      this.effectsRack.setTempo(normalizedData.bpm);
+    }
+    
+    // Update visualizers with normalized data
+    this.visualizerCallbacks.forEach(callback => callback(normalizedData));
+    this.lastFrameTime = now;
+    this.lastFeatures = { ...normalizedData, onset: false, onsetStrength: 0, beat: false };
+    return normalizedData;
+  }
+
+  /**
+   * Store features posted by the audio worklet
+   * @param {Object} data Worklet message ({ rms, peak, zeroCrossingRate, spectralCentroid, time })
+   */
+  handleWorkletFeatures(data) {
+    this.signalFeatures = data;
+    this.peakSinceFrame = Math.max(this.peakSinceFrame, data.peak);
+  }
+
+  /**
+   * Take the latest signal features for a visual frame
+   * @returns {Object} Signal features
+   */
+  consumeSignalFeatures() {
+    if (!this.audioWorklet) {
+      return this.computeSignalFeaturesFallback();
+    }
+    
+    const features = { ...this.signalFeatures, peak: this.peakSinceFrame };
+    this.peakSinceFrame = 0;
+    return features;
+  }
+
+  /**
+   * Main-thread feature extraction when AudioWorklet is unavailable
+   * @returns {Object} Signal features
+   */
+  computeSignalFeaturesFallback() {
+    if (!this.timeDomainData) {
+      this.timeDomainData = new Float32Array(this.analyser.fftSize);
+    }
+    this.analyser.getFloatTimeDomainData(this.timeDomainData);
+    this.signalFeatures = measureSignal(this.timeDomainData, this.dataArray, this.audioContext.sampleRate);
+    return this.signalFeatures;
+  }
+
+  /**
+   * The analyzers that turn a spectrum into visualizer features
+   * @returns {Object} { coreBands, bandAnalyzer, beatDetector }
+   */
+  getAnalyzers() {
+    return {
+      coreBands: this.coreBands,
+      bandAnalyzer: this.bandAnalyzer,
+      beatDetector: this.beatDetector
+    };
+  }
+
+  /**
+   * Analyse a whole track faster than real time into one feature frame per
+   * video frame, shaped like the data visualizers receive live. The track
+   * renders through an OfflineAudioContext that suspends at every frame
+   * boundary, so the timeline is identical between runs.
+   * @param {string} url Audio file URL
+   * @param {number} fps Frames per second
+   * @param {Function} onProgress Optional callback receiving progress (0-1)
+   * @returns {Promise<Object>} { fps, duration, frames, buffer }
+   */
+  async analyzeTimeline(url, fps = 30, onProgress = null) {
+    await this.initializeAudioContext();
+    const buffer = await this.decodeTrack(url);
+    const loudness = await this.measureTrackLoudness(url, buffer);
+    
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const context = new OfflineContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    
+    // Same level and analyser settings as live playback
+    const trim = context.createGain();
+    trim.gain.value = Math.pow(10, this.getTrackGain(loudness) / 20);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = this.analyser.fftSize;
+    analyser.smoothingTimeConstant = this.analyser.smoothingTimeConstant;
+    source.connect(trim);
+    trim.connect(analyser);
+    analyser.connect(context.destination);
+    
+    // Fresh analyzers with the live configuration, so every run starts from the same state
+    const analyzers = {
+      coreBands: new BandAnalyzer(this.coreBands.getBands(), { autoGain: this.coreBands.autoGain }),
+      bandAnalyzer: new BandAnalyzer(this.bandAnalyzer.getBands(), { autoGain: this.bandAnalyzer.autoGain }),
+      beatDetector: new BeatDetector()
+    };
+    
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    const samples = new Float32Array(analyser.fftSize);
+    const frameCount = Math.floor(buffer.length * fps / buffer.sampleRate);
+    const lastTime = (buffer.length - 1) / buffer.sampleRate;
+    const frames = new Array(frameCount);
+    
+    // Frame i shows the audio heard during [i / fps, (i + 1) / fps)
+    const captures = [];
+    for (let i = 0; i < frameCount; i++) {
+      const time = Math.min((i + 1) / fps, lastTime);
+      captures.push(context.suspend(time).then(() => {
+        try {
+          analyser.getFloatFrequencyData(spectrum);
+          analyser.getFloatTimeDomainData(samples);
+          const signal = measureSignal(samples, spectrum, buffer.sampleRate);
+          frames[i] = createFeatureFrame(spectrum.slice(), signal, analyzers, {
+            sampleRate: buffer.sampleRate,
+            deltaTime: 1 / fps,
+            time
+          });
+          if (onProgress && i % fps === 0) onProgress(i / frameCount);
+        } finally {
+          // Never leave the render suspended, or startRendering() would not settle
+          context.resume();
         }
-        
-        this.frameId = requestAnimationFrame(animate);
-      };
-      
-      animate();
+      }));
+    }
+    
+    source.start();
+    // A frame whose suspend was rejected (e.g. two frames in one render quantum) fails the analysis
+    await Promise.all([context.startRendering(), ...captures]);
+    const missing = frames.findIndex(frame => !frame);
+    if (missing !== -1) {
+      throw new Error(`Frame ${missing} of ${frameCount} was not analysed`);
     }
+    if (onProgress) onProgress(1);
+    
+    console.log(`🎞️ AudioManager: Analysed ${frameCount} frames of ${url} at ${fps}fps`);
+    return { fps, duration: buffer.duration, frames, buffer };
   }
 
   /**
-   * Stop the visualization loop
+   * Stop analysing for visual frames
    */
   stopVisualization() {
     this.isProcessing = false;
-    if (this.frameId) {
-      cancelAnimationFrame(this.frameId);
-      this.frameId = null;
+    this.lastFeatures = null;
+  }
+
+  /**
+   * Stop analysing unless live input still drives the visuals
+   */
+  stopVisualizationIfIdle() {
+    if (this.inputSource !== 'input') {
+      this.stopVisualization();
     }
   }
 
   /**
-   * Get average frequency value for a specific range with optimized calculation
-   * @param {number} startFreq Start frequency
-   * @param {number} endFreq End frequency
-   * @returns {number} Average value
+   * Replace the configurable analysis bands
+   * @param {Array<Object>} bands Band definitions ({name, minFreq, maxFreq, smoothing, attack, release})
    */
-  getAverageFrequencyRange(startFreq, endFreq) {
-    const startIndex = Math.floor(startFreq * this.bufferLength / this.audioContext.sampleRate);
-    const endIndex = Math.floor(endFreq * this.bufferLength / this.audioContext.sampleRate);
-    let sum = 0;
-    
-    for (let i = startIndex; i < endIndex; i++) {
-      sum += this.dataArray[i];
+  setBands(bands) {
+    this.bandAnalyzer.setBands(bands);
+  }
+
+  /**
+   * Switch the configurable bands to a preset layout
+   * @param {string} name Preset name ('classic', 'log', 'mel' or 'octave')
+   * @param {Object} options Preset options (count, minFreq, maxFreq, fraction, smoothing, attack, release)
+   * @returns {boolean} Whether the preset exists
+   */
+  setBandPreset(name, options = {}) {
+    const applied = this.bandAnalyzer.usePreset(name, options);
+    if (!applied) {
+      console.warn(`⚠️ AudioManager: Unknown band preset "${name}"`);
+    }
+    return applied;
+  }
+
+  /**
+   * Change smoothing/attack/release of a configured band
+   * @param {string} name Band name
+   * @param {Object} settings Envelope settings
+   */
+  configureBand(name, settings) {
+    this.bandAnalyzer.configureBand(name, settings);
+  }
+
+  /**
+   * Enable or disable auto-gain normalization on all bands
+   * @param {boolean} enabled Whether auto-gain is on
+   */
+  setAutoGain(enabled) {
+    this.coreBands.autoGain = enabled;
+    this.bandAnalyzer.autoGain = enabled;
+    this.coreBands.reset();
+    this.bandAnalyzer.reset();
+  }
+
+  /**
+   * Get the configured analysis bands
+   * @returns {Array<Object>} Band definitions
+   */
+  getBands() {
+    return this.bandAnalyzer.getBands();
+  }
+
+  /**
+   * Switch what the visuals react to: deck playback or a capture device
+   * @param {string} source 'file' or 'input'
+   * @param {Object} options Input options (deviceId, channel, gain)
+   * @returns {Promise<boolean>} Whether the source is active
+   */
+  async setInputSource(source, options = {}) {
+    if (source === 'file') {
+      if (this.audioInput) {
+        this.audioInput.close();
+      }
+      this.inputSource = 'file';
+      if (!this.isPlaying) {
+        this.stopVisualization();
+      }
+      console.log('🎵 AudioManager: Reacting to file/stream playback');
+      return true;
     }
     
-    const average = sum / (endIndex - startIndex);
-    
-    // Debug: Log frequency range calculations occasionally
-    if (startFreq === 0 && Math.random() < 0.01) { // Only log bass range occasionally
-      console.log('🎵 AudioManager frequency range debug:', {
-        range: `${startFreq}-${endFreq}Hz`,
-        indices: `${startIndex}-${endIndex}`,
-        sampleRate: this.audioContext.sampleRate,
-        bufferLength: this.bufferLength,
-        sum: sum.toFixed(2),
-        average: average.toFixed(2),
-        dataArraySample: Array.from(this.dataArray.slice(startIndex, startIndex + 3)).map(v => v.toFixed(1))
-      });
+    if (source !== 'input') {
+      console.warn(`⚠️ AudioManager: Unknown input source "${source}"`);
+      return false;
     }
     
-    return average;
+    try {
+      await this.initializeAudioContext();
+      if (!this.audioInput) {
+        // Monitoring bypasses the master gain so it is not analysed twice
+        this.audioInput = new AudioInput(this.audioContext, this.analysisBus, this.audioContext.destination);
+        // Recorded whether or not it is monitored, so a set with a live mic is archived whole
+        this.audioInput.gain.connect(this.recorder.input);
+      }
+      if (options.channel !== undefined) this.audioInput.setChannel(options.channel);
+      if (options.gain !== undefined) this.audioInput.setGain(options.gain);
+      
+      await this.audioInput.open(options.deviceId || this.audioInput.deviceId);
+      
+      // Live input replaces playback as the source
+      this.pause();
+      this.inputSource = 'input';
+      this.beatDetector.reset();
+      this.coreBands.reset();
+      this.bandAnalyzer.reset();
+      
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+      this.startVisualization();
+      console.log(`🎙️ AudioManager: Live input active (${this.audioInput.channelCount} channel(s))`);
+      return true;
+    } catch (error) {
+      console.error('❌ AudioManager: Could not open live input:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Whether a capture device is driving the visuals
+   * @returns {boolean} Live input state
+   */
+  isInputActive() {
+    return this.inputSource === 'input' && Boolean(this.audioInput && this.audioInput.isOpen);
+  }
+
+  /**
+   * List microphone/line-in devices
+   * @returns {Promise<Array<{deviceId: string, label: string}>>} Input devices
+   */
+  listInputDevices() {
+    return AudioInput.listDevices();
+  }
+
+  /**
+   * Capture from a different device, keeping channel and gain settings
+   * @param {string} deviceId Device ID
+   * @returns {Promise<boolean>} Whether the device opened
+   */
+  setInputDevice(deviceId) {
+    return this.setInputSource('input', { deviceId });
+  }
+
+  /**
+   * Select the input channel used for analysis
+   * @param {string|number} channel 'mix' or a zero-based channel index
+   */
+  setInputChannel(channel) {
+    if (this.audioInput) {
+      this.audioInput.setChannel(channel);
+    }
   }
 
   /**
-   * Normalize audio data value with improved precision
-   * @param {number} value Raw audio data value
-   * @returns {number} Normalized value between 0 and 1
+   * Set the live input gain
+   * @param {number} value Gain multiplier (1 = unity)
    */
-  normalizeValue(value) {
-    // Convert from dB to linear scale and normalize
-    return Math.max(0, Math.min(1, (value + 140) / 140));
+  setInputGain(value) {
+    if (this.audioInput) {
+      this.audioInput.setGain(parseFloat(value));
+    }
+  }
+
+  /**
+   * Make the live input audible. Off by default to avoid feedback.
+   * @param {boolean} enabled Whether to monitor the input
+   */
+  setInputMonitoring(enabled) {
+    if (this.audioInput) {
+      this.audioInput.setMonitoring(enabled);
+    }
   }
 
   /**
@@ -363,15 +732,173 @@ export class AudioManager {
    * @param {number} time Time in seconds
    */
   seek(time) {
-    if (this.isPlaying) {
+    if (!this.hasLoadedTrack()) return;
+    
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) {
       this.pause();
     }
-    this.currentTime = Math.max(0, Math.min(time, this.duration));
-    if (this.isPlaying) {
+    
+    this.currentTime = Math.max(0, Math.min(Number(time) || 0, this.duration));
+    this.activeDeck.offset = this.currentTime;
+    
+    if (wasPlaying) {
+      this.play();
+    }
+    this.emitTimeUpdate();
+  }
+
+  /**
+   * Set the playback rate. Decoded buffers change pitch with the rate;
+   * with preservePitch the active track is switched to stream playback,
+   * where the browser time-stretches instead.
+   * @param {number} rate Playback rate (0.25-4, 1 = normal)
+   * @param {Object} options Rate options
+   * @param {boolean} options.preservePitch Keep the original pitch
+   */
+  async setPlaybackRate(rate, options = {}) {
+    this.playbackRate = Math.max(0.25, Math.min(4, Number(rate) || 1));
+    if (options.preservePitch !== undefined) {
+      this.preservePitch = Boolean(options.preservePitch);
+    }
+    
+    const deck = this.activeDeck;
+    if (deck && this.needsPitchPreservation() && deck.mode === 'buffer' && deck.isLoaded) {
+      await this.reloadActiveDeckAsStream();
+    }
+    
+    this.decks.forEach(item => item.setPlaybackRate(this.playbackRate, this.preservePitch));
+    
+    // The track now ends at a different time, so reschedule the handover
+    this.cancelTransition();
+    
+    // A queued track that was decoded would play pitch-shifted
+    if (this.nextTrack && this.nextTrack.mode === 'buffer' && this.needsPitchPreservation()) {
+      this.queueNext(this.nextTrack.url, { mode: 'stream' });
+    }
+    this.armTransition();
+    console.log(`⏩ AudioManager: Playback rate ${this.playbackRate}x${this.preservePitch ? ' (pitch preserved)' : ''}`);
+    this.emitTimeUpdate();
+  }
+
+  /**
+   * Whether the current rate needs browser time-stretching
+   * @returns {boolean} True when pitch must be preserved at a non-unity rate
+   */
+  needsPitchPreservation() {
+    return this.preservePitch && this.playbackRate !== 1;
+  }
+
+  /**
+   * Move the active track from buffer to stream playback at the same position;
+   * if the stream fails, the decoded buffer stays loaded
+   */
+  async reloadActiveDeckAsStream() {
+    const deck = this.activeDeck;
+    const { buffer, url } = deck;
+    const position = this.getCurrentTime();
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) {
+      this.pause();
+    }
+    
+    try {
+      await deck.loadStream(url);
+    } catch (error) {
+      // Keep playing the decoded track, pitch-shifted, rather than stop
+      console.warn('⚠️ AudioManager: Could not stream track for pitch preservation:', error);
+      deck.load(buffer, url);
+    }
+    deck.setLoop(this.loop);
+    this.syncActiveDeckState();
+    this.currentTime = position;
+    deck.offset = position;
+    
+    if (wasPlaying) {
       this.play();
     }
   }
 
+  /**
+   * Loop playback between two track positions
+   * @param {number} start Loop start (A) in seconds
+   * @param {number} end Loop end (B) in seconds
+   * @returns {boolean} Whether the loop was set
+   */
+  setLoop(start, end) {
+    const loopStart = Math.max(0, Math.min(start, end));
+    const loopEnd = Math.min(this.duration, Math.max(start, end));
+    if (!this.hasLoadedTrack() || loopEnd - loopStart < 0.05) {
+      console.warn('⚠️ AudioManager: Invalid A–B loop');
+      return false;
+    }
+    
+    // A loop means this track never hands over to the next one
+    this.cancelTransition();
+    this.loop = { start: loopStart, end: loopEnd };
+    this.activeDeck.setLoop(this.loop);
+    
+    const position = this.getCurrentTime();
+    if (position < loopStart || position >= loopEnd) {
+      this.seek(loopStart);
+    }
+    
+    console.log(`🔁 AudioManager: Looping ${loopStart.toFixed(2)}s → ${loopEnd.toFixed(2)}s`);
+    this.emitTimeUpdate();
+    return true;
+  }
+
+  /**
+   * Stop looping and let the track play on to its end
+   */
+  clearLoop() {
+    if (!this.loop) return;
+    this.loop = null;
+    this.decks.forEach(deck => deck.setLoop(null));
+    this.armTransition();
+    this.emitTimeUpdate();
+  }
+
+  /**
+   * Start the transport tick that drives stream loops and 'timeupdate'
+   */
+  startTransport() {
+    this.stopTransport();
+    this.emitTimeUpdate();
+    this.transportTimer = setInterval(() => {
+      this.activeDeck.checkStreamLoop();
+      if (performance.now() - this.lastTimeUpdate >= this.timeUpdateInterval) {
+        this.emitTimeUpdate();
+      }
+    }, 50);
+  }
+
+  /**
+   * Stop the transport tick, reporting the final position
+   */
+  stopTransport() {
+    if (this.transportTimer) {
+      clearInterval(this.transportTimer);
+      this.transportTimer = null;
+    }
+    this.emitTimeUpdate();
+  }
+
+  /**
+   * Emit a 'timeupdate' event with the transport state
+   */
+  emitTimeUpdate() {
+    this.lastTimeUpdate = performance.now();
+    this.emit('timeupdate', {
+      currentTime: this.getCurrentTime(),
+      duration: this.duration,
+      playbackRate: this.playbackRate,
+      loop: this.loop,
+      isPlaying: this.isPlaying
+    });
+  }
+
+
   /**
    * Add a visualizer callback
    * @param {Function} callback Callback function
@@ -391,4 +918,635 @@ export class AudioManager {
   removeVisualizer(callback) {
     this.visualizerCallbacks.delete(callback);
   }
-} 
\ No newline at end of file
+
+  /**
+   * Subscribe to a playback event
+   * @param {string} event Event name ('ended')
+   * @param {Function} callback Callback function
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+  }
+
+  /**
+   * Unsubscribe from a playback event
+   * @param {string} event Event name
+   * @param {Function} callback Callback function
+   */
+  off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.delete(callback);
+    }
+  }
+
+  /**
+   * Notify listeners of a playback event
+   * @param {string} event Event name
+   * @param {*} detail Optional event payload
+   */
+  emit(event, detail = null) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners) return;
+    listeners.forEach(callback => {
+      try {
+        callback(detail);
+      } catch (error) {
+        console.error(`❌ AudioManager: '${event}' listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Deck currently considered "the" playing track
+   * @returns {AudioDeck} Active deck
+   */
+  get activeDeck() {
+    return this.decks[this.activeDeckIndex];
+  }
+
+  /**
+   * Deck waiting to take over at the next transition
+   * @returns {AudioDeck} Standby deck
+   */
+  get standbyDeck() {
+    return this.decks[1 - this.activeDeckIndex];
+  }
+
+  /**
+   * Copy the active deck's track info onto the public playback fields
+   */
+  syncActiveDeckState() {
+    const deck = this.activeDeck;
+    this.audioBuffer = deck.buffer;
+    this.duration = deck.duration;
+    this.currentTime = deck.offset;
+  }
+
+  /**
+   * Get the current playback position of the active track
+   * @returns {number} Position in seconds
+   */
+  getCurrentTime() {
+    return this.activeDeck ? this.activeDeck.getPosition() : this.currentTime;
+  }
+
+  /**
+   * Fetch and decode a track, sharing the work between callers
+   * @param {string} url Audio file URL
+   * @returns {Promise<AudioBuffer>} Decoded audio
+   */
+  decodeTrack(url) {
+    if (!this.bufferCache.has(url)) {
+      const pending = (async () => {
+        console.log(`📥 Fetching audio file from: ${url}`);
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        console.log('🔄 Converting to array buffer...');
+        const arrayBuffer = await response.arrayBuffer();
+        console.log('🎼 Decoding audio data...');
+        return this.audioContext.decodeAudioData(arrayBuffer);
+      })();
+      
+      // Failed decodes are retried on the next request
+      pending.catch(() => this.bufferCache.delete(url));
+      this.bufferCache.set(url, pending);
+      this.trimBufferCache();
+    }
+    return this.bufferCache.get(url);
+  }
+
+  /**
+   * Drop the oldest decoded buffers that no deck or queued track still needs
+   */
+  trimBufferCache() {
+    const inUse = new Set(this.decks.map(deck => deck.url));
+    if (this.nextTrack) inUse.add(this.nextTrack.url);
+    
+    for (const url of this.bufferCache.keys()) {
+      if (this.bufferCache.size <= this.maxCachedBuffers) break;
+      if (!inUse.has(url)) {
+        this.bufferCache.delete(url);
+      }
+    }
+  }
+
+  /**
+   * Whether the active deck has a track ready to play
+   * @returns {boolean} Loaded state
+   */
+  hasLoadedTrack() {
+    return Boolean(this.activeDeck && this.activeDeck.isLoaded);
+  }
+
+  /**
+   * Set the default playback mode for newly loaded tracks
+   * @param {string} mode 'buffer', 'stream' or 'auto'
+   */
+  setPlaybackMode(mode) {
+    if (!['buffer', 'stream', 'auto'].includes(mode)) return;
+    this.playbackMode = mode;
+    console.log(`📡 AudioManager: Playback mode set to ${mode}`);
+  }
+
+  /**
+   * Decide whether a URL should be decoded up front or streamed
+   * @param {string} url Audio file URL
+   * @param {string} mode Requested mode ('auto' inspects the file size)
+   * @returns {Promise<string>} 'buffer' or 'stream'
+   */
+  async resolvePlaybackMode(url, mode = this.playbackMode) {
+    if (mode === 'buffer' || mode === 'stream') return mode;
+    if (this.bufferCache.has(url)) return 'buffer';
+    
+    // Short clips decode quickly; long sets stream so they start at once
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      const size = Number(response.headers.get('content-length'));
+      if (size > 0) {
+        return size > this.streamingThreshold ? 'stream' : 'buffer';
+      }
+    } catch (error) {
+      console.warn(`⚠️ AudioManager: Could not size ${url}, streaming it:`, error);
+    }
+    return 'stream';
+  }
+
+  /**
+   * Make a user-supplied file playable without uploading it anywhere.
+   * Small files are decoded now (and validated by the decoder); large ones
+   * will stream from their object URL.
+   * @param {File} file Audio file from a drop or file picker
+   * @returns {Promise<Object>} { url, mode, duration }
+   */
+  async prepareLocalFile(file) {
+    await this.initializeAudioContext();
+    
+    const url = URL.createObjectURL(file);
+    const mode = file.size > this.streamingThreshold ? 'stream' : 'buffer';
+    try {
+      if (mode === 'buffer') {
+        const buffer = await this.decodeTrack(url);
+        return { url, mode, duration: buffer.duration };
+      }
+      return { url, mode, duration: await this.probeDuration(url) };
+    } catch (error) {
+      URL.revokeObjectURL(url);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a stream's duration from its metadata without playing it
+   * @param {string} url Audio URL
+   * @returns {Promise<number>} Duration in seconds
+   */
+  probeDuration(url) {
+    return new Promise((resolve, reject) => {
+      const element = new Audio();
+      element.preload = 'metadata';
+      element.onloadedmetadata = () => resolve(element.duration);
+      element.onerror = () => reject(element.error || new Error(`Unsupported audio: ${url}`));
+      element.src = url;
+    });
+  }
+
+  /**
+   * Resolve the playback mode for a URL and decode it if needed
+   * @param {string} url Audio file URL
+   * @param {string} mode Requested mode
+   * @returns {Promise<Object>} Track descriptor ({ url, mode, buffer })
+   */
+  async prepareTrack(url, mode) {
+    // Only element playback can change speed without changing pitch
+    const resolvedMode = this.needsPitchPreservation()
+      ? 'stream'
+      : await this.resolvePlaybackMode(url, mode);
+    const buffer = resolvedMode === 'buffer' ? await this.decodeTrack(url) : null;
+    // Not awaited: the deck starts at the cached or unity trim, and
+    // setTrackLoudness() re-trims it once a new measurement resolves
+    if (buffer) {
+      this.measureTrackLoudness(url, buffer);
+    }
+    return { url, mode: resolvedMode, buffer };
+  }
+
+  /**
+   * Load a prepared track into a deck
+   * @param {AudioDeck} deck Target deck
+   * @param {Object} track Track descriptor from prepareTrack()
+   */
+  async loadDeck(deck, track) {
+    if (track.mode === 'stream') {
+      await deck.loadStream(track.url);
+    } else {
+      deck.load(track.buffer, track.url);
+    }
+    this.applyTrackGain(deck);
+  }
+
+  /**
+   * Measure a decoded track's loudness once and cache the result
+   * @param {string} url Audio file URL
+   * @param {AudioBuffer} buffer Decoded audio
+   * @returns {Promise<Object|null>} { integrated, truePeak } or null if measuring failed
+   */
+  async measureTrackLoudness(url, buffer) {
+    if (this.loudnessCache.has(url)) return this.loudnessCache.get(url);
+    
+    if (!this.pendingLoudness.has(url)) {
+      const pending = measureLoudness(buffer)
+        .then(loudness => {
+          this.setTrackLoudness(url, loudness);
+          console.log(`📏 AudioManager: ${url} measured ${loudness.integrated.toFixed(1)} LUFS, ${loudness.truePeak.toFixed(1)} dBTP`);
+          return loudness;
+        })
+        .catch(error => {
+          console.warn(`⚠️ AudioManager: Could not measure loudness of ${url}, playing unnormalized:`, error);
+          return null;
+        })
+        .finally(() => this.pendingLoudness.delete(url));
+      this.pendingLoudness.set(url, pending);
+    }
+    return this.pendingLoudness.get(url);
+  }
+
+  /**
+   * Store a track's loudness, e.g. a value measured ahead of time.
+   * Streamed tracks are never decoded, so this is how they get normalized.
+   * @param {string} url Audio file URL
+   * @param {Object} loudness { integrated, truePeak } in LUFS and dBTP
+   */
+  setTrackLoudness(url, loudness) {
+    this.loudnessCache.set(url, {
+      integrated: Number.isFinite(loudness.integrated) ? loudness.integrated : -Infinity,
+      truePeak: Number.isFinite(loudness.truePeak) ? loudness.truePeak : -Infinity
+    });
+    this.saveLoudnessCache();
+    this.decks.filter(deck => deck.url === url).forEach(deck => this.applyTrackGain(deck));
+  }
+
+  /**
+   * Normalization gain for a measured track
+   * @param {Object|null} loudness { integrated, truePeak }, or null if unknown
+   * @returns {number} Gain in dB
+   */
+  getTrackGain(loudness) {
+    const { enabled, targetLufs, ceilingDb, maxBoostDb } = this.normalization;
+    // Unknown and silent tracks play as they are
+    if (!enabled || !loudness || !Number.isFinite(loudness.integrated)) return 0;
+    
+    let gain = Math.min(targetLufs - loudness.integrated, maxBoostDb);
+    if (Number.isFinite(loudness.truePeak)) {
+      gain = Math.min(gain, ceilingDb - loudness.truePeak);
+    }
+    return gain;
+  }
+
+  /**
+   * Trim a deck to the normalization gain of its track
+   * @param {AudioDeck} deck Deck to update
+   */
+  applyTrackGain(deck) {
+    deck.setTrim(this.getTrackGain(this.loudnessCache.get(deck.url) || null));
+  }
+
+  /**
+   * Change normalization settings and re-trim both decks
+   * @param {Object} options { enabled, targetLufs, ceilingDb, maxBoostDb }
+   */
+  setNormalization(options) {
+    Object.assign(this.normalization, options);
+    this.decks.forEach(deck => this.applyTrackGain(deck));
+    console.log(`📏 AudioManager: Normalization ${this.normalization.enabled ? `to ${this.normalization.targetLufs} LUFS` : 'off'}`);
+  }
+
+  /**
+   * Read measurements saved by earlier sessions
+   * @returns {Map<string, Object>} Loudness by URL
+   */
+  loadLoudnessCache() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LOUDNESS_STORAGE_KEY) || '{}');
+      // JSON stores -Infinity (silence) as null
+      return new Map(Object.entries(saved).map(([url, loudness]) => [url, {
+        integrated: loudness.integrated ?? -Infinity,
+        truePeak: loudness.truePeak ?? -Infinity
+      }]));
+    } catch (error) {
+      console.warn('⚠️ AudioManager: Ignoring unreadable loudness cache:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Persist measurements of catalog tracks (object URLs die with the page)
+   */
+  saveLoudnessCache() {
+    const saved = {};
+    this.loudnessCache.forEach((loudness, url) => {
+      if (!url.startsWith('blob:')) saved[url] = loudness;
+    });
+    try {
+      localStorage.setItem(LOUDNESS_STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('⚠️ AudioManager: Could not save loudness cache:', error);
+    }
+  }
+
+  /**
+   * Prepare the track that should follow the current one: buffers are
+   * decoded now, streams are opened on the standby deck before the fade
+   * @param {string} url Audio file URL
+   * @param {Object} options Load options (see loadAudio)
+   * @returns {Promise<boolean>} Whether the track is ready for the transition
+   */
+  async queueNext(url, options = {}) {
+    if (this.transition) {
+      console.log('⚠️ AudioManager: Transition already scheduled, keeping queued track');
+      return false;
+    }
+    
+    await this.initializeAudioContext();
+    this.clearTransitionTimer();
+    const pending = { url, mode: null, buffer: null, ready: false };
+    this.nextTrack = pending;
+    
+    try {
+      Object.assign(pending, await this.prepareTrack(url, options.mode), { ready: true });
+    } catch (error) {
+      console.warn(`⚠️ AudioManager: Could not pre-decode ${url}:`, error);
+      if (this.nextTrack === pending) this.nextTrack = null;
+      return false;
+    }
+    
+    // Another track may have been queued while this one decoded
+    if (this.nextTrack !== pending) return false;
+    
+    console.log(`⏭️ AudioManager: Next track ready (${url})`);
+    this.armTransition();
+    return true;
+  }
+
+  /**
+   * Forget the queued next track (unless its crossfade is already scheduled)
+   */
+  clearNext() {
+    if (this.transition) return;
+    this.clearTransitionTimer();
+    this.nextTrack = null;
+  }
+
+  /**
+   * Whether a crossfade into the queued track is already scheduled
+   * @returns {boolean} Transition state
+   */
+  isTransitionScheduled() {
+    return this.transition !== null;
+  }
+
+  /**
+   * Set the crossfade length used between tracks
+   * @param {number} seconds Fade length (0 for gapless back-to-back playback)
+   */
+  setCrossfadeDuration(seconds) {
+    this.crossfadeDuration = Math.max(0, Math.min(12, Number(seconds) || 0));
+    console.log(`🔀 AudioManager: Crossfade set to ${this.crossfadeDuration}s`);
+    if (!this.transition) {
+      this.armTransition();
+    }
+  }
+
+  /**
+   * Crossfade from the current track into another one right now
+   * @param {string} url Audio file URL
+   * @param {Object} options Load options (see loadAudio)
+   * @returns {Promise<boolean>} Whether the new track started
+   */
+  async crossfadeTo(url, options = {}) {
+    if (!this.isPlaying || this.crossfadeDuration <= 0) {
+      const loaded = await this.loadAudio(url, options);
+      if (loaded) this.play();
+      return loaded;
+    }
+    
+    this.cancelTransition();
+    const incoming = this.standbyDeck;
+    try {
+      await this.loadDeck(incoming, await this.prepareTrack(url, options.mode));
+    } catch (error) {
+      console.error('❌ Error loading audio:', error);
+      return false;
+    }
+    
+    // Playback may have been paused while the track loaded
+    if (!this.isPlaying) {
+      this.activeDeckIndex = this.decks.indexOf(incoming);
+      this.syncActiveDeckState();
+      this.clearLoop();
+      this.play();
+      return true;
+    }
+    
+    const outgoing = this.activeDeck;
+    const fadeStart = this.audioContext.currentTime + 0.05;
+    const fadeLength = Math.min(this.crossfadeDuration, incoming.duration || this.crossfadeDuration);
+    
+    outgoing.scheduleFade(false, fadeStart, fadeLength);
+    outgoing.stop(fadeStart + fadeLength);
+    
+    incoming.scheduleFade(true, fadeStart, fadeLength);
+    incoming.start(fadeStart, 0);
+    
+    this.activeDeckIndex = this.decks.indexOf(incoming);
+    this.syncActiveDeckState();
+    this.startTime = fadeStart;
+    this.nextTrack = null;
+    this.clearLoop();
+    this.emitTimeUpdate();
+    
+    console.log(`🔀 AudioManager: Crossfading into ${url} over ${fadeLength.toFixed(1)}s`);
+    return true;
+  }
+
+  /**
+   * Set a timer that schedules the crossfade shortly before it is due
+   */
+  armTransition() {
+    this.clearTransitionTimer();
+    if (!this.isPlaying || this.transition || !this.nextTrack || !this.nextTrack.ready) return;
+    
+    // Live streams have no end to fade from
+    const fadeStart = this.activeDeck.getEndTime() - this.crossfadeDuration;
+    if (!Number.isFinite(fadeStart)) return;
+    
+    const lookahead = this.nextTrack.mode === 'stream' ? this.streamLookahead : this.transitionLookahead;
+    const delay = fadeStart - lookahead - this.audioContext.currentTime;
+    this.transitionTimer = setTimeout(() => this.scheduleTransition(), Math.max(0, delay * 1000));
+  }
+
+  /**
+   * Clear the pending transition timer
+   */
+  clearTransitionTimer() {
+    if (this.transitionTimer) {
+      clearTimeout(this.transitionTimer);
+      this.transitionTimer = null;
+    }
+  }
+
+  /**
+   * Schedule the standby deck to fade in as the active deck runs out.
+   * Both fades run on the audio clock so the handover is sample-accurate.
+   */
+  async scheduleTransition() {
+    this.transitionTimer = null;
+    const nextTrack = this.nextTrack;
+    if (!this.isPlaying || !nextTrack || !nextTrack.ready) return;
+    
+    const outgoing = this.activeDeck;
+    const incoming = this.standbyDeck;
+    try {
+      await this.loadDeck(incoming, nextTrack);
+    } catch (error) {
+      console.warn(`⚠️ AudioManager: Could not open ${nextTrack.url} for transition:`, error);
+      return;
+    }
+    
+    // Playback or the queue may have changed while a stream was opening
+    if (!this.isPlaying || this.nextTrack !== nextTrack || this.activeDeck !== outgoing) return;
+    
+    const now = this.audioContext.currentTime;
+    const endTime = outgoing.getEndTime();
+    const fadeStart = Math.max(now + 0.05, endTime - this.crossfadeDuration);
+    const fadeLength = Math.max(0, endTime - fadeStart);
+    
+    // The outgoing source runs out on its own at the end of the fade
+    outgoing.scheduleFade(false, fadeStart, fadeLength);
+    
+    incoming.scheduleFade(true, fadeStart, fadeLength);
+    incoming.start(fadeStart, 0);
+    
+    const transition = { outgoing, incoming, fadeStart, commitTimer: null };
+    transition.commitTimer = setTimeout(
+      () => this.commitTransition(transition),
+      Math.max(0, (fadeStart - now) * 1000)
+    );
+    this.transition = transition;
+    
+    console.log(`🔀 AudioManager: Transition scheduled in ${(fadeStart - now).toFixed(2)}s (${fadeLength.toFixed(1)}s fade)`);
+  }
+
+  /**
+   * Hand the active role to the incoming deck once its fade has started
+   * @param {Object} transition Scheduled transition
+   */
+  commitTransition(transition) {
+    clearTimeout(transition.commitTimer);
+    if (this.transition === transition) {
+      this.transition = null;
+    }
+    
+    this.activeDeckIndex = this.decks.indexOf(transition.incoming);
+    this.syncActiveDeckState();
+    this.startTime = transition.fadeStart;
+    this.nextTrack = null;
+    this.emitTimeUpdate();
+    
+    console.log(`🎶 AudioManager: Now playing ${transition.incoming.url}`);
+    this.emit('trackchange', { url: transition.incoming.url });
+  }
+
+  /**
+   * Cancel the queued transition. A fade that has already begun is
+   * completed instead so the audible track and the state agree.
+   */
+  cancelTransition() {
+    this.clearTransitionTimer();
+    const transition = this.transition;
+    if (!transition) return;
+    
+    this.transition = null;
+    clearTimeout(transition.commitTimer);
+    
+    if (this.audioContext.currentTime >= transition.fadeStart) {
+      this.commitTransition(transition);
+      return;
+    }
+    
+    transition.incoming.stop();
+    transition.outgoing.setGain(1);
+  }
+}
+
+/**
+ * Time-domain level features plus the spectral centroid
+ * @param {Float32Array} samples Time-domain samples
+ * @param {Float32Array} spectrum Analyser spectrum in dB
+ * @param {number} sampleRate Sample rate in Hz
+ * @returns {Object} { rms, peak, zeroCrossingRate, spectralCentroid }
+ */
+function measureSignal(samples, spectrum, sampleRate) {
+  let sumSquares = 0;
+  let peak = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i];
+    peak = Math.max(peak, Math.abs(samples[i]));
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  
+  // Centroid from the analyser spectrum (bin k sits at k * sampleRate / fftSize)
+  const binWidth = sampleRate / (spectrum.length * 2);
+  let weighted = 0;
+  let total = 0;
+  for (let bin = 1; bin < spectrum.length; bin++) {
+    const magnitude = Math.pow(10, spectrum[bin] / 20);
+    weighted += magnitude * bin * binWidth;
+    total += magnitude;
+  }
+  
+  return {
+    rms: Math.sqrt(sumSquares / samples.length),
+    peak,
+    zeroCrossingRate: crossings / (samples.length - 1),
+    spectralCentroid: total > 0 ? weighted / total : 0
+  };
+}
+
+/**
+ * Build the data passed to visualizers for one frame
+ * @param {Float32Array} spectrum Analyser spectrum in dB
+ * @param {Object} signal Signal features (see measureSignal)
+ * @param {Object} analyzers { coreBands, bandAnalyzer, beatDetector }
+ * @param {Object} timing { sampleRate, deltaTime, time } in Hz and seconds
+ * @returns {Object} Visualizer data
+ */
+function createFeatureFrame(spectrum, signal, analyzers, { sampleRate, deltaTime, time }) {
+  // Band levels are auto-gained and enveloped per band
+  const core = analyzers.coreBands.process(spectrum, sampleRate, deltaTime);
+  const bands = analyzers.bandAnalyzer.process(spectrum, sampleRate, deltaTime);
+  const rhythm = analyzers.beatDetector.process(spectrum, time);
+  
+  return {
+    bass: core.bass,
+    mid: core.mid,
+    treble: core.treble,
+    bands, // 0-1 level per configured band, keyed by band name
+    raw: spectrum,
+    onset: rhythm.onset, // True on frames with a detected transient
+    onsetStrength: rhythm.onsetStrength, // 0-1, how far above threshold
+    beat: rhythm.beat, // True on frames where the beat clock ticks
+    bpm: rhythm.bpm, // Running tempo estimate (0 until known)
+    beatPhase: rhythm.beatPhase, // 0 on the beat → 1 just before the next
+    rms: signal.rms, // Linear RMS of the master signal
+    peak: signal.peak, // Highest absolute sample since the last frame
+    zeroCrossingRate: signal.zeroCrossingRate, // Crossings per sample (0-1), a noisiness cue
+    spectralCentroid: signal.spectralCentroid // Hz, a brightness cue
+  };
+}
@@ -91,6 +91,61 @@ export class ControlPanel {
     return input;
   }
 
+  /**
+   * Add a select control
+   * @param {string} id Control ID
+   * @param {string} label Control label
+   * @param {Array<string|{id: string, name: string}>} options Option values or {id, name} pairs
+   * @param {string} value Initially selected value
+   * @param {Function} callback Callback function
+   * @returns {HTMLElement} Created select element
+   */
+  addSelect(id, label, options, value, callback) {
+    const controlDiv = document.createElement('div');
+    controlDiv.className = 'control-item';
+    
+    const select = document.createElement('select');
+    select.id = id;
+    options.forEach(option => {
+      const opt = document.createElement('option');
+      opt.value = typeof option === 'string' ? option : option.id;
+      opt.textContent = typeof option === 'string' ? option : option.name;
+      opt.selected = opt.value === value;
+      select.appendChild(opt);
+    });
+    
+    const labelElement = document.createElement('label');
+    labelElement.textContent = `${label} `;
+    labelElement.appendChild(select);
+    controlDiv.appendChild(labelElement);
+    this.container.appendChild(controlDiv);
+    
+    select.addEventListener('change', (e) => callback(e.target.value));
+    
+    this.controls.set(id, { select });
+    return select;
+  }
+
+  /**
+   * Add a button
+   * @param {string} id Control ID
+   * @param {string} label Button text
+   * @param {Function} callback Click callback
+   * @returns {HTMLElement} Created button element
+   */
+  addButton(id, label, callback) {
+    const controlDiv = document.createElement('div');
+    controlDiv.className = 'control-item';
+    controlDiv.innerHTML = `<button id="${id}">${label}</button>`;
+    this.container.appendChild(controlDiv);
+    
+    const button = document.getElementById(id);
+    button.addEventListener('click', () => callback());
+    
+    this.controls.set(id, { button });
+    return button;
+  }
+
   /**
    * Add a separator line
    */
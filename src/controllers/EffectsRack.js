@@ -0,0 +1,195 @@
+import {
+  ThreeBandEq,
+  ParametricEq,
+  SweepFilter,
+  TempoDelay,
+  ConvolutionReverb,
+  Limiter
+} from '../utils/Effects.js';
+
+/**
+ * EffectsRack - ordered chain of master effects between the master gain
+ * and the output. Effects can be inserted, removed, bypassed and automated
+ * by ID; the limiter always stays last so nothing after it can clip.
+ */
+export class EffectsRack {
+  /**
+   * Create a new EffectsRack with the default chain
+   * @param {AudioContext} audioContext Shared audio context
+   */
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    this.effects = [
+      new ThreeBandEq(audioContext),
+      new ParametricEq(audioContext),
+      new SweepFilter(audioContext),
+      new TempoDelay(audioContext),
+      new ConvolutionReverb(audioContext)
+    ];
+    this.limiter = new Limiter(audioContext);
+    this.limiter.setBypass(false);
+
+    this.changeCallbacks = new Set();
+    this.rewire();
+  }
+
+  /**
+   * Reconnect input → effects → limiter → output in the current order
+   */
+  rewire() {
+    this.input.disconnect();
+    this.effects.forEach(effect => effect.output.disconnect());
+    this.limiter.output.disconnect();
+
+    const chain = [...this.effects, this.limiter];
+    let previous = this.input;
+    chain.forEach(effect => {
+      previous.connect(effect.input);
+      previous = effect.output;
+    });
+    previous.connect(this.output);
+  }
+
+  /**
+   * Insert an effect into the chain
+   * @param {Effect} effect Effect instance
+   * @param {number} index Chain position (defaults to just before the limiter)
+   */
+  insert(effect, index = this.effects.length) {
+    if (this.getEffect(effect.id)) {
+      console.warn(`⚠️ EffectsRack: Effect "${effect.id}" already in the rack`);
+      return;
+    }
+    this.effects.splice(Math.max(0, Math.min(index, this.effects.length)), 0, effect);
+    this.rewire();
+    this.notifyChange();
+  }
+
+  /**
+   * Remove an effect from the chain
+   * @param {string} id Effect ID
+   */
+  remove(id) {
+    const index = this.effects.findIndex(effect => effect.id === id);
+    if (index === -1) return;
+    const [effect] = this.effects.splice(index, 1);
+    effect.output.disconnect();
+    this.rewire();
+    this.notifyChange();
+  }
+
+  /**
+   * Move an effect to another chain position
+   * @param {string} id Effect ID
+   * @param {number} index New position
+   */
+  move(id, index) {
+    const from = this.effects.findIndex(effect => effect.id === id);
+    if (from === -1) return;
+    const [effect] = this.effects.splice(from, 1);
+    this.effects.splice(Math.max(0, Math.min(index, this.effects.length)), 0, effect);
+    this.rewire();
+    this.notifyChange();
+  }
+
+  /**
+   * Find an effect by ID (the limiter included)
+   * @param {string} id Effect ID
+   * @returns {Effect|null} Effect
+   */
+  getEffect(id) {
+    if (id === this.limiter.id) return this.limiter;
+    return this.effects.find(effect => effect.id === id) || null;
+  }
+
+  /**
+   * All effects in signal order
+   * @returns {Array<Effect>} Effects, limiter last
+   */
+  getEffects() {
+    return [...this.effects, this.limiter];
+  }
+
+  /**
+   * Bypass or engage an effect
+   * @param {string} id Effect ID
+   * @param {boolean} bypassed Whether to bypass
+   */
+  setBypass(id, bypassed) {
+    const effect = this.getEffect(id);
+    if (!effect) return;
+    effect.setBypass(bypassed);
+    this.notifyChange();
+  }
+
+  /**
+   * Set an effect's wet/dry mix
+   * @param {string} id Effect ID
+   * @param {number} mix 0 = dry, 1 = wet
+   */
+  setMix(id, mix) {
+    const effect = this.getEffect(id);
+    if (effect) effect.setMix(mix);
+  }
+
+  /**
+   * Set (or automate towards) an effect parameter
+   * @param {string} id Effect ID
+   * @param {string} name Parameter name
+   * @param {number|string} value Target value
+   * @param {number} rampTime Seconds to reach the value
+   */
+  setParam(id, name, value, rampTime = 0) {
+    const effect = this.getEffect(id);
+    if (effect) effect.setParam(name, value, rampTime);
+  }
+
+  /**
+   * Automate a parameter from one value to another, e.g. a filter sweep
+   * @param {string} id Effect ID
+   * @param {string} name Parameter name
+   * @param {number} from Start value
+   * @param {number} to End value
+   * @param {number} duration Sweep length in seconds
+   */
+  sweep(id, name, from, to, duration) {
+    const effect = this.getEffect(id);
+    if (effect) effect.sweepParam(name, from, to, duration);
+  }
+
+  /**
+   * Pass the detected tempo to tempo-synced effects
+   * @param {number} bpm Beats per minute
+   */
+  setTempo(bpm) {
+    this.effects.forEach(effect => {
+      if (effect.setTempo) effect.setTempo(bpm);
+    });
+  }
+
+  /**
+   * Add a change callback, called when the chain or a bypass changes
+   * @param {Function} callback Callback receiving the rack
+   */
+  addChangeListener(callback) {
+    this.changeCallbacks.add(callback);
+  }
+
+  /**
+   * Remove a change callback
+   * @param {Function} callback Callback function
+   */
+  removeChangeListener(callback) {
+    this.changeCallbacks.delete(callback);
+  }
+
+  /**
+   * Notify change callbacks
+   */
+  notifyChange() {
+    this.changeCallbacks.forEach(callback => callback(this));
+  }
+}
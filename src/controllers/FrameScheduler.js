@@ -0,0 +1,181 @@
+/**
+ * FrameScheduler - one animation loop for every visual layer
+ *
+ * Each animation frame the audio is analysed once and the same frame
+ * context goes to every visible layer, bottom layer first:
+ *   time          Seconds of animation since the scheduler started
+ *   delta         Seconds since the previous frame
+ *   audioFeatures Visualizer data for this frame, or null while nothing plays
+ *   random        Random number source (Math.random live, seeded offline)
+ *   pointers      Pointers over the background (see PointerInput), empty offline
+ *   tilt          Device tilt { x, y } (see PointerInput), null offline or without a sensor
+ * Hidden layers are not called at all, and the loop sleeps while the page
+ * is in the background. Frame listeners run after every live frame is
+ * drawn, so readers such as AVRecorder see each frame exactly once.
+ */
+
+// Longest step taken after a stall, in seconds
+const MAX_DELTA = 0.1;
+
+export class FrameScheduler {
+  /**
+   * Create a new FrameScheduler
+   * @param {AudioManager} audioManager Audio manager analysed once per frame (optional)
+   * @param {PointerInput} pointerInput Pointer tracker whose pointers go into each frame (optional)
+   */
+  constructor(audioManager = null, pointerInput = null) {
+    this.audioManager = audioManager;
+    this.pointerInput = pointerInput;
+    this.layers = []; // { layer, zIndex, order }, bottom first
+    this.registrations = 0;
+    this.frameCallbacks = new Set();
+
+    this.isStarted = false;
+    this.frameId = null;
+    this.lastTime = 0;
+    this.time = 0;
+
+    this.tick = this.tick.bind(this);
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+  }
+
+  /**
+   * Add a layer, or move it if it is already registered
+   * @param {Component} layer Component with renderFrame(frame) and isVisible
+   * @param {number} zIndex Stacking position; equal values keep registration order
+   */
+  register(layer, zIndex = 0) {
+    const entry = this.layers.find(item => item.layer === layer);
+    if (entry) {
+      entry.zIndex = zIndex;
+    } else {
+      this.layers.push({ layer, zIndex, order: this.registrations++ });
+    }
+    this.layers.sort((a, b) => a.zIndex - b.zIndex || a.order - b.order);
+  }
+
+  /**
+   * Remove a layer
+   * @param {Component} layer Registered component
+   */
+  unregister(layer) {
+    this.layers = this.layers.filter(item => item.layer !== layer);
+  }
+
+  /**
+   * Registered layers, bottom first
+   * @returns {Array<Component>} Layers
+   */
+  getLayers() {
+    return this.layers.map(item => item.layer);
+  }
+
+  /**
+   * Add a callback run after each live frame has been drawn
+   * @param {Function} callback Callback receiving the frame context
+   */
+  addFrameListener(callback) {
+    this.frameCallbacks.add(callback);
+  }
+
+  /**
+   * Remove a frame callback
+   * @param {Function} callback Callback function
+   */
+  removeFrameListener(callback) {
+    this.frameCallbacks.delete(callback);
+  }
+
+  /**
+   * Start the loop
+   */
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+    this.time = 0;
+    this.requestFrame();
+    console.log(`🎬 FrameScheduler: Started with ${this.layers.length} layers`);
+  }
+
+  /**
+   * Stop the loop; layers only change when renderFrame() is called
+   */
+  stop() {
+    this.isStarted = false;
+    this.cancelFrame();
+  }
+
+  /**
+   * Whether the loop is started (it may still be asleep in a background tab)
+   * @returns {boolean} Running state
+   */
+  isRunning() {
+    return this.isStarted;
+  }
+
+  /**
+   * Draw one frame on every visible layer, bottom first
+   * @param {Object} frame Frame context
+   */
+  renderFrame(frame) {
+    this.layers.forEach(({ layer }) => {
+      if (layer.isVisible) layer.renderFrame(frame);
+    });
+  }
+
+  /**
+   * Run one animation frame
+   * @param {number} now requestAnimationFrame timestamp in ms
+   */
+  tick(now) {
+    // Scheduled first so one failing layer cannot stop the others
+    this.frameId = requestAnimationFrame(this.tick);
+
+    const delta = this.lastTime ? Math.min((now - this.lastTime) / 1000, MAX_DELTA) : 1 / 60;
+    this.lastTime = now;
+    this.time += delta;
+
+    const frame = {
+      time: this.time,
+      delta,
+      audioFeatures: this.audioManager ? this.audioManager.analyzeFrame(now) : null,
+      random: Math.random,
+      pointers: this.pointerInput ? this.pointerInput.getPointers(now) : [],
+      tilt: this.pointerInput ? this.pointerInput.getTilt() : null
+    };
+    this.renderFrame(frame);
+    this.frameCallbacks.forEach(callback => callback(frame));
+  }
+
+  /**
+   * Schedule the next frame unless stopped or hidden
+   */
+  requestFrame() {
+    if (!this.isStarted || document.hidden || this.frameId !== null) return;
+    // The first frame after a pause uses a nominal delta instead of the gap
+    this.lastTime = 0;
+    this.frameId = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Cancel the scheduled frame
+   */
+  cancelFrame() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Sleep while the page is hidden and wake when it returns
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.cancelFrame();
+      if (this.isStarted) console.log('💤 FrameScheduler: Page hidden, rendering paused');
+    } else {
+      this.requestFrame();
+    }
+  }
+}
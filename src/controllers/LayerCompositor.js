@@ -0,0 +1,174 @@
+/**
+ * LayerCompositor - stacking, blending and visibility of the canvas layers
+ *
+ * Every visual layer draws into its own full-screen canvas and the browser
+ * composites them with CSS. This controller is the one place that sets
+ * their z-index, mix-blend-mode, opacity and display, and it keeps the
+ * FrameScheduler's draw order in step so hidden layers are never rendered.
+ */
+
+// Blend modes offered per layer, with the CSS mix-blend-mode they map to
+export const BLEND_MODES = {
+  normal: { name: 'Normal', css: 'normal' },
+  add: { name: 'Add', css: 'plus-lighter' },
+  screen: { name: 'Screen', css: 'screen' },
+  multiply: { name: 'Multiply', css: 'multiply' },
+  difference: { name: 'Difference', css: 'difference' }
+};
+
+export class LayerCompositor {
+  /**
+   * Create a new LayerCompositor
+   * @param {FrameScheduler} scheduler Scheduler that renders the layers
+   */
+  constructor(scheduler) {
+    this.scheduler = scheduler;
+    // Layer state, bottom first: { id, name, component, opacity, blendMode, muted, solo }
+    this.layers = [];
+    this.changeCallbacks = new Set();
+  }
+
+  /**
+   * Add a layer on top of the stack
+   * @param {string} id Layer ID
+   * @param {Component} component Component drawing into one canvas
+   * @param {Object} options Initial state (name, opacity, blendMode, muted)
+   */
+  addLayer(id, component, options = {}) {
+    this.layers.push({
+      id,
+      name: options.name || id,
+      component,
+      opacity: options.opacity !== undefined ? options.opacity : 1,
+      blendMode: BLEND_MODES[options.blendMode] ? options.blendMode : 'normal',
+      muted: Boolean(options.muted),
+      solo: false
+    });
+    this.apply();
+  }
+
+  /**
+   * Find a layer by ID
+   * @param {string} id Layer ID
+   * @returns {Object|undefined} Layer state
+   */
+  getLayer(id) {
+    return this.layers.find(layer => layer.id === id);
+  }
+
+  /**
+   * Move a layer to a new stacking position
+   * @param {string} id Layer ID
+   * @param {number} index New position (0 = bottom)
+   */
+  moveLayer(id, index) {
+    const from = this.layers.findIndex(layer => layer.id === id);
+    if (from === -1 || index < 0 || index >= this.layers.length || index === from) return;
+    const [layer] = this.layers.splice(from, 1);
+    this.layers.splice(index, 0, layer);
+    this.apply();
+  }
+
+  /**
+   * Set how a layer blends with the layers below it
+   * @param {string} id Layer ID
+   * @param {string} blendMode Key of BLEND_MODES
+   */
+  setBlendMode(id, blendMode) {
+    const layer = this.getLayer(id);
+    if (!layer || !BLEND_MODES[blendMode]) return;
+    layer.blendMode = blendMode;
+    this.apply();
+  }
+
+  /**
+   * Set a layer's opacity
+   * @param {string} id Layer ID
+   * @param {number} opacity Opacity (0-1)
+   */
+  setOpacity(id, opacity) {
+    const layer = this.getLayer(id);
+    if (!layer) return;
+    layer.opacity = Math.max(0, Math.min(1, opacity));
+    this.apply('opacity');
+  }
+
+  /**
+   * Mute (hide) or unmute a layer
+   * @param {string} id Layer ID
+   * @param {boolean} muted Whether the layer is hidden
+   */
+  setMuted(id, muted) {
+    const layer = this.getLayer(id);
+    if (!layer) return;
+    layer.muted = muted;
+    this.apply();
+  }
+
+  /**
+   * Solo a layer; while any layer is soloed only soloed layers show
+   * @param {string} id Layer ID
+   * @param {boolean} solo Whether the layer is soloed
+   */
+  setSolo(id, solo) {
+    const layer = this.getLayer(id);
+    if (!layer) return;
+    layer.solo = solo;
+    this.apply();
+  }
+
+  /**
+   * Whether a layer is currently on screen
+   * @param {Object} layer Layer state
+   * @returns {boolean} Effective visibility
+   */
+  isLayerVisible(layer) {
+    const hasSolo = this.layers.some(item => item.solo);
+    return !layer.muted && (!hasSolo || layer.solo);
+  }
+
+  /**
+   * Push the layer state to the canvases and the scheduler
+   * @param {string} change What changed, passed on to change callbacks
+   */
+  apply(change = 'layers') {
+    this.layers.forEach((layer, index) => {
+      const { component } = layer;
+      const canvas = component.getCanvas();
+      const visible = this.isLayerVisible(layer);
+
+      canvas.style.zIndex = index;
+      canvas.style.mixBlendMode = BLEND_MODES[layer.blendMode].css;
+      canvas.style.opacity = layer.opacity;
+      if (component.isVisible !== visible) {
+        component.setVisibility(visible);
+      }
+      this.scheduler.register(component, index);
+    });
+    this.notifyChange(change);
+  }
+
+  /**
+   * Add a change callback
+   * @param {Function} callback Callback function
+   */
+  addChangeListener(callback) {
+    this.changeCallbacks.add(callback);
+  }
+
+  /**
+   * Remove a change callback
+   * @param {Function} callback Callback function
+   */
+  removeChangeListener(callback) {
+    this.changeCallbacks.delete(callback);
+  }
+
+  /**
+   * Notify change callbacks
+   * @param {string} change What changed ('layers' or 'opacity')
+   */
+  notifyChange(change) {
+    this.changeCallbacks.forEach(callback => callback(this, change));
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * MediaSessionController publishes playback to the OS media controls
+ * (lock screen, notification shade, hardware media keys) through
+ * navigator.mediaSession and routes their actions back to the playlist.
+ */
+export class MediaSessionController {
+  /**
+   * Create a new MediaSessionController
+   * @param {AudioManager} audioManager Audio manager used for playback
+   * @param {Playlist} playlist Playlist providing track metadata and skipping
+   */
+  constructor(audioManager, playlist) {
+    this.audioManager = audioManager;
+    this.playlist = playlist;
+    this.isSupported = typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+    this.currentTrack = null;
+    this.keepAlive = null;
+
+    if (!this.isSupported) {
+      console.log('📱 MediaSession: Not supported, OS media controls disabled');
+      return;
+    }
+
+    this.setupActionHandlers();
+    this.playlist.addChangeListener(() => this.updateMetadata());
+    this.audioManager.on('timeupdate', (detail) => this.updatePlaybackState(detail));
+    console.log('📱 MediaSession: Publishing playback to OS media controls');
+  }
+
+  /**
+   * Route OS media actions to the playlist and audio manager
+   */
+  setupActionHandlers() {
+    const handlers = {
+      play: () => {
+        if (!this.audioManager.isPlaying) this.playlist.togglePlayback();
+      },
+      pause: () => {
+        if (this.audioManager.isPlaying) this.playlist.togglePlayback();
+      },
+      seekto: (details) => {
+        this.audioManager.seek(details.seekTime);
+      },
+      nexttrack: () => this.playlist.next(),
+      previoustrack: () => this.playlist.previous()
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        // Older browsers throw for actions they do not know
+        console.warn(`⚠️ MediaSession: Action "${action}" not supported`);
+      }
+    });
+  }
+
+  /**
+   * Publish title, artist and artwork of the current track
+   */
+  updateMetadata() {
+    const track = this.playlist.getCurrentTrack();
+    if (track === this.currentTrack) return;
+    this.currentTrack = track;
+
+    if (!track) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: track.title,
+      artist: track.isLocal ? track.artist : 'OMNIVOID',
+      album: 'OMNIVOID Radio',
+      artwork: this.getArtwork(track)
+    });
+  }
+
+  /**
+   * Pick artwork for a track: a gallery image chosen by the track's
+   * place in the archive, with the logo as a fallback
+   * @param {Object} track Track descriptor
+   * @returns {Array<Object>} MediaImage list
+   */
+  getArtwork(track) {
+    const index = Math.max(0, this.playlist.tracks.indexOf(track));
+    const image = `IMG${String(index % 20).padStart(3, '0')}.png`;
+    return [
+      { src: `./public/gallery/${image}`, sizes: '1024x1024', type: 'image/png' },
+      { src: './public/logo.svg', sizes: 'any', type: 'image/svg+xml' }
+    ];
+  }
+
+  /**
+   * Mirror play state and position onto the session
+   * @param {Object} detail 'timeupdate' detail from AudioManager
+   */
+  updatePlaybackState({ currentTime, duration, playbackRate, isPlaying }) {
+    navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+    this.setKeepAlive(isPlaying);
+
+    if (!navigator.mediaSession.setPositionState || !Number.isFinite(duration) || duration <= 0) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate,
+        position: Math.min(currentTime, duration)
+      });
+    } catch (error) {
+      console.warn('⚠️ MediaSession: Invalid position state:', error);
+    }
+  }
+
+  /**
+   * Some mobile browsers only show media controls while a media element is
+   * playing. Decoded tracks play through Web Audio alone, so a silent
+   * looping element runs alongside them to keep the session visible.
+   * @param {boolean} active Whether playback is running
+   */
+  setKeepAlive(active) {
+    if (active && !this.keepAlive) {
+      this.keepAlive = new Audio(URL.createObjectURL(createSilentWav(6)));
+      this.keepAlive.loop = true;
+    }
+    if (!this.keepAlive || active === !this.keepAlive.paused) return;
+
+    if (active) {
+      this.keepAlive.play().catch(() => {
+        // Autoplay rules: the next user-started playback will succeed
+      });
+    } else {
+      this.keepAlive.pause();
+    }
+  }
+}
+
+/**
+ * Build a silent mono WAV file (8 kHz, 16-bit)
+ * @param {number} seconds Length in seconds (mobile browsers ignore clips under ~5s)
+ * @returns {Blob} WAV blob
+ */
+function createSilentWav(seconds) {
+  const sampleRate = 8000;
+  const dataSize = sampleRate * seconds * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  return new Blob([view], { type: 'audio/wav' });
+}
@@ -0,0 +1,256 @@
+import { CAPTURE_RESOLUTIONS, compositeLayers } from '../utils/AVRecorder.js';
+import { createRandom } from '../utils/Random.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+
+// ZIP archives have no ZIP64 support, so longer renders need a folder
+const MAX_ZIP_FRAMES = 65535;
+// The ZIP fallback holds every frame in memory until it is saved
+const MAX_ZIP_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * OfflineRenderer - deterministic frame-by-frame video rendering
+ *
+ * The track is analysed into a per-frame feature timeline first. The
+ * FrameScheduler is then stopped and stepped by hand with a fixed delta,
+ * the timeline's features and one seeded random source, so the same track,
+ * seed, frame rate, window size and visible layers give identical frames
+ * on every run.
+ */
+export class OfflineRenderer {
+  /**
+   * Create a new OfflineRenderer
+   * @param {AudioManager} audioManager Audio manager used for analysis
+   * @param {FrameScheduler} scheduler Scheduler owning the visual layers
+   */
+  constructor(audioManager, scheduler) {
+    this.audioManager = audioManager;
+    this.scheduler = scheduler;
+    this.isRendering = false;
+    this.isCancelled = false;
+  }
+
+  /**
+   * Render a track to a PNG sequence or a WebM video
+   * @param {Object} options Render options
+   * @param {string} options.url Audio file URL
+   * @param {number} options.fps Frames per second (30 or 60)
+   * @param {number|string} options.seed Random seed
+   * @param {string} options.resolution Key of CAPTURE_RESOLUTIONS
+   * @param {string} options.format 'png' (sequence) or 'webm'
+   * @param {Function} options.onProgress Callback receiving (stage, progress 0-1)
+   * @returns {Promise<Object|null>} { blob, frameCount } (blob is null when frames went to a folder), or null if cancelled
+   */
+  async render(options) {
+    if (this.isRendering) {
+      console.warn('⚠️ OfflineRenderer: Already rendering');
+      return null;
+    }
+
+    const { url, fps = 30, seed = 1, format = 'png' } = options;
+    const resolution = CAPTURE_RESOLUTIONS[options.resolution] || CAPTURE_RESOLUTIONS['1080p'];
+    const onProgress = options.onProgress || (() => {});
+    const layers = this.scheduler.getLayers();
+    const wasRunning = this.scheduler.isRunning();
+    this.isRendering = true;
+    this.isCancelled = false;
+
+    try {
+      // Folder access needs the click that started the render, so ask first
+      const sink = format === 'png' ? await createPngSink() : null;
+
+      const timeline = await this.audioManager.analyzeTimeline(url, fps, progress => onProgress('analyse', progress));
+      if (this.isCancelled) return null;
+      if (sink && !sink.directory && timeline.frames.length > MAX_ZIP_FRAMES) {
+        throw new Error(`${timeline.frames.length} frames exceed the ZIP limit; pick a folder instead`);
+      }
+
+      await Promise.all(layers.map(layer => layer.whenReady()));
+      if (this.audioManager.isPlaying) {
+        this.audioManager.pause();
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = resolution.width;
+      canvas.height = resolution.height;
+
+      const random = createRandom(seed);
+      this.scheduler.stop();
+      layers.forEach(layer => layer.reset(random));
+
+      console.log(`🎞️ OfflineRenderer: Rendering ${timeline.frames.length} frames at ${resolution.width}×${resolution.height}, seed ${seed}`);
+      const result = format === 'webm'
+        ? await this.renderWebm(timeline, canvas, random, resolution, onProgress)
+        : await this.renderPngSequence(timeline, canvas, random, sink, onProgress);
+
+      if (result) console.log('✅ OfflineRenderer: Render complete');
+      return result;
+    } finally {
+      if (wasRunning) this.scheduler.start();
+      this.isRendering = false;
+    }
+  }
+
+  /**
+   * Stop the render after the current frame
+   */
+  cancel() {
+    if (this.isRendering) {
+      this.isCancelled = true;
+      console.log('🛑 OfflineRenderer: Cancelling render');
+    }
+  }
+
+  /**
+   * Step every visible layer and composite the result
+   * @param {Object} timeline Feature timeline from AudioManager.analyzeTimeline()
+   * @param {number} index Frame index
+   * @param {Function} random Seeded random source
+   * @param {HTMLCanvasElement} canvas Output canvas
+   */
+  renderFrame(timeline, index, random, canvas) {
+    const frame = {
+      time: index / timeline.fps,
+      delta: 1 / timeline.fps,
+      audioFeatures: timeline.frames[index],
+      random,
+      // Live input would make renders unrepeatable
+      pointers: [],
+      tilt: null
+    };
+    this.scheduler.renderFrame(frame);
+    compositeLayers(canvas.getContext('2d'), canvas.width, canvas.height);
+  }
+
+  /**
+   * Render every frame to a PNG, as fast as the machine allows
+   * @param {Object} timeline Feature timeline
+   * @param {HTMLCanvasElement} canvas Output canvas
+   * @param {Function} random Seeded random source
+   * @param {Object} sink Frame sink from createPngSink()
+   * @param {Function} onProgress Progress callback
+   * @returns {Promise<Object|null>} { blob, frameCount }, or null if cancelled
+   */
+  async renderPngSequence(timeline, canvas, random, sink, onProgress) {
+    const frameCount = timeline.frames.length;
+    for (let i = 0; i < frameCount; i++) {
+      if (this.isCancelled) return null;
+      this.renderFrame(timeline, i, random, canvas);
+
+      const png = await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Frame ${i} failed to encode`))), 'image/png');
+      });
+      // Fail on the first frame rather than after minutes of rendering
+      if (i === 0 && sink.maxBytes && png.size * frameCount > sink.maxBytes) {
+        throw new Error(`${frameCount} frames need about ${(png.size * frameCount / 1e9).toFixed(1)} GB as a ZIP in memory; render a shorter clip, use WebM, or a browser that can save to a folder`);
+      }
+      await sink.write(`frame_${String(i + 1).padStart(6, '0')}.png`, png);
+      onProgress('render', (i + 1) / frameCount);
+    }
+    return { blob: await sink.finish(), frameCount };
+  }
+
+  /**
+   * Render to WebM with the track's audio. MediaRecorder timestamps frames
+   * by the clock, so frames are paced at the target rate while the audio
+   * plays along; the frames themselves are still the deterministic ones.
+   * @param {Object} timeline Feature timeline
+   * @param {HTMLCanvasElement} canvas Output canvas
+   * @param {Function} random Seeded random source
+   * @param {Object} resolution Entry of CAPTURE_RESOLUTIONS
+   * @param {Function} onProgress Progress callback
+   * @returns {Promise<Object|null>} { blob, frameCount }, or null if cancelled
+   */
+  async renderWebm(timeline, canvas, random, resolution, onProgress) {
+    const audioContext = this.audioManager.audioContext;
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    // Frame 0 is drawn before the stream starts so the video never opens blank
+    this.renderFrame(timeline, 0, random, canvas);
+    const videoStream = canvas.captureStream(0);
+    const [videoTrack] = videoStream.getVideoTracks();
+
+    const audioDestination = audioContext.createMediaStreamDestination();
+    const source = audioContext.createBufferSource();
+    source.buffer = timeline.buffer;
+    source.connect(audioDestination);
+
+    const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const recorder = new MediaRecorder(new MediaStream([videoTrack, ...audioDestination.stream.getAudioTracks()]), {
+      mimeType: mimeType || undefined,
+      videoBitsPerSecond: resolution.bitrate,
+      audioBitsPerSecond: 192000
+    });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+
+    recorder.start(1000);
+    source.start();
+    const startedAt = performance.now();
+    const frameCount = timeline.frames.length;
+
+    for (let i = 0; i < frameCount && !this.isCancelled; i++) {
+      if (i > 0) this.renderFrame(timeline, i, random, canvas);
+      videoTrack.requestFrame();
+      onProgress('render', (i + 1) / frameCount);
+
+      // Wait for the next frame's slot; a slow frame simply runs late
+      const wait = startedAt + ((i + 1) * 1000) / timeline.fps - performance.now();
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+    }
+
+    source.stop();
+    source.disconnect();
+    const blob = await new Promise(resolve => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+      recorder.stop();
+    });
+    videoTrack.stop();
+
+    return this.isCancelled ? null : { blob, frameCount };
+  }
+}
+
+/**
+ * Choose where PNG frames go: a folder the user picks where the browser
+ * allows it, otherwise a ZIP archive built in memory (short clips only)
+ * @returns {Promise<Object>} { directory, maxBytes (null for a folder), write(name, blob), finish() }
+ */
+async function createPngSink() {
+  if (window.showDirectoryPicker) {
+    try {
+      const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+      return {
+        directory,
+        maxBytes: null,
+        async write(name, blob) {
+          const handle = await directory.getFileHandle(name, { create: true });
+          const writable = await handle.createWritable();
+          await writable.write(blob);
+          await writable.close();
+        },
+        finish: async () => null
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('⚠️ OfflineRenderer: Folder access unavailable, collecting frames in a ZIP:', error);
+    }
+  }
+
+  const zip = new ZipWriter();
+  return {
+    directory: null,
+    maxBytes: MAX_ZIP_BYTES,
+    async write(name, blob) {
+      if (zip.getSize() + blob.size > MAX_ZIP_BYTES) {
+        throw new Error('The ZIP passed 1 GB in memory; render a shorter clip, use WebM, or a browser that can save to a folder');
+      }
+      zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+    },
+    finish: async () => zip.finish()
+  };
+}
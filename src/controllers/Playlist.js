@@ -0,0 +1,404 @@
+import { readPublicFile } from '../config/googleDrive.js';
+import { readTags } from '../utils/TagReader.js';
+
+// Formats accepted from drag-and-drop and the file picker
+const SUPPORTED_EXTENSIONS = /\.(mp3|wav|ogg|oga|opus|flac|m4a|mp4|aac)$/i;
+
+/**
+ * Playlist controller that queues local tracks on top of AudioManager
+ * Tracks come from a JSON manifest so nothing is hardcoded here
+ */
+export class Playlist {
+  /**
+   * Create a new Playlist instance
+   * @param {AudioManager} audioManager Audio manager used for playback
+   */
+  constructor(audioManager) {
+    this.audioManager = audioManager;
+
+    // All known tracks in manifest order
+    this.tracks = [];
+    // Play order; reshuffled or reordered without touching this.tracks
+    this.queue = [];
+    // Index into this.queue of the current track (-1 = nothing loaded)
+    this.position = -1;
+    // Track handed to AudioManager for pre-decoding and the next transition
+    this.queuedTrack = null;
+
+    this.shuffle = false;
+    this.repeatMode = 'off'; // 'off' | 'one' | 'all'
+    this.isLoading = false;
+
+    this.changeCallbacks = new Set();
+
+    // Advance automatically when a track finishes on its own
+    this.audioManager.on('ended', () => this.handleTrackEnded());
+    // Follow crossfades/gapless handovers that AudioManager performed itself
+    this.audioManager.on('trackchange', () => this.handleTrackChange());
+  }
+
+  /**
+   * Load tracks from a manifest file
+   * @param {string} url Manifest URL
+   * @returns {Promise<boolean>} Whether the manifest was loaded
+   */
+  async loadManifest(url = './public/audio/manifest.json') {
+    console.log(`📜 Playlist: Loading manifest from ${url}`);
+    const content = await readPublicFile(url);
+    if (!content) {
+      console.warn('⚠️ Playlist: Manifest unavailable, queue left empty');
+      return false;
+    }
+
+    try {
+      const manifest = JSON.parse(content);
+      const basePath = manifest.basePath || '';
+      this.setTracks(manifest.tracks.map(track => {
+        const url = track.url || encodeURI(basePath + track.file);
+        // Pre-measured loudness ({ integrated, truePeak }) saves decoding long streams
+        if (track.loudness) {
+          this.audioManager.setTrackLoudness(url, track.loudness);
+        }
+        return {
+          id: track.id || track.file,
+          title: track.title || track.file.replace(/\.[^.]+$/, ''),
+          artist: track.artist || 'OMNIVOID',
+          url
+        };
+      }));
+      console.log(`✅ Playlist: ${this.tracks.length} tracks loaded`);
+      return true;
+    } catch (error) {
+      console.error('❌ Playlist: Invalid manifest:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace all tracks and reset the queue
+   * @param {Array<Object>} tracks Track descriptors ({id, title, artist, url})
+   */
+  setTracks(tracks) {
+    this.tracks = tracks.slice();
+    this.queue = this.tracks.slice();
+    this.position = -1;
+    if (this.shuffle) {
+      this.shuffleQueue(0);
+    }
+    this.notifyChange();
+  }
+
+  /**
+   * Append a track to the end of the queue
+   * @param {Object} track Track descriptor
+   */
+  enqueue(track) {
+    this.tracks.push(track);
+    this.queue.push(track);
+    this.preloadNext();
+    this.notifyChange();
+  }
+
+  /**
+   * Append user files to the queue. Everything happens client-side: tags
+   * are read from the file and audio is decoded from an object URL.
+   * @param {FileList|Array<File>} files Files from a drop or file picker
+   * @returns {Promise<{added: number, rejected: Array<string>}>} Import result
+   */
+  async addFiles(files) {
+    let added = 0;
+    const rejected = [];
+
+    // One at a time: decoding several files at once spikes memory
+    for (const file of Array.from(files)) {
+      if (!SUPPORTED_EXTENSIONS.test(file.name) && !file.type.startsWith('audio/')) {
+        rejected.push(file.name);
+        continue;
+      }
+
+      try {
+        console.log(`📂 Playlist: Importing "${file.name}"`);
+        const [tags, prepared] = await Promise.all([
+          readTags(file),
+          this.audioManager.prepareLocalFile(file)
+        ]);
+        this.enqueue({
+          id: `local:${file.name}:${file.size}:${file.lastModified}`,
+          title: tags.title,
+          artist: tags.artist || 'Unknown artist',
+          url: prepared.url,
+          mode: prepared.mode,
+          duration: tags.duration || prepared.duration,
+          isLocal: true
+        });
+        added++;
+      } catch (error) {
+        console.warn(`⚠️ Playlist: Could not decode "${file.name}":`, error);
+        rejected.push(file.name);
+      }
+    }
+
+    console.log(`✅ Playlist: Imported ${added} file(s), ${rejected.length} rejected`);
+    return { added, rejected };
+  }
+
+  /**
+   * Get the track at the current queue position
+   * @returns {Object|null} Current track
+   */
+  getCurrentTrack() {
+    return this.queue[this.position] || null;
+  }
+
+  /**
+   * Load and play the track at a queue position
+   * @param {number} index Queue index
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  async playAt(index) {
+    const track = this.queue[index];
+    if (!track || this.isLoading) return false;
+
+    // Restored if loading fails, so the old track stays current
+    const previous = this.getCurrentTrack();
+    this.isLoading = true;
+    this.position = index;
+    this.notifyChange();
+
+    console.log(`🎶 Playlist: Loading "${track.title}"`);
+    // While something is playing, fade into the new track instead of cutting
+    const options = { mode: track.mode };
+    const loaded = this.audioManager.isPlaying
+      ? await this.audioManager.crossfadeTo(track.url, options)
+      : await this.audioManager.loadAudio(track.url, options);
+    this.isLoading = false;
+
+    if (loaded) {
+      if (!this.audioManager.isPlaying) {
+        this.audioManager.play();
+      }
+      // Loading a track clears AudioManager's queue, so always re-queue
+      this.queuedTrack = null;
+      this.preloadNext();
+    } else {
+      // The queue may have changed while loading, so find the track again
+      this.position = previous ? this.queue.indexOf(previous) : -1;
+    }
+    this.notifyChange();
+    return loaded;
+  }
+
+  /**
+   * Hand the upcoming track to AudioManager so it is decoded before it is due
+   */
+  preloadNext() {
+    if (this.position === -1 || this.audioManager.isTransitionScheduled()) return;
+
+    const index = this.getNextIndex(true);
+    if (index === -1) {
+      this.queuedTrack = null;
+      this.audioManager.clearNext();
+      return;
+    }
+
+    const track = this.queue[index];
+    if (track === this.queuedTrack) return;
+    this.queuedTrack = track;
+    this.audioManager.queueNext(track.url, { mode: track.mode });
+  }
+
+  /**
+   * Handle AudioManager switching to the queued track on its own
+   */
+  handleTrackChange() {
+    const index = this.queue.indexOf(this.queuedTrack);
+    this.queuedTrack = null;
+    if (index === -1) return;
+
+    this.position = index;
+    this.preloadNext();
+    this.notifyChange();
+  }
+
+  /**
+   * Toggle between play and pause, starting the queue if nothing is loaded
+   */
+  togglePlayback() {
+    if (this.position === -1) {
+      this.playAt(0);
+    } else if (this.audioManager.isPlaying) {
+      this.audioManager.pause();
+      this.notifyChange();
+    } else {
+      this.audioManager.play();
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Skip to the next track
+   * @returns {Promise<boolean>} Whether a track started
+   */
+  async next() {
+    const index = this.getNextIndex(false);
+    if (index === -1) return false;
+    return this.playAt(index);
+  }
+
+  /**
+   * Go back to the previous track, or restart the current one if
+   * more than a few seconds have played
+   * @returns {Promise<boolean>} Whether a track started
+   */
+  async previous() {
+    if (this.audioManager.getCurrentTime() > 3 && this.position !== -1) {
+      return this.playAt(this.position);
+    }
+    let index = this.position - 1;
+    if (index < 0) {
+      if (this.repeatMode !== 'all') return false;
+      index = this.queue.length - 1;
+    }
+    return this.playAt(index);
+  }
+
+  /**
+   * Work out which queue index plays after the current one
+   * @param {boolean} auto Whether this is an automatic advance
+   * @returns {number} Next queue index or -1 when the queue is finished
+   */
+  getNextIndex(auto) {
+    if (this.queue.length === 0) return -1;
+    if (auto && this.repeatMode === 'one') return this.position;
+
+    const index = this.position + 1;
+    if (index < this.queue.length) return index;
+    return this.repeatMode === 'all' ? 0 : -1;
+  }
+
+  /**
+   * Handle the natural end of a track
+   */
+  handleTrackEnded() {
+    const index = this.getNextIndex(true);
+    if (index === -1) {
+      console.log('🏁 Playlist: End of queue');
+      this.notifyChange();
+      return;
+    }
+    this.playAt(index);
+  }
+
+  /**
+   * Enable or disable shuffle; the current track stays where it is
+   * @param {boolean} enabled Whether shuffle is on
+   */
+  setShuffle(enabled) {
+    const current = this.getCurrentTrack();
+    this.shuffle = enabled;
+
+    if (enabled) {
+      this.shuffleQueue(this.position + 1);
+    } else {
+      this.queue = this.tracks.slice();
+      this.position = current ? this.queue.indexOf(current) : -1;
+    }
+    this.preloadNext();
+    this.notifyChange();
+  }
+
+  /**
+   * Fisher-Yates shuffle of the queue from a start index onwards
+   * @param {number} start First queue index to shuffle
+   */
+  shuffleQueue(start) {
+    for (let i = this.queue.length - 1; i > start; i--) {
+      const j = start + Math.floor(Math.random() * (i - start + 1));
+      [this.queue[i], this.queue[j]] = [this.queue[j], this.queue[i]];
+    }
+  }
+
+  /**
+   * Set the repeat mode
+   * @param {string} mode 'off', 'one' or 'all'
+   */
+  setRepeatMode(mode) {
+    if (!['off', 'one', 'all'].includes(mode)) return;
+    this.repeatMode = mode;
+    this.preloadNext();
+    this.notifyChange();
+  }
+
+  /**
+   * Cycle repeat mode off → all → one → off
+   * @returns {string} New repeat mode
+   */
+  cycleRepeatMode() {
+    const order = ['off', 'all', 'one'];
+    this.setRepeatMode(order[(order.indexOf(this.repeatMode) + 1) % order.length]);
+    return this.repeatMode;
+  }
+
+  /**
+   * Move a queued track to a new position
+   * @param {number} from Current queue index
+   * @param {number} to Target queue index
+   */
+  moveTrack(from, to) {
+    if (from < 0 || from >= this.queue.length) return;
+    to = Math.max(0, Math.min(this.queue.length - 1, to));
+    if (from === to) return;
+
+    const current = this.getCurrentTrack();
+    const [track] = this.queue.splice(from, 1);
+    this.queue.splice(to, 0, track);
+    this.position = current ? this.queue.indexOf(current) : -1;
+    this.preloadNext();
+    this.notifyChange();
+  }
+
+  /**
+   * Remove a track from the playlist (the current track cannot be removed)
+   * @param {number} index Queue index
+   */
+  removeTrack(index) {
+    const track = this.queue[index];
+    if (index === this.position || !track) return;
+    this.queue.splice(index, 1);
+    // Also from the track list, or turning shuffle off would bring it back
+    this.tracks.splice(this.tracks.indexOf(track), 1);
+
+    // Imported files live in object URLs until they leave the playlist
+    if (track.isLocal) {
+      URL.revokeObjectURL(track.url);
+    }
+    if (index < this.position) {
+      this.position--;
+    }
+    this.preloadNext();
+    this.notifyChange();
+  }
+
+  /**
+   * Add a change callback, called whenever queue or state changes
+   * @param {Function} callback Callback receiving the playlist
+   */
+  addChangeListener(callback) {
+    this.changeCallbacks.add(callback);
+  }
+
+  /**
+   * Remove a change callback
+   * @param {Function} callback Callback function
+   */
+  removeChangeListener(callback) {
+    this.changeCallbacks.delete(callback);
+  }
+
+  /**
+   * Notify change callbacks
+   */
+  notifyChange() {
+    this.changeCallbacks.forEach(callback => callback(this));
+  }
+}
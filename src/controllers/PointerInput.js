@@ -0,0 +1,200 @@
+// Weight of the newest sample in the smoothed pointer velocity
+const VELOCITY_SMOOTHING = 0.5;
+// Device tilt in degrees that counts as fully tilted
+const MAX_TILT = 30;
+
+/**
+ * PointerInput tracks mouse, pen and touch pointers over the visual layers
+ * so every layer can react to them through the shared frame context.
+ * Only input on the background counts: a full-screen surface behind all
+ * content (the layer canvases ignore pointer events) that takes touch
+ * gestures from the browser. Presses on menus, windows and controls are
+ * ignored.
+ * Positions are in CSS pixels, which match the layer canvas pixels.
+ * Devices with an orientation sensor also report their tilt.
+ */
+export class PointerInput {
+  /**
+   * Create a new PointerInput
+   */
+  constructor() {
+    // Pointer ID → { id, type, x, y, vx, vy, pressed, startX, startY, downTime, travel, lastTime }
+    this.pointers = new Map();
+    this.tilt = null; // { x, y } once the device reports its orientation
+
+    this.surface = document.createElement('div');
+    this.surface.id = 'pointer-surface';
+    document.body.prepend(this.surface);
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.requestOrientationPermission = this.requestOrientationPermission.bind(this);
+
+    document.addEventListener('pointerdown', this.handlePointerDown);
+    document.addEventListener('pointermove', this.handlePointerMove);
+    document.addEventListener('pointerup', this.handlePointerUp);
+    document.addEventListener('pointercancel', this.handlePointerLeave);
+    document.documentElement.addEventListener('pointerleave', this.handlePointerLeave);
+    window.addEventListener('deviceorientation', this.handleOrientation);
+    // iOS sends no orientation events until a user gesture grants permission;
+    // the first tap anywhere (including play) asks
+    if (typeof DeviceOrientationEvent !== 'undefined' && DeviceOrientationEvent.requestPermission) {
+      document.addEventListener('touchend', this.requestOrientationPermission, true);
+      document.addEventListener('click', this.requestOrientationPermission, true);
+    }
+  }
+
+  /**
+   * Snapshot of the current pointers for a frame
+   * @param {number} now Current time in ms (performance.now clock)
+   * @returns {Array<Object>} Pointers { id, type, x, y, vx, vy (px/s), pressed, duration (s), travel (px) }
+   */
+  getPointers(now = performance.now()) {
+    return Array.from(this.pointers.values(), pointer => ({
+      id: pointer.id,
+      type: pointer.type,
+      x: pointer.x,
+      y: pointer.y,
+      vx: pointer.vx,
+      vy: pointer.vy,
+      pressed: pointer.pressed,
+      duration: pointer.pressed ? (now - pointer.downTime) / 1000 : 0,
+      travel: pointer.travel
+    }));
+  }
+
+  /**
+   * Current device tilt
+   * @returns {Object|null} Tilt { x, y } (-1 to 1, right and toward the viewer positive), or null without a sensor
+   */
+  getTilt() {
+    return this.tilt ? { x: this.tilt.x, y: this.tilt.y } : null;
+  }
+
+  /**
+   * Whether an event happened on the background rather than on UI
+   * @param {PointerEvent} event Pointer event
+   * @returns {boolean} True for the pointer surface
+   */
+  isBackground(event) {
+    return event.target === this.surface;
+  }
+
+  /**
+   * Start tracking a press
+   * @param {PointerEvent} event Pointer event
+   */
+  handlePointerDown(event) {
+    if (!this.isBackground(event)) return;
+    const now = performance.now();
+    this.pointers.set(event.pointerId, {
+      id: event.pointerId,
+      type: event.pointerType,
+      x: event.clientX,
+      y: event.clientY,
+      vx: 0,
+      vy: 0,
+      pressed: true,
+      startX: event.clientX,
+      startY: event.clientY,
+      downTime: now,
+      travel: 0,
+      lastTime: now
+    });
+  }
+
+  /**
+   * Follow a pointer; a mouse hovering the background is tracked unpressed
+   * @param {PointerEvent} event Pointer event
+   */
+  handlePointerMove(event) {
+    let pointer = this.pointers.get(event.pointerId);
+    if (!pointer) {
+      if (event.pointerType !== 'mouse' || !this.isBackground(event)) return;
+      pointer = { id: event.pointerId, type: 'mouse', x: event.clientX, y: event.clientY, vx: 0, vy: 0, pressed: false, startX: 0, startY: 0, downTime: 0, travel: 0, lastTime: performance.now() };
+      this.pointers.set(event.pointerId, pointer);
+    } else if (!pointer.pressed && !this.isBackground(event)) {
+      // The mouse moved onto UI
+      this.pointers.delete(event.pointerId);
+      return;
+    }
+
+    const now = performance.now();
+    const elapsed = (now - pointer.lastTime) / 1000;
+    if (elapsed > 0) {
+      pointer.vx += ((event.clientX - pointer.x) / elapsed - pointer.vx) * VELOCITY_SMOOTHING;
+      pointer.vy += ((event.clientY - pointer.y) / elapsed - pointer.vy) * VELOCITY_SMOOTHING;
+    }
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+    pointer.lastTime = now;
+    if (pointer.pressed) {
+      pointer.travel = Math.max(pointer.travel, Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY));
+    }
+  }
+
+  /**
+   * End a press; a mouse stays tracked as hovering
+   * @param {PointerEvent} event Pointer event
+   */
+  handlePointerUp(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+    if (pointer.type === 'mouse' && this.isBackground(event)) {
+      pointer.pressed = false;
+      pointer.travel = 0;
+    } else {
+      this.pointers.delete(event.pointerId);
+    }
+  }
+
+  /**
+   * Forget a pointer that was cancelled or left the page
+   * @param {PointerEvent} event Pointer event
+   */
+  handlePointerLeave(event) {
+    this.pointers.delete(event.pointerId);
+  }
+
+  /**
+   * Track the device tilt relative to holding it upright at a reading angle
+   * @param {DeviceOrientationEvent} event Orientation event
+   */
+  handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) return;
+    const clamp = value => Math.max(-1, Math.min(1, value / MAX_TILT));
+    // Phones are usually held tilted back by about 45 degrees
+    this.tilt = { x: clamp(event.gamma), y: clamp(event.beta - 45) };
+  }
+
+  /**
+   * Ask for orientation events once, from inside a user gesture
+   */
+  requestOrientationPermission() {
+    document.removeEventListener('touchend', this.requestOrientationPermission, true);
+    document.removeEventListener('click', this.requestOrientationPermission, true);
+    DeviceOrientationEvent.requestPermission()
+      .then(state => console.log(`🧭 PointerInput: Device orientation ${state}`))
+      .catch(error => console.warn('⚠️ PointerInput: Device orientation unavailable:', error));
+  }
+
+  /**
+   * Stop listening for input
+   */
+  destroy() {
+    document.removeEventListener('pointerdown', this.handlePointerDown);
+    document.removeEventListener('pointermove', this.handlePointerMove);
+    document.removeEventListener('pointerup', this.handlePointerUp);
+    document.removeEventListener('pointercancel', this.handlePointerLeave);
+    document.documentElement.removeEventListener('pointerleave', this.handlePointerLeave);
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+    document.removeEventListener('touchend', this.requestOrientationPermission, true);
+    document.removeEventListener('click', this.requestOrientationPermission, true);
+    this.surface.remove();
+    this.pointers.clear();
+    this.tilt = null;
+  }
+}
@@ -8,6 +8,7 @@ export class ThemeManager {
   constructor() {
     this.root = document.documentElement;
     this.currentTheme = 'dark';
+    this.changeCallbacks = new Set();
   }
 
   /**
@@ -16,6 +17,23 @@ export class ThemeManager {
   toggleTheme() {
     this.currentTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
     this.root.setAttribute('data-theme', this.currentTheme);
+    this.changeCallbacks.forEach(callback => callback(this.currentTheme));
+  }
+
+  /**
+   * Register a callback for theme switches, e.g. to re-read CSS colors
+   * @param {Function} callback Callback receiving the new theme name
+   */
+  addChangeListener(callback) {
+    this.changeCallbacks.add(callback);
+  }
+
+  /**
+   * Remove a theme change callback
+   * @param {Function} callback Callback function
+   */
+  removeChangeListener(callback) {
+    this.changeCallbacks.delete(callback);
   }
 
   /**
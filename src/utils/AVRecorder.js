@@ -0,0 +1,260 @@
+/**
+ * AVRecorder - captures what the audience sees and hears
+ *
+ * Every visual layer draws into its own full-screen canvas, so after each
+ * FrameScheduler frame the visible layers are composited, in stacking order
+ * and with their CSS opacity and blend mode, into one offscreen canvas. Its capture stream is
+ * muxed with the master audio stream and encoded by MediaRecorder.
+ */
+
+export const CAPTURE_RESOLUTIONS = {
+  '480p': { name: '854 × 480', width: 854, height: 480, bitrate: 2500000 },
+  '720p': { name: '1280 × 720', width: 1280, height: 720, bitrate: 5000000 },
+  '1080p': { name: '1920 × 1080', width: 1920, height: 1080, bitrate: 10000000 },
+  'square': { name: '1080 × 1080 (Square)', width: 1080, height: 1080, bitrate: 8000000 },
+  'vertical': { name: '1080 × 1920 (Vertical)', width: 1080, height: 1920, bitrate: 10000000 }
+};
+
+export const CAPTURE_FRAMERATES = [24, 30, 60];
+
+// Preferred video formats, best first
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+// CSS mix-blend-mode values the canvas can reproduce; plus-lighter is canvas 'lighter'
+const BLEND_MODES = ['plus-lighter', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'];
+
+export class AVRecorder {
+  /**
+   * Create a new AVRecorder
+   * @param {MediaStream} audioStream Master audio stream (see MasterRecorder)
+   * @param {FrameScheduler} scheduler Animation loop whose frames are recorded
+   */
+  constructor(audioStream, scheduler) {
+    this.audioStream = audioStream;
+    this.scheduler = scheduler;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+
+    this.mimeType = AVRecorder.getSupportedMimeType();
+    this.mediaRecorder = null;
+    this.videoStream = null;
+    this.chunks = [];
+    this.renderFrame = this.renderFrame.bind(this);
+
+    this.state = 'inactive'; // 'inactive' | 'recording' | 'paused'
+    this.recordedBefore = 0; // Seconds recorded before the current run
+    this.runStartedAt = 0; // performance.now() the current run started
+  }
+
+  /**
+   * Best video format MediaRecorder supports here
+   * @returns {string|null} MIME type, or null without canvas capture or MediaRecorder
+   */
+  static getSupportedMimeType() {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Seconds recorded so far, excluding pauses
+   * @returns {number} Elapsed time
+   */
+  get elapsed() {
+    if (this.state !== 'recording') return this.recordedBefore;
+    return this.recordedBefore + (performance.now() - this.runStartedAt) / 1000;
+  }
+
+  /**
+   * Start recording video
+   * @param {Object} options Capture options
+   * @param {string} options.resolution Key of CAPTURE_RESOLUTIONS
+   * @param {number} options.fps Frames per second
+   * @returns {boolean} Whether recording started
+   */
+  start(options = {}) {
+    if (this.state !== 'inactive') {
+      console.warn('⚠️ AVRecorder: Already recording');
+      return false;
+    }
+    if (this.mimeType === null) {
+      console.warn('⚠️ AVRecorder: Canvas capture not supported in this browser');
+      return false;
+    }
+
+    const resolution = CAPTURE_RESOLUTIONS[options.resolution] || CAPTURE_RESOLUTIONS['720p'];
+    const fps = options.fps || 30;
+    this.canvas.width = resolution.width;
+    this.canvas.height = resolution.height;
+
+    this.videoStream = this.canvas.captureStream(fps);
+    const stream = new MediaStream([
+      ...this.videoStream.getVideoTracks(),
+      ...(this.audioStream ? this.audioStream.getAudioTracks() : [])
+    ]);
+
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(stream, {
+      mimeType: this.mimeType || undefined,
+      videoBitsPerSecond: resolution.bitrate,
+      audioBitsPerSecond: 192000
+    });
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.mediaRecorder.start(1000);
+    this.scheduler.addFrameListener(this.renderFrame);
+
+    this.state = 'recording';
+    this.recordedBefore = 0;
+    this.runStartedAt = performance.now();
+    console.log(`🎥 AVRecorder: Recording ${resolution.width}×${resolution.height} @ ${fps}fps (${this.mimeType || 'default format'})`);
+    return true;
+  }
+
+  /**
+   * Pause the recording
+   */
+  pause() {
+    if (this.state !== 'recording') return;
+    this.mediaRecorder.pause();
+    this.recordedBefore = this.elapsed;
+    this.state = 'paused';
+    console.log('⏸️ AVRecorder: Paused');
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+    this.mediaRecorder.resume();
+    this.runStartedAt = performance.now();
+    this.state = 'recording';
+    console.log('🎥 AVRecorder: Resumed');
+  }
+
+  /**
+   * Finish the recording
+   * @returns {Promise<Object|null>} { video, duration }, or null if idle
+   */
+  stop() {
+    if (this.state === 'inactive') return Promise.resolve(null);
+    const duration = this.elapsed;
+    const recorder = this.mediaRecorder;
+    this.state = 'inactive';
+    this.recordedBefore = duration;
+    this.mediaRecorder = null;
+
+    this.scheduler.removeFrameListener(this.renderFrame);
+
+    return new Promise(resolve => {
+      recorder.onstop = () => {
+        // Only the video track is ours to stop; the audio stream stays live
+        this.videoStream.getVideoTracks().forEach(track => track.stop());
+        this.videoStream = null;
+
+        const video = new Blob(this.chunks, { type: recorder.mimeType || this.mimeType || 'video/webm' });
+        this.chunks = [];
+        console.log(`⏹️ AVRecorder: Stopped after ${duration.toFixed(1)}s`);
+        resolve({ video, duration });
+      };
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Composite the frame the scheduler has just drawn
+   */
+  renderFrame() {
+    compositeLayers(this.ctx, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Capture the current frame as a PNG still
+   * @param {string} resolutionKey Key of CAPTURE_RESOLUTIONS, or 'screen' for the window size
+   * @returns {Promise<Blob>} PNG image
+   */
+  snapshot(resolutionKey = 'screen') {
+    const resolution = CAPTURE_RESOLUTIONS[resolutionKey] || {
+      width: Math.round(window.innerWidth * (window.devicePixelRatio || 1)),
+      height: Math.round(window.innerHeight * (window.devicePixelRatio || 1))
+    };
+    const canvas = document.createElement('canvas');
+    canvas.width = resolution.width;
+    canvas.height = resolution.height;
+    compositeLayers(canvas.getContext('2d'), canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Snapshot failed'))), 'image/png');
+    });
+  }
+}
+
+/**
+ * Draw the page background and every visible layer canvas, scaled to
+ * cover the target while keeping the screen's aspect ratio
+ * @param {CanvasRenderingContext2D} ctx Target context
+ * @param {number} width Target width
+ * @param {number} height Target height
+ */
+export function compositeLayers(ctx, width, height) {
+  const screenWidth = window.innerWidth;
+  const screenHeight = window.innerHeight;
+  const scale = Math.max(width / screenWidth, height / screenHeight);
+  const offsetX = (width - screenWidth * scale) / 2;
+  const offsetY = (height - screenHeight * scale) / 2;
+
+  const background = getComputedStyle(document.body).backgroundColor;
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.fillStyle = !background || background === 'rgba(0, 0, 0, 0)' || background === 'transparent' ? '#000' : background;
+  ctx.fillRect(0, 0, width, height);
+
+  getVisibleLayers().forEach(({ canvas, style }) => {
+    const rect = canvas.getBoundingClientRect();
+    ctx.globalAlpha = getEffectiveOpacity(canvas);
+    ctx.globalCompositeOperation = getCompositeOperation(style.mixBlendMode);
+    ctx.drawImage(canvas, offsetX + rect.left * scale, offsetY + rect.top * scale, rect.width * scale, rect.height * scale);
+  });
+
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Layer canvases that are currently on screen, bottom first
+ * @returns {Array<{canvas: HTMLCanvasElement, style: CSSStyleDeclaration}>} Visible layers
+ */
+function getVisibleLayers() {
+  return Array.from(document.querySelectorAll('canvas'))
+    .map((canvas, order) => ({ canvas, style: getComputedStyle(canvas), order }))
+    .filter(({ canvas, style }) => canvas.width > 0 && canvas.height > 0 &&
+      style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0 &&
+      canvas.getClientRects().length > 0)
+    // Same stacking as the page: z-index first, then document order
+    .sort((a, b) => (parseInt(a.style.zIndex, 10) || 0) - (parseInt(b.style.zIndex, 10) || 0) || a.order - b.order);
+}
+
+/**
+ * Canvas composite operation matching a CSS blend mode
+ * @param {string} blendMode CSS mix-blend-mode
+ * @returns {string} globalCompositeOperation value
+ */
+function getCompositeOperation(blendMode) {
+  if (blendMode === 'plus-lighter') return 'lighter';
+  return BLEND_MODES.includes(blendMode) ? blendMode : 'source-over';
+}
+
+/**
+ * Opacity of an element including its ancestors' opacity
+ * @param {HTMLElement} element Element
+ * @returns {number} Effective opacity (0-1)
+ */
+function getEffectiveOpacity(element) {
+  let opacity = 1;
+  for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+    opacity *= parseFloat(getComputedStyle(node).opacity);
+  }
+  return opacity;
+}
@@ -1,3 +1,6 @@
+// Share of fling momentum kept per frame at 60fps
+const MOMENTUM_RETENTION = 0.95;
+
 /**
  * Agent class for particle system simulation
  */
@@ -7,22 +10,77 @@ export class Agent {
    * @param {number} width Canvas width
    * @param {number} height Canvas height
    * @param {number} index Agent index for frequency mapping
+   * @param {Function} random Random number source (default: Math.random)
    */
-  constructor(width, height, index = 0) {
+  constructor(width, height, index = 0, random = Math.random) {
     this.index = index;
-    this.reset(width, height);
+    this.reset(width, height, random);
   }
 
   /**
    * Reset agent to a random position
    * @param {number} width Canvas width
    * @param {number} height Canvas height
+   * @param {Function} random Random number source (default: Math.random)
+   */
+  reset(width, height, random = Math.random) {
+    this.x = random() * width;
+    this.y = random() * height;
+    this.vx = (random() - 0.5);
+    this.vy = (random() - 0.5);
+    this.ax = 0;
+    this.ay = 0;
+    // Momentum from touches and flings, on top of the agent's own velocity; it fades out
+    this.mx = 0;
+    this.my = 0;
+    // Seconds lived and seconds to live (Infinity for agents that never die)
+    this.age = 0;
+    this.lifespan = Infinity;
+    this.clearTrail();
+  }
+
+  /**
+   * Remember the current position at the head of the trail
+   * @param {number} length Positions kept
+   */
+  recordTrail(length) {
+    if (!this.trail || this.trail.length !== length * 2) {
+      this.trail = new Float32Array(length * 2);
+      this.trailCount = 0;
+    }
+    this.trailHead = (this.trailHead + 1) % length;
+    this.trail[this.trailHead * 2] = this.x;
+    this.trail[this.trailHead * 2 + 1] = this.y;
+    this.trailCount = Math.min(this.trailCount + 1, length);
+  }
+
+  /**
+   * Forget the trail, e.g. after jumping to a new position
+   */
+  clearTrail() {
+    this.trailHead = 0;
+    this.trailCount = 0;
+  }
+
+  /**
+   * Add momentum that carries the agent along and then fades, leaving its
+   * own velocity untouched
+   * @param {number} ix Momentum along x, in pixels per frame
+   * @param {number} iy Momentum along y, in pixels per frame
+   */
+  applyImpulse(ix, iy) {
+    this.mx += ix;
+    this.my += iy;
+  }
+
+  /**
+   * Add a steering force for the next update
+   * @param {number} fx Force along x, in pixels per frame²
+   * @param {number} fy Force along y, in pixels per frame²
    */
-  reset(width, height) {
-    this.x = Math.random() * width;
-    this.y = Math.random() * height;
-    this.vx = (Math.random() - 0.5);
-    this.vy = (Math.random() - 0.5);
+  applyForce(fx, fy) {
+    this.ax += fx;
+    this.ay += fy;
   }
 
   /**
@@ -30,12 +88,43 @@ export class Agent {
    * @param {number} width Canvas width
    * @param {number} height Canvas height
    * @param {number} speedMultiplier Speed multiplier for audio reactivity (default: 1)
+   * @param {number} maxSpeed Speed limit in pixels per frame once forces apply (default: none)
    */
-  update(width, height, speedMultiplier = 1) {
+  update(width, height, speedMultiplier = 1, maxSpeed = Infinity) {
+    if (this.ax !== 0 || this.ay !== 0) {
+      this.vx += this.ax * speedMultiplier;
+      this.vy += this.ay * speedMultiplier;
+      this.ax = 0;
+      this.ay = 0;
+
+      const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+      if (speed > maxSpeed) {
+        this.vx *= maxSpeed / speed;
+        this.vy *= maxSpeed / speed;
+      }
+    }
+
     this.x += this.vx * speedMultiplier;
     this.y += this.vy * speedMultiplier;
-    if (this.x < 0 || this.x > width) this.vx *= -1;
-    if (this.y < 0 || this.y > height) this.vy *= -1;
+    if (this.mx !== 0 || this.my !== 0) {
+      this.x += this.mx * speedMultiplier;
+      this.y += this.my * speedMultiplier;
+      const retention = Math.pow(MOMENTUM_RETENTION, speedMultiplier);
+      this.mx = Math.abs(this.mx) > 0.01 ? this.mx * retention : 0;
+      this.my = Math.abs(this.my) > 0.01 ? this.my * retention : 0;
+    }
+
+    // Bounce back inside, so forces pushing outwards cannot carry an agent off screen
+    if (this.x < 0 || this.x > width) {
+      this.x = Math.max(0, Math.min(width, this.x));
+      this.vx *= -1;
+      this.mx *= -1;
+    }
+    if (this.y < 0 || this.y > height) {
+      this.y = Math.max(0, Math.min(height, this.y));
+      this.vy *= -1;
+      this.my *= -1;
+    }
   }
 
   /**
@@ -0,0 +1,449 @@
+import { SpatialHash } from './SpatialHash.js';
+
+/**
+ * AgentBehaviors - pluggable steering forces for the agent system
+ *
+ * Each frame every active behavior adds a force to each agent before it
+ * moves. Forces are in pixels per frame² at 60fps, like agent velocities.
+ * Every behavior has named weights, and each weight can follow an audio
+ * band: its value is scaled by (1 + amount × band level), so e.g. bass can
+ * tighten a flock's cohesion. Behaviors are deterministic given the agents
+ * and the frame, so offline renders stay reproducible.
+ */
+
+// Golden ratio fraction, spreads per-agent values evenly over 0-1
+const GOLDEN_FRACTION = 0.618034;
+
+// Flocking sums per agent: neighbor count, velocity, position and separation push
+const SUM_STRIDE = 7;
+
+/**
+ * Base class for agent behaviors
+ */
+export class Behavior {
+  /**
+   * Create a new Behavior
+   * @param {string} id Behavior ID
+   * @param {string} name Display name
+   * @param {Object} weights Weight name → number or { value, band, amount }
+   */
+  constructor(id, name, weights = {}) {
+    this.id = id;
+    this.name = name;
+    // Weight name → { value, band, amount }; band is an audio feature name or null
+    this.weights = {};
+    Object.entries(weights).forEach(([key, weight]) => this.setWeight(key, weight));
+  }
+
+  /**
+   * Set a weight and its audio mapping
+   * @param {string} key Weight name
+   * @param {number|Object} weight Value, or { value, band, amount }
+   */
+  setWeight(key, weight) {
+    const spec = typeof weight === 'number' ? { value: weight } : weight;
+    this.weights[key] = { band: null, amount: 0, ...spec };
+  }
+
+  /**
+   * Current value of a weight, scaled by its audio band
+   * @param {string} key Weight name
+   * @param {Object|null} features Audio features of this frame
+   * @returns {number} Weight value
+   */
+  getWeight(key, features) {
+    const { value, band, amount } = this.weights[key];
+    if (!band || !amount) return value;
+    return value * (1 + amount * getBandLevel(features, band));
+  }
+
+  /**
+   * Add this behavior's force to every agent
+   * @param {Array<Agent>} agents Agents
+   * @param {Object} context { width, height, time, features }
+   */
+  apply(agents, context) {}
+}
+
+/**
+ * Boids: separation from close neighbors, alignment with their heading
+ * and cohesion towards their center
+ */
+export class Flocking extends Behavior {
+  /**
+   * Create a new Flocking behavior
+   * @param {Object} options Options
+   * @param {number} options.radius Neighbor radius in pixels
+   * @param {number|Object} options.separation Separation weight
+   * @param {number|Object} options.alignment Alignment weight
+   * @param {number|Object} options.cohesion Cohesion weight
+   * @param {number|Object} options.speed Cruising speed in pixels per frame
+   */
+  constructor(options = {}) {
+    super('flocking', 'Flocking', {
+      separation: options.separation !== undefined ? options.separation : 1,
+      alignment: options.alignment !== undefined ? options.alignment : 0.05,
+      cohesion: options.cohesion !== undefined ? options.cohesion : 0.01,
+      speed: options.speed !== undefined ? options.speed : 1.5
+    });
+    this.radius = options.radius || 60;
+    this.spatialHash = new SpatialHash();
+    this.sums = new Float32Array(0);
+  }
+
+  apply(agents, context) {
+    const count = agents.length;
+    if (this.sums.length !== count * SUM_STRIDE) this.sums = new Float32Array(count * SUM_STRIDE);
+    const sums = this.sums;
+    sums.fill(0);
+
+    this.spatialHash.rebuild(agents, context.width, context.height, this.radius);
+    this.spatialHash.forEachPair(agents, this.radius, (i, j, dist) => {
+      const a = agents[i];
+      const b = agents[j];
+      // Push apart harder the closer they are
+      const push = 1 / Math.max(dist * dist, 1);
+      const dx = (a.x - b.x) * push;
+      const dy = (a.y - b.y) * push;
+
+      let offset = i * SUM_STRIDE;
+      sums[offset]++;
+      sums[offset + 1] += b.vx;
+      sums[offset + 2] += b.vy;
+      sums[offset + 3] += b.x;
+      sums[offset + 4] += b.y;
+      sums[offset + 5] += dx;
+      sums[offset + 6] += dy;
+
+      offset = j * SUM_STRIDE;
+      sums[offset]++;
+      sums[offset + 1] += a.vx;
+      sums[offset + 2] += a.vy;
+      sums[offset + 3] += a.x;
+      sums[offset + 4] += a.y;
+      sums[offset + 5] -= dx;
+      sums[offset + 6] -= dy;
+    });
+
+    const separation = this.getWeight('separation', context.features);
+    const alignment = this.getWeight('alignment', context.features);
+    const cohesion = this.getWeight('cohesion', context.features) / this.radius;
+    const cruiseSpeed = this.getWeight('speed', context.features);
+
+    for (let i = 0; i < count; i++) {
+      const agent = agents[i];
+      // Ease towards cruising speed so the flock neither stalls nor races
+      const speed = Math.sqrt(agent.vx * agent.vx + agent.vy * agent.vy);
+      if (speed > 0) {
+        const boost = (cruiseSpeed / speed - 1) * 0.05;
+        agent.applyForce(agent.vx * boost, agent.vy * boost);
+      }
+
+      const offset = i * SUM_STRIDE;
+      const neighbors = sums[offset];
+      if (neighbors === 0) continue;
+
+      agent.applyForce(
+        sums[offset + 5] * separation
+          + (sums[offset + 1] / neighbors - agent.vx) * alignment
+          + (sums[offset + 3] / neighbors - agent.x) * cohesion,
+        sums[offset + 6] * separation
+          + (sums[offset + 2] / neighbors - agent.vy) * alignment
+          + (sums[offset + 4] / neighbors - agent.y) * cohesion
+      );
+    }
+  }
+}
+
+/**
+ * Fixed points that pull agents in (positive strength) or push them away
+ * (negative strength), fading out towards their radius
+ */
+export class Attractors extends Behavior {
+  /**
+   * Create a new Attractors behavior
+   * @param {Object} options Options
+   * @param {Array<Object>} options.points Points { x, y, strength } with x/y as fractions of the canvas
+   * @param {number} options.radius Reach in pixels
+   * @param {number|Object} options.strength Overall strength weight
+   */
+  constructor(options = {}) {
+    super('attractors', 'Attractors', {
+      strength: options.strength !== undefined ? options.strength : 0.1
+    });
+    this.points = options.points || [{ x: 0.5, y: 0.5, strength: 1 }];
+    this.radius = options.radius || 400;
+  }
+
+  apply(agents, context) {
+    const strength = this.getWeight('strength', context.features);
+    this.points.forEach(point => {
+      const px = point.x * context.width;
+      const py = point.y * context.height;
+      agents.forEach(agent => {
+        const dx = px - agent.x;
+        const dy = py - agent.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist >= this.radius || dist < 1) return;
+
+        const force = strength * point.strength * (1 - dist / this.radius) / dist;
+        agent.applyForce(dx * force, dy * force);
+      });
+    });
+  }
+}
+
+/**
+ * Steer agents along a divergence-free (curl noise) flow field that slowly
+ * drifts over time, giving smoke-like swirls
+ */
+export class CurlNoiseFlow extends Behavior {
+  /**
+   * Create a new CurlNoiseFlow behavior
+   * @param {Object} options Options
+   * @param {number} options.scale Noise features per pixel (smaller = larger swirls)
+   * @param {number} options.drift Noise units the field moves per second
+   * @param {number|Object} options.strength How quickly agents follow the flow
+   * @param {number|Object} options.speed Flow speed in pixels per frame
+   */
+  constructor(options = {}) {
+    super('curl-noise', 'Curl Noise', {
+      strength: options.strength !== undefined ? options.strength : 0.05,
+      speed: options.speed !== undefined ? options.speed : 1.5
+    });
+    this.scale = options.scale || 0.004;
+    this.drift = options.drift !== undefined ? options.drift : 0.1;
+  }
+
+  apply(agents, context) {
+    const strength = this.getWeight('strength', context.features);
+    const speed = this.getWeight('speed', context.features);
+    const shift = context.time * this.drift;
+    const epsilon = 0.01;
+    // Stream function of two noise layers drifting in different directions
+    const potential = (x, y) => gradientNoise(x + shift, y) + 0.5 * gradientNoise(x * 2, y * 2 - shift);
+
+    agents.forEach(agent => {
+      const x = agent.x * this.scale;
+      const y = agent.y * this.scale;
+      // The curl of a scalar potential has no divergence, so agents never bunch into sinks
+      const flowX = (potential(x, y + epsilon) - potential(x, y - epsilon)) / (2 * epsilon);
+      const flowY = (potential(x - epsilon, y) - potential(x + epsilon, y)) / (2 * epsilon);
+      agent.applyForce(
+        (flowX * speed - agent.vx) * strength,
+        (flowY * speed - agent.vy) * strength
+      );
+    });
+  }
+}
+
+/**
+ * Circle a center point, each agent on its own ring inside the radius
+ */
+export class Orbit extends Behavior {
+  /**
+   * Create a new Orbit behavior
+   * @param {Object} options Options
+   * @param {number} options.x Center x as a fraction of the canvas width
+   * @param {number} options.y Center y as a fraction of the canvas height
+   * @param {number} options.radius Outer ring radius as a fraction of the smaller canvas side
+   * @param {number|Object} options.strength How quickly agents settle into orbit
+   * @param {number|Object} options.speed Orbit speed in pixels per frame (negative = counter-clockwise)
+   */
+  constructor(options = {}) {
+    super('orbit', 'Orbit', {
+      strength: options.strength !== undefined ? options.strength : 0.05,
+      speed: options.speed !== undefined ? options.speed : 1.5
+    });
+    this.x = options.x !== undefined ? options.x : 0.5;
+    this.y = options.y !== undefined ? options.y : 0.5;
+    this.radius = options.radius || 0.4;
+  }
+
+  apply(agents, context) {
+    const strength = this.getWeight('strength', context.features);
+    const speed = this.getWeight('speed', context.features);
+    const cx = this.x * context.width;
+    const cy = this.y * context.height;
+    const outerRadius = this.radius * Math.min(context.width, context.height);
+
+    agents.forEach(agent => {
+      const dx = agent.x - cx;
+      const dy = agent.y - cy;
+      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+      const ring = outerRadius * (0.3 + 0.7 * ((agent.index * GOLDEN_FRACTION) % 1));
+
+      // Desired velocity: along the ring, plus a pull back onto it
+      const pull = (ring - dist) * 0.02;
+      const targetX = (-dy / dist) * speed + (dx / dist) * pull;
+      const targetY = (dx / dist) * speed + (dy / dist) * pull;
+      agent.applyForce((targetX - agent.vx) * strength, (targetY - agent.vy) * strength);
+    });
+  }
+}
+
+/**
+ * Turn agents back before they reach the canvas edges, so flocks and flows
+ * do not pile up against the walls
+ */
+export class Boundary extends Behavior {
+  /**
+   * Create a new Boundary behavior
+   * @param {Object} options Options
+   * @param {number} options.margin Distance from the edges in pixels where turning starts
+   * @param {number|Object} options.strength Turning force at the edge
+   */
+  constructor(options = {}) {
+    super('boundary', 'Boundary', {
+      strength: options.strength !== undefined ? options.strength : 0.4
+    });
+    this.margin = options.margin || 80;
+  }
+
+  apply(agents, context) {
+    const strength = this.getWeight('strength', context.features);
+    const margin = this.margin;
+    const right = context.width - margin;
+    const bottom = context.height - margin;
+
+    agents.forEach(agent => {
+      let fx = 0;
+      let fy = 0;
+      if (agent.x < margin) fx = (margin - agent.x) / margin;
+      else if (agent.x > right) fx = (right - agent.x) / margin;
+      if (agent.y < margin) fy = (margin - agent.y) / margin;
+      else if (agent.y > bottom) fy = (bottom - agent.y) / margin;
+      if (fx !== 0 || fy !== 0) agent.applyForce(fx * strength, fy * strength);
+    });
+  }
+}
+
+/**
+ * Behavior sets selectable by name. maxSpeed caps agent speed in pixels per
+ * frame; drift keeps the original straight-line motion.
+ */
+export const BEHAVIOR_PRESETS = {
+  drift: {
+    name: 'Drift',
+    maxSpeed: Infinity,
+    create: () => []
+  },
+
+  // Bass pulls the flock together, treble scatters it
+  flock: {
+    name: 'Flock',
+    maxSpeed: 2,
+    create: () => [
+      new Flocking({
+        separation: { value: 1, band: 'treble', amount: 2 },
+        alignment: { value: 0.05, band: 'mid', amount: 1 },
+        cohesion: { value: 0.01, band: 'bass', amount: 3 }
+      }),
+      new Boundary()
+    ]
+  },
+
+  // A flock drawn to the center while bass hits
+  swarm: {
+    name: 'Swarm',
+    maxSpeed: 3,
+    create: () => [
+      new Flocking({ separation: 1.5, alignment: 0.03, cohesion: 0.005 }),
+      new Attractors({ strength: { value: 0.02, band: 'bass', amount: 8 } }),
+      new Boundary()
+    ]
+  },
+
+  // One pole pulls, the other pushes; the mids drive both
+  magnets: {
+    name: 'Magnets',
+    maxSpeed: 3,
+    create: () => [
+      new Attractors({
+        points: [{ x: 0.3, y: 0.5, strength: 1 }, { x: 0.7, y: 0.5, strength: -1 }],
+        radius: 500,
+        strength: { value: 0.08, band: 'mid', amount: 2 }
+      }),
+      new Boundary()
+    ]
+  },
+
+  // Curl noise that flows faster with the mids
+  flow: {
+    name: 'Flow',
+    maxSpeed: 4,
+    create: () => [
+      new CurlNoiseFlow({ speed: { value: 1.5, band: 'mid', amount: 2 } }),
+      new Boundary()
+    ]
+  },
+
+  // Orbit that speeds up with the bass
+  orbit: {
+    name: 'Orbit',
+    maxSpeed: 4,
+    create: () => [
+      new Orbit({ speed: { value: 1.2, band: 'bass', amount: 1.5 } })
+    ]
+  }
+};
+
+/**
+ * Level of an audio band: bass/mid/treble or any numeric frame feature,
+ * otherwise a configured analysis band
+ * @param {Object|null} features Audio features of this frame
+ * @param {string} band Feature or band name
+ * @returns {number} Level (0-1), 0 without audio
+ */
+function getBandLevel(features, band) {
+  if (!features) return 0;
+  if (typeof features[band] === 'number') return features[band];
+  return (features.bands && features.bands[band]) || 0;
+}
+
+/**
+ * 2D gradient noise, roughly -1 to 1, deterministic for any input
+ * @param {number} x X coordinate
+ * @param {number} y Y coordinate
+ * @returns {number} Noise value
+ */
+function gradientNoise(x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  // Quintic fade keeps the derivative (and so the curl) smooth across cells
+  const u = fx * fx * fx * (fx * (fx * 6 - 15) + 10);
+  const v = fy * fy * fy * (fy * (fy * 6 - 15) + 10);
+
+  const n00 = cornerGradient(x0, y0, fx, fy);
+  const n10 = cornerGradient(x0 + 1, y0, fx - 1, fy);
+  const n01 = cornerGradient(x0, y0 + 1, fx, fy - 1);
+  const n11 = cornerGradient(x0 + 1, y0 + 1, fx - 1, fy - 1);
+  const top = n00 + (n10 - n00) * u;
+  const bottom = n01 + (n11 - n01) * u;
+  return top + (bottom - top) * v;
+}
+
+/**
+ * Dot product of a lattice corner's pseudo-random gradient with the offset
+ * @param {number} cornerX Corner x
+ * @param {number} cornerY Corner y
+ * @param {number} dx Offset x from the corner
+ * @param {number} dy Offset y from the corner
+ * @returns {number} Contribution of the corner
+ */
+function cornerGradient(cornerX, cornerY, dx, dy) {
+  let hash = Math.imul(cornerX, 374761393) + Math.imul(cornerY, 668265263);
+  hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+  switch ((hash ^ (hash >>> 16)) & 7) {
+    case 0: return dx + dy;
+    case 1: return dx - dy;
+    case 2: return -dx + dy;
+    case 3: return -dx - dy;
+    case 4: return dx;
+    case 5: return -dx;
+    case 6: return dy;
+    default: return -dy;
+  }
+}
@@ -0,0 +1,345 @@
+/**
+ * AgentGLRenderer - WebGL2 backend for AgentSystem
+ *
+ * Agents are drawn as instanced quads whose fragment shader produces a
+ * round sprite with a soft glow, replacing Canvas 2D arcs and shadowBlur.
+ * Connections go into one line buffer with a color per vertex. WebGL lines
+ * are always 1px wide, so the bass-driven line width of the 2D backend is
+ * not reproduced. The context keeps its drawing buffer so captures
+ * (AVRecorder, OfflineRenderer) can read the canvas at any time, and so
+ * persistence trails can fade the previous frame instead of clearing it.
+ */
+
+const AGENT_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec3 a_agent;
+layout(location = 2) in vec4 a_color;
+uniform vec2 u_resolution;
+uniform float u_glow;
+out vec2 v_offset;
+out float v_radius;
+out vec4 v_color;
+
+void main() {
+  float extent = a_agent.z + u_glow + 1.0;
+  v_offset = a_corner * extent;
+  v_radius = a_agent.z;
+  v_color = a_color;
+  vec2 clip = (a_agent.xy + v_offset) / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}`;
+
+const AGENT_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec2 v_offset;
+in float v_radius;
+in vec4 v_color;
+uniform float u_glow;
+out vec4 outColor;
+
+void main() {
+  float dist = length(v_offset);
+  float core = 1.0 - smoothstep(v_radius - 0.5, v_radius + 0.5, dist);
+  float halo = u_glow > 0.0 ? 0.6 * exp(-max(dist - v_radius, 0.0) / (u_glow * 0.35)) : 0.0;
+  float alpha = v_color.a * max(core, halo);
+  outColor = vec4(v_color.rgb * alpha, alpha);
+}`;
+
+const LINE_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_position;
+layout(location = 1) in vec4 a_color;
+uniform vec2 u_resolution;
+out vec4 v_color;
+
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_color = a_color;
+}`;
+
+const LINE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec4 v_color;
+out vec4 outColor;
+
+void main() {
+  outColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}`;
+
+// Full-screen triangle that scales the existing pixels' alpha down
+const FADE_VERTEX_SHADER = `#version 300 es
+void main() {
+  vec2 corner = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FADE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+uniform float u_fade;
+out vec4 outColor;
+
+void main() {
+  outColor = vec4(0.0, 0.0, 0.0, u_fade);
+}`;
+
+// Floats per agent instance (x, y, radius, r, g, b, a) and per line vertex (x, y, r, g, b, a)
+const AGENT_STRIDE = 7;
+const LINE_STRIDE = 6;
+
+export class AgentGLRenderer {
+  /**
+   * Create a renderer on a canvas that has no context yet
+   * @param {HTMLCanvasElement} canvas Target canvas
+   * @throws {Error} When WebGL2 is unavailable or the shaders fail to build
+   */
+  constructor(canvas) {
+    const gl = canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: true, antialias: true, preserveDrawingBuffer: true });
+    if (!gl) throw new Error('WebGL2 is not supported');
+
+    this.canvas = canvas;
+    this.gl = gl;
+    this.onContextLost = null;
+    this.agentData = new Float32Array(0);
+    this.lineData = new Float32Array(0);
+
+    this.agentProgram = createProgram(gl, AGENT_VERTEX_SHADER, AGENT_FRAGMENT_SHADER);
+    this.lineProgram = createProgram(gl, LINE_VERTEX_SHADER, LINE_FRAGMENT_SHADER);
+    this.fadeProgram = createProgram(gl, FADE_VERTEX_SHADER, FADE_FRAGMENT_SHADER);
+    this.agentUniforms = {
+      resolution: gl.getUniformLocation(this.agentProgram, 'u_resolution'),
+      glow: gl.getUniformLocation(this.agentProgram, 'u_glow')
+    };
+    this.lineUniforms = {
+      resolution: gl.getUniformLocation(this.lineProgram, 'u_resolution')
+    };
+    this.fadeUniforms = {
+      fade: gl.getUniformLocation(this.fadeProgram, 'u_fade')
+    };
+    this.emptyVao = gl.createVertexArray();
+
+    // Agents: a shared quad plus one instance record per agent
+    this.agentVao = gl.createVertexArray();
+    gl.bindVertexArray(this.agentVao);
+    this.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+    this.agentBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.agentBuffer);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 3, gl.FLOAT, false, AGENT_STRIDE * 4, 0);
+    gl.vertexAttribDivisor(1, 1);
+    gl.enableVertexAttribArray(2);
+    gl.vertexAttribPointer(2, 4, gl.FLOAT, false, AGENT_STRIDE * 4, 3 * 4);
+    gl.vertexAttribDivisor(2, 1);
+
+    // Connections: two vertices per line
+    this.lineVao = gl.createVertexArray();
+    gl.bindVertexArray(this.lineVao);
+    this.lineBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, LINE_STRIDE * 4, 0);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 4, gl.FLOAT, false, LINE_STRIDE * 4, 2 * 4);
+    gl.bindVertexArray(null);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    this.handleContextLost = (event) => {
+      event.preventDefault();
+      console.warn('⚠️ AgentGLRenderer: WebGL context lost');
+      if (this.onContextLost) this.onContextLost();
+    };
+    canvas.addEventListener('webglcontextlost', this.handleContextLost);
+  }
+
+  /**
+   * Draw one frame
+   * @param {Object} scene Frame data prepared by AgentSystem
+   * @param {Array<Agent>} scene.agents Agents with x/y positions
+   * @param {Float32Array} scene.sizes Radius per agent
+   * @param {Uint16Array} scene.buckets Color bucket per agent
+   * @param {Float32Array} scene.bucketRgba RGBA (0-1) per color bucket
+   * @param {Array<Array<number>>} scene.lineBatches Agent index pairs per bucket and alpha step
+   * @param {Array<Array<number>>} scene.trailBatches Trail segment coordinates (x1, y1, x2, y2) per bucket and alpha step
+   * @param {number} scene.alphaLevels Alpha steps per bucket
+   * @param {number} scene.glow Glow radius in pixels (0 for none)
+   * @param {number} scene.fade Share of the previous frame to erase (1 clears it)
+   */
+  render(scene) {
+    const { gl, canvas } = this;
+    if (gl.isContextLost()) return;
+
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    if (scene.fade < 1) {
+      this.fadePrevious(scene.fade);
+    } else {
+      this.clear();
+    }
+
+    this.drawLines(scene);
+    this.drawAgents(scene);
+  }
+
+  /**
+   * Erase the canvas
+   */
+  clear() {
+    const { gl } = this;
+    if (gl.isContextLost()) return;
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  }
+
+  /**
+   * Fade the previous frame towards transparent
+   * @param {number} fade Share of each pixel's alpha to remove (0-1)
+   */
+  fadePrevious(fade) {
+    const { gl } = this;
+    gl.useProgram(this.fadeProgram);
+    gl.uniform1f(this.fadeUniforms.fade, fade);
+    gl.bindVertexArray(this.emptyVao);
+    gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  /**
+   * Fill and draw the connection and trail line buffer
+   * @param {Object} scene Frame data
+   */
+  drawLines(scene) {
+    const { gl, canvas } = this;
+    const { agents, bucketRgba, lineBatches, alphaLevels } = scene;
+    const trailBatches = scene.trailBatches || [];
+
+    const vertexCount = lineBatches.reduce((count, batch) => count + batch.length, 0)
+      + trailBatches.reduce((count, batch) => count + batch.length / 2, 0);
+    if (vertexCount === 0) return;
+    this.lineData = ensureCapacity(this.lineData, vertexCount * LINE_STRIDE);
+
+    const data = this.lineData;
+    let offset = 0;
+    const writeVertex = (x, y, bucket, alpha) => {
+      data[offset++] = x;
+      data[offset++] = y;
+      data[offset++] = bucketRgba[bucket];
+      data[offset++] = bucketRgba[bucket + 1];
+      data[offset++] = bucketRgba[bucket + 2];
+      data[offset++] = alpha;
+    };
+    const batchStyle = (b) => {
+      const bucket = Math.floor(b / alphaLevels) * 4;
+      return [bucket, bucketRgba[bucket + 3] * ((b % alphaLevels) + 1) / alphaLevels];
+    };
+
+    lineBatches.forEach((batch, b) => {
+      if (batch.length === 0) return;
+      const [bucket, alpha] = batchStyle(b);
+      for (let k = 0; k < batch.length; k++) {
+        const agent = agents[batch[k]];
+        writeVertex(agent.x, agent.y, bucket, alpha);
+      }
+    });
+    trailBatches.forEach((batch, b) => {
+      if (batch.length === 0) return;
+      const [bucket, alpha] = batchStyle(b);
+      for (let k = 0; k < batch.length; k += 2) {
+        writeVertex(batch[k], batch[k + 1], bucket, alpha);
+      }
+    });
+
+    gl.useProgram(this.lineProgram);
+    gl.uniform2f(this.lineUniforms.resolution, canvas.width, canvas.height);
+    gl.bindVertexArray(this.lineVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, offset), gl.DYNAMIC_DRAW);
+    gl.drawArrays(gl.LINES, 0, vertexCount);
+  }
+
+  /**
+   * Fill the instance buffer and draw every agent in one call
+   * @param {Object} scene Frame data
+   */
+  drawAgents(scene) {
+    const { gl, canvas } = this;
+    const { agents, sizes, buckets, bucketRgba, glow } = scene;
+    if (agents.length === 0) return;
+    this.agentData = ensureCapacity(this.agentData, agents.length * AGENT_STRIDE);
+
+    const data = this.agentData;
+    let offset = 0;
+    for (let i = 0; i < agents.length; i++) {
+      const bucket = buckets[i] * 4;
+      data[offset++] = agents[i].x;
+      data[offset++] = agents[i].y;
+      data[offset++] = sizes[i];
+      data[offset++] = bucketRgba[bucket];
+      data[offset++] = bucketRgba[bucket + 1];
+      data[offset++] = bucketRgba[bucket + 2];
+      data[offset++] = bucketRgba[bucket + 3];
+    }
+
+    gl.useProgram(this.agentProgram);
+    gl.uniform2f(this.agentUniforms.resolution, canvas.width, canvas.height);
+    gl.uniform1f(this.agentUniforms.glow, glow);
+    gl.bindVertexArray(this.agentVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.agentBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, offset), gl.DYNAMIC_DRAW);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, agents.length);
+  }
+
+  /**
+   * Release GPU resources
+   */
+  destroy() {
+    const { gl } = this;
+    this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+    if (gl.isContextLost()) return;
+    [this.cornerBuffer, this.agentBuffer, this.lineBuffer].forEach(buffer => gl.deleteBuffer(buffer));
+    [this.agentVao, this.lineVao, this.emptyVao].forEach(vao => gl.deleteVertexArray(vao));
+    [this.agentProgram, this.lineProgram, this.fadeProgram].forEach(program => gl.deleteProgram(program));
+  }
+}
+
+/**
+ * Compile and link a shader program
+ * @param {WebGL2RenderingContext} gl Context
+ * @param {string} vertexSource Vertex shader source
+ * @param {string} fragmentSource Fragment shader source
+ * @returns {WebGLProgram} Linked program
+ */
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+    gl.deleteShader(shader);
+  });
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+}
+
+/**
+ * Grow a float buffer to hold at least a number of values
+ * @param {Float32Array} buffer Current buffer
+ * @param {number} length Values needed
+ * @returns {Float32Array} Buffer with enough room
+ */
+function ensureCapacity(buffer, length) {
+  if (buffer.length >= length) return buffer;
+  return new Float32Array(Math.max(length, buffer.length * 2));
+}
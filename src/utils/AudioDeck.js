@@ -0,0 +1,435 @@
+/**
+ * AudioDeck - one playback channel with its own gain stage
+ * AudioManager runs two decks so it can overlap tracks while crossfading.
+ * A deck plays either a decoded AudioBuffer ('buffer' mode) or streams
+ * through an <audio> element routed into the graph ('stream' mode).
+ */
+export class AudioDeck {
+  /**
+   * Create a new AudioDeck
+   * @param {AudioContext} audioContext Shared audio context
+   * @param {AudioNode} destination Node the deck gain feeds into
+   */
+  constructor(audioContext, destination) {
+    this.audioContext = audioContext;
+    this.gain = audioContext.createGain();
+    
+    // Per-track loudness trim, kept apart from the fade gain so fades stay 0-1
+    this.trim = audioContext.createGain();
+    this.gain.connect(this.trim);
+    this.trim.connect(destination);
+
+    this.mode = 'buffer'; // 'buffer' | 'stream'
+    this.buffer = null;
+    this.url = null;
+    this.source = null;
+
+    // Streaming element, created on first use and reused for every stream
+    // (createMediaElementSource may only be called once per element)
+    this.element = null;
+    this.mediaSource = null;
+    this.startTimer = null;
+    this.stopTimer = null;
+
+    // Track position (seconds) the current/last playback started from
+    this.offset = 0;
+    // Context time the current playback starts (or started)
+    this.startedAt = 0;
+    this.isPlaying = false;
+
+    // Track seconds per context second; stream mode can keep the pitch
+    this.playbackRate = 1;
+    this.preservesPitch = true;
+    // A–B loop ({ start, end } in track seconds) or null
+    this.loop = null;
+
+    // Called when the track finishes on its own (not when stopped)
+    this.onended = null;
+  }
+
+  /**
+   * Load a decoded buffer into the deck
+   * @param {AudioBuffer} buffer Decoded audio
+   * @param {string} url Source URL, used to identify the track
+   */
+  load(buffer, url = null) {
+    this.stop();
+    this.releaseStream();
+    this.mode = 'buffer';
+    this.buffer = buffer;
+    this.url = url;
+    this.offset = 0;
+  }
+
+  /**
+   * Point the deck's audio element at a URL and wait for its metadata.
+   * Playback can begin as soon as the browser has buffered enough.
+   * @param {string} url Audio URL
+   * @returns {Promise<void>} Resolves when duration is known
+   */
+  loadStream(url) {
+    this.stop();
+    this.mode = 'stream';
+    this.buffer = null;
+    this.url = url;
+    this.offset = 0;
+
+    const element = this.getElement();
+    return new Promise((resolve, reject) => {
+      element.onloadedmetadata = () => {
+        element.onloadedmetadata = null;
+        element.onerror = null;
+        resolve();
+      };
+      element.onerror = () => {
+        element.onloadedmetadata = null;
+        element.onerror = null;
+        reject(element.error || new Error(`Could not stream ${url}`));
+      };
+      element.src = url;
+      element.load();
+    });
+  }
+
+  /**
+   * Lazily create the streaming element and route it into the deck gain
+   * @returns {HTMLAudioElement} Audio element
+   */
+  getElement() {
+    if (!this.element) {
+      this.element = new Audio();
+      this.element.crossOrigin = 'anonymous';
+      this.element.preload = 'auto';
+      this.element.addEventListener('ended', () => {
+        if (this.mode !== 'stream' || !this.isPlaying) return;
+        this.isPlaying = false;
+        this.offset = 0;
+        if (this.onended) this.onended(this);
+      });
+
+      this.mediaSource = this.audioContext.createMediaElementSource(this.element);
+      this.mediaSource.connect(this.gain);
+    }
+    return this.element;
+  }
+
+  /**
+   * Detach the streaming element from its URL so the browser can free it
+   */
+  releaseStream() {
+    if (this.element && this.element.getAttribute('src')) {
+      this.element.pause();
+      this.element.removeAttribute('src');
+      this.element.load();
+    }
+  }
+
+  /**
+   * Duration of the loaded track in seconds (Infinity for live streams)
+   * @returns {number} Duration
+   */
+  get duration() {
+    if (this.mode === 'stream') {
+      return this.element && !Number.isNaN(this.element.duration) ? this.element.duration : 0;
+    }
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  /**
+   * Whether a track is loaded and ready to start
+   * @returns {boolean} Loaded state
+   */
+  get isLoaded() {
+    return this.mode === 'stream' ? Boolean(this.url) : Boolean(this.buffer);
+  }
+
+  /**
+   * Current playback position in seconds
+   * @returns {number} Position
+   */
+  getPosition() {
+    if (!this.isPlaying) return this.offset;
+    const now = this.audioContext.currentTime;
+    if (now < this.startedAt) return this.offset;
+
+    if (this.mode === 'stream') {
+      return this.element.currentTime;
+    }
+    const position = this.offset + (now - this.startedAt) * this.playbackRate;
+    return Math.min(this.duration, this.wrapLoop(position));
+  }
+
+  /**
+   * Fold a linear position back into the loop once it has passed loop end,
+   * mirroring what a looping AudioBufferSourceNode plays
+   * @param {number} position Unwrapped track position
+   * @returns {number} Audible track position
+   */
+  wrapLoop(position) {
+    const loop = this.loop;
+    if (!loop || position < loop.end || this.offset >= loop.end) return position;
+    return loop.start + (position - loop.start) % (loop.end - loop.start);
+  }
+
+  /**
+   * Context time at which playback reaches the end of the track
+   * @returns {number} End time in context seconds
+   */
+  getEndTime() {
+    // A looping track never reaches its end
+    if (this.loop) return Infinity;
+    const now = this.audioContext.currentTime;
+    return Math.max(now, this.startedAt) + (this.duration - this.getPosition()) / this.playbackRate;
+  }
+
+  /**
+   * Start playback
+   * @param {number} when Context time to start at (defaults to now)
+   * @param {number} offset Track position to start from
+   */
+  start(when = this.audioContext.currentTime, offset = this.offset) {
+    if (!this.isLoaded) return;
+    this.stop();
+
+    const now = this.audioContext.currentTime;
+    this.offset = Math.max(0, Math.min(offset, this.duration));
+    if (this.loop && this.offset >= this.loop.end) {
+      this.offset = this.loop.start;
+    }
+    this.startedAt = Math.max(when, now);
+    this.isPlaying = true;
+
+    if (this.mode === 'stream') {
+      this.startStream(this.startedAt - now);
+      return;
+    }
+
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.buffer;
+    source.playbackRate.value = this.playbackRate;
+    this.applyLoop(source);
+    source.connect(this.gain);
+    source.onended = () => {
+      if (this.source !== source) return;
+      this.source = null;
+      this.isPlaying = false;
+      this.offset = 0;
+      if (this.onended) this.onended(this);
+    };
+
+    source.start(this.startedAt, this.offset);
+    this.source = source;
+  }
+
+  /**
+   * Start the streaming element, after a delay if the start is scheduled.
+   * Element playback follows the main thread clock, so a scheduled start
+   * is accurate to a timer tick rather than to the sample.
+   * @param {number} delay Seconds until playback should begin
+   */
+  startStream(delay) {
+    const element = this.element;
+    element.currentTime = this.offset;
+    element.playbackRate = this.playbackRate;
+    element.preservesPitch = this.preservesPitch;
+
+    const begin = () => {
+      this.startTimer = null;
+      element.play().catch(error => {
+        console.warn('⚠️ AudioDeck: Stream playback was blocked:', error);
+      });
+    };
+
+    if (delay > 0.01) {
+      this.startTimer = setTimeout(begin, delay * 1000);
+    } else {
+      begin();
+    }
+  }
+
+  /**
+   * Change the playback rate, keeping the position continuous
+   * @param {number} rate Playback rate (1 = normal)
+   * @param {boolean} preservesPitch Keep the pitch when streaming (buffer playback always shifts it)
+   */
+  setPlaybackRate(rate, preservesPitch = this.preservesPitch) {
+    this.reanchor();
+    this.playbackRate = rate;
+    this.preservesPitch = preservesPitch;
+
+    if (this.source) {
+      this.source.playbackRate.setValueAtTime(rate, this.audioContext.currentTime);
+    }
+    if (this.element) {
+      this.element.playbackRate = rate;
+      this.element.preservesPitch = preservesPitch;
+    }
+  }
+
+  /**
+   * Set or clear the A–B loop. Buffer playback loops sample-accurately;
+   * streams are jumped back by checkStreamLoop().
+   * @param {Object|null} loop { start, end } in track seconds, or null
+   */
+  setLoop(loop) {
+    this.reanchor();
+    this.loop = loop;
+    if (this.source) {
+      this.applyLoop(this.source);
+    }
+  }
+
+  /**
+   * Copy the loop points onto a buffer source
+   * @param {AudioBufferSourceNode} source Source node
+   */
+  applyLoop(source) {
+    source.loop = Boolean(this.loop);
+    if (this.loop) {
+      source.loopStart = this.loop.start;
+      source.loopEnd = this.loop.end;
+    }
+  }
+
+  /**
+   * Jump a streaming deck back to loop start once it passes loop end
+   */
+  checkStreamLoop() {
+    if (this.mode !== 'stream' || !this.loop || !this.isPlaying) return;
+    if (this.element.currentTime >= this.loop.end) {
+      this.element.currentTime = this.loop.start;
+    }
+  }
+
+  /**
+   * Restart position bookkeeping from the current position, so a rate or
+   * loop change only affects playback from now on
+   */
+  reanchor() {
+    const now = this.audioContext.currentTime;
+    if (!this.isPlaying || this.mode !== 'buffer' || now < this.startedAt) return;
+    this.offset = this.getPosition();
+    this.startedAt = now;
+  }
+
+  /**
+   * Stop playback, remembering the position so start() can resume
+   * @param {number} when Context time to stop at (defaults to now)
+   */
+  stop(when = this.audioContext.currentTime) {
+    if (!this.isPlaying) return;
+    const now = this.audioContext.currentTime;
+
+    if (this.mode === 'stream') {
+      this.stopStream(when - now);
+      return;
+    }
+
+    const source = this.source;
+    if (!source) return;
+    source.onended = null;
+    if (when <= now) {
+      this.offset = this.getPosition();
+      this.source = null;
+      this.isPlaying = false;
+      source.stop();
+      source.disconnect();
+    } else {
+      // Scheduled stop: the deck keeps reporting as playing until then
+      source.stop(when);
+      source.onended = () => {
+        if (this.source !== source) return;
+        this.source = null;
+        this.isPlaying = false;
+        this.offset = 0;
+        source.disconnect();
+      };
+    }
+  }
+
+  /**
+   * Pause the streaming element now or after a delay
+   * @param {number} delay Seconds until playback should stop
+   */
+  stopStream(delay) {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+
+    const halt = () => {
+      this.stopTimer = null;
+      clearTimeout(this.startTimer);
+      this.startTimer = null;
+      this.offset = this.getPosition();
+      this.isPlaying = false;
+      this.element.pause();
+    };
+
+    if (delay > 0.01) {
+      this.stopTimer = setTimeout(halt, delay * 1000);
+    } else {
+      halt();
+    }
+  }
+
+  /**
+   * Set the deck gain immediately, cancelling any scheduled fades
+   * @param {number} value Gain value
+   */
+  setGain(value) {
+    const now = this.audioContext.currentTime;
+    this.gain.gain.cancelScheduledValues(now);
+    this.gain.gain.setValueAtTime(value, now);
+  }
+
+  /**
+   * Set the per-track loudness trim
+   * @param {number} db Gain in dB (0 = unchanged)
+   */
+  setTrim(db) {
+    const param = this.trim.gain;
+    const value = Math.pow(10, db / 20);
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    // Glide while audible so a changed target does not click
+    if (this.isPlaying) {
+      param.setTargetAtTime(value, now, 0.05);
+    } else {
+      param.setValueAtTime(value, now);
+    }
+  }
+
+  /**
+   * Schedule an equal-power fade
+   * @param {boolean} fadeIn Whether the deck fades in (true) or out (false)
+   * @param {number} when Context time the fade starts
+   * @param {number} duration Fade length in seconds
+   */
+  scheduleFade(fadeIn, when, duration) {
+    const param = this.gain.gain;
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(fadeIn ? 0 : 1, now);
+
+    if (duration <= 0) {
+      param.setValueAtTime(fadeIn ? 1 : 0, when);
+      return;
+    }
+
+    param.setValueCurveAtTime(createEqualPowerCurve(fadeIn), when, duration);
+  }
+}
+
+/**
+ * Build an equal-power gain curve so the summed power stays constant mid-fade
+ * @param {boolean} fadeIn Rising (true) or falling (false) curve
+ * @param {number} steps Number of curve points
+ * @returns {Float32Array} Gain curve
+ */
+function createEqualPowerCurve(fadeIn, steps = 64) {
+  const curve = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const t = i / (steps - 1);
+    curve[i] = fadeIn ? Math.sin(t * Math.PI / 2) : Math.cos(t * Math.PI / 2);
+  }
+  return curve;
+}
@@ -0,0 +1,171 @@
+/**
+ * AudioInput - microphone / line-in capture through getUserMedia
+ *
+ * The captured signal always feeds the analysis chain. It only reaches the
+ * speakers when monitoring is switched on, so an open mic next to the PA
+ * cannot feed back by default.
+ */
+export class AudioInput {
+  /**
+   * Create a new AudioInput
+   * @param {AudioContext} audioContext Shared audio context
+   * @param {AudioNode} analysisDestination Node feeding the analyser
+   * @param {AudioNode} monitorDestination Node the monitor path plays through
+   */
+  constructor(audioContext, analysisDestination, monitorDestination) {
+    this.audioContext = audioContext;
+
+    this.gain = audioContext.createGain();
+    this.gain.connect(analysisDestination);
+
+    this.monitor = audioContext.createGain();
+    this.monitor.gain.value = 0;
+    this.gain.connect(this.monitor);
+    this.monitor.connect(monitorDestination);
+
+    this.stream = null;
+    this.source = null;
+    this.splitter = null;
+
+    this.deviceId = null;
+    this.channel = 'mix'; // 'mix' or a zero-based channel index
+    this.channelCount = 0;
+    this.inputGain = 1;
+    this.isMonitoring = false;
+  }
+
+  /**
+   * Whether a device is currently captured
+   * @returns {boolean} Open state
+   */
+  get isOpen() {
+    return Boolean(this.stream);
+  }
+
+  /**
+   * List available capture devices. Labels stay empty until the user has
+   * granted microphone permission once.
+   * @returns {Promise<Array<{deviceId: string, label: string}>>} Input devices
+   */
+  static async listDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Input ${index + 1}`
+      }));
+  }
+
+  /**
+   * Start capturing from a device
+   * @param {string|null} deviceId Device to open (null = system default)
+   * @returns {Promise<void>} Resolves once the stream is routed
+   */
+  async open(deviceId = null) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error('getUserMedia is not supported in this browser');
+    }
+
+    // Music capture: browser voice processing would pump and filter the signal
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        channelCount: { ideal: 2 },
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      }
+    });
+
+    this.close();
+    this.stream = stream;
+    this.source = this.audioContext.createMediaStreamSource(stream);
+
+    const [track] = stream.getAudioTracks();
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    this.deviceId = settings.deviceId || deviceId;
+    this.channelCount = settings.channelCount || this.source.channelCount || 1;
+    if (this.channel !== 'mix' && this.channel >= this.channelCount) {
+      this.channel = 'mix';
+    }
+
+    this.routeChannel();
+  }
+
+  /**
+   * Stop capturing and release the device
+   */
+  close() {
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+    if (this.splitter) {
+      this.splitter.disconnect();
+      this.splitter = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    this.channelCount = 0;
+  }
+
+  /**
+   * Select which channel drives the visuals
+   * @param {string|number} channel 'mix' or a zero-based channel index
+   */
+  setChannel(channel) {
+    const index = parseInt(channel, 10);
+    this.channel = Number.isNaN(index) ? 'mix' : index;
+    if (this.source) {
+      this.routeChannel();
+    }
+  }
+
+  /**
+   * Connect the source to the input gain, through a splitter when a
+   * single channel is selected
+   */
+  routeChannel() {
+    this.source.disconnect();
+    if (this.splitter) {
+      this.splitter.disconnect();
+      this.splitter = null;
+    }
+
+    if (this.channel === 'mix' || this.channelCount < 2) {
+      this.source.connect(this.gain);
+      return;
+    }
+
+    this.splitter = this.audioContext.createChannelSplitter(this.channelCount);
+    this.source.connect(this.splitter);
+    this.splitter.connect(this.gain, Math.min(this.channel, this.channelCount - 1));
+  }
+
+  /**
+   * Set the input gain
+   * @param {number} value Gain multiplier (1 = unity)
+   */
+  setGain(value) {
+    this.inputGain = Math.max(0, value);
+    const now = this.audioContext.currentTime;
+    this.gain.gain.setTargetAtTime(this.inputGain, now, 0.02);
+  }
+
+  /**
+   * Route the input to the speakers or keep it analysis-only
+   * @param {boolean} enabled Whether the input is audible
+   */
+  setMonitoring(enabled) {
+    this.isMonitoring = Boolean(enabled);
+    const now = this.audioContext.currentTime;
+    this.monitor.gain.setTargetAtTime(this.isMonitoring ? 1 : 0, now, 0.02);
+  }
+}
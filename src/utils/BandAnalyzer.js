@@ -0,0 +1,252 @@
+/**
+ * BandAnalyzer - named frequency bands over an AnalyserNode spectrum
+ *
+ * Each band averages the power of its bins, converts back to dB and is
+ * normalized against an adaptive ceiling (auto-gain) so quiet and loud
+ * masters both use the full 0-1 range. Levels are then smoothed and
+ * shaped by a per-band attack/release envelope.
+ */
+
+// Defaults applied to any band field that is not given
+const BAND_DEFAULTS = {
+  smoothing: 0.3, // 0 = raw, towards 1 = heavier exponential smoothing
+  attack: 0.01, // Seconds to rise towards a louder level
+  release: 0.15 // Seconds to fall towards a quieter level
+};
+
+/**
+ * Band layouts selectable by name
+ */
+export const BAND_PRESETS = {
+  // The original three bands (bass/mid/treble)
+  classic: () => [
+    { name: 'bass', minFreq: 20, maxFreq: 100 },
+    { name: 'mid', minFreq: 100, maxFreq: 2000 },
+    { name: 'treble', minFreq: 2000, maxFreq: 16000 }
+  ],
+
+  // Logarithmically spaced bands
+  log: ({ count = 8, minFreq = 20, maxFreq = 16000 } = {}) => {
+    const ratio = Math.pow(maxFreq / minFreq, 1 / count);
+    return Array.from({ length: count }, (_, i) => ({
+      name: `log${i}`,
+      minFreq: minFreq * Math.pow(ratio, i),
+      maxFreq: minFreq * Math.pow(ratio, i + 1)
+    }));
+  },
+
+  // Bands equally spaced on the mel scale
+  mel: ({ count = 12, minFreq = 20, maxFreq = 16000 } = {}) => {
+    const toMel = freq => 2595 * Math.log10(1 + freq / 700);
+    const fromMel = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+    const minMel = toMel(minFreq);
+    const step = (toMel(maxFreq) - minMel) / count;
+    return Array.from({ length: count }, (_, i) => ({
+      name: `mel${i}`,
+      minFreq: fromMel(minMel + step * i),
+      maxFreq: fromMel(minMel + step * (i + 1))
+    }));
+  },
+
+  // Octave bands around the standard ISO centre frequencies
+  octave: ({ fraction = 1 } = {}) => {
+    const bands = [];
+    const half = Math.pow(2, 1 / (2 * fraction));
+    for (let i = -6 * fraction; i <= 4 * fraction; i++) {
+      const center = 1000 * Math.pow(2, i / fraction);
+      bands.push({
+        name: `${Math.round(center)}Hz`,
+        minFreq: center / half,
+        maxFreq: center * half
+      });
+    }
+    return bands;
+  }
+};
+
+export class BandAnalyzer {
+  /**
+   * Create a new BandAnalyzer
+   * @param {Array<Object>} bands Band definitions ({name, minFreq, maxFreq, smoothing, attack, release})
+   * @param {Object} options Analyzer options
+   * @param {boolean} options.autoGain Normalize against an adaptive ceiling instead of a fixed range
+   * @param {number} options.minDb Lower bound of the fixed range
+   * @param {number} options.maxDb Upper bound of the fixed range
+   * @param {number} options.rangeDb Span below the adaptive ceiling mapped to 0-1
+   * @param {number} options.silenceDb Levels below this read as 0 and never raise the gain
+   * @param {number} options.minCeilingDb Lowest the adaptive ceiling may relax to
+   * @param {number} options.gainRelease Seconds for the adaptive ceiling to relax
+   */
+  constructor(bands = BAND_PRESETS.classic(), options = {}) {
+    this.autoGain = options.autoGain !== undefined ? options.autoGain : true;
+    this.minDb = options.minDb !== undefined ? options.minDb : -140;
+    this.maxDb = options.maxDb !== undefined ? options.maxDb : 0;
+    this.rangeDb = options.rangeDb || 40;
+    this.silenceDb = options.silenceDb !== undefined ? options.silenceDb : -100;
+    this.minCeilingDb = options.minCeilingDb !== undefined ? options.minCeilingDb : -70;
+    this.gainRelease = options.gainRelease || 8;
+
+    // Bin ranges depend on the spectrum size and sample rate
+    this.binLayout = null;
+    this.setBands(bands);
+  }
+
+  /**
+   * Replace the band definitions
+   * @param {Array<Object>} bands Band definitions
+   */
+  setBands(bands) {
+    this.bands = bands.map(band => ({
+      ...BAND_DEFAULTS,
+      ...band,
+      // Runtime state
+      smoothed: 0,
+      level: 0,
+      ceiling: null
+    }));
+    this.binLayout = null;
+  }
+
+  /**
+   * Replace the bands with a named preset
+   * @param {string} name Preset name (classic, log, mel, octave)
+   * @param {Object} options Preset options (count, minFreq, maxFreq, fraction)
+   * @returns {boolean} Whether the preset exists
+   */
+  usePreset(name, options = {}) {
+    const preset = BAND_PRESETS[name];
+    if (!preset) return false;
+
+    const { smoothing, attack, release, ...layout } = options;
+    const overrides = {};
+    if (smoothing !== undefined) overrides.smoothing = smoothing;
+    if (attack !== undefined) overrides.attack = attack;
+    if (release !== undefined) overrides.release = release;
+
+    this.setBands(preset(layout).map(band => ({ ...band, ...overrides })));
+    return true;
+  }
+
+  /**
+   * Change envelope settings of one band
+   * @param {string} name Band name
+   * @param {Object} settings Any of smoothing, attack, release
+   */
+  configureBand(name, settings) {
+    const band = this.bands.find(item => item.name === name);
+    if (!band) return;
+    ['smoothing', 'attack', 'release'].forEach(key => {
+      if (settings[key] !== undefined) band[key] = settings[key];
+    });
+  }
+
+  /**
+   * Map every band to spectrum bins. Bin k covers frequency
+   * k * (sampleRate / 2) / binCount, i.e. the spectrum spans 0 to Nyquist.
+   * @param {number} binCount Spectrum length (fftSize / 2)
+   * @param {number} sampleRate Context sample rate
+   */
+  layoutBins(binCount, sampleRate) {
+    const nyquist = sampleRate / 2;
+    const toBin = freq => Math.round(freq * binCount / nyquist);
+
+    this.binLayout = { binCount, sampleRate };
+    this.bands.forEach(band => {
+      const start = Math.max(0, Math.min(binCount - 1, toBin(band.minFreq)));
+      // Always cover at least one bin, even for narrow low bands
+      band.startBin = start;
+      band.endBin = Math.max(start + 1, Math.min(binCount, toBin(band.maxFreq)));
+    });
+  }
+
+  /**
+   * Analyze one frame of spectrum data
+   * @param {Float32Array} spectrum Frequency data in dB (AnalyserNode float data)
+   * @param {number} sampleRate Context sample rate
+   * @param {number} deltaTime Seconds since the previous frame
+   * @returns {Object} Band levels (0-1) keyed by band name
+   */
+  process(spectrum, sampleRate, deltaTime) {
+    const layout = this.binLayout;
+    if (!layout || layout.binCount !== spectrum.length || layout.sampleRate !== sampleRate) {
+      this.layoutBins(spectrum.length, sampleRate);
+    }
+
+    const levels = {};
+    this.bands.forEach(band => {
+      const target = this.normalize(band, this.getBandDb(spectrum, band), deltaTime);
+
+      // Exponential smoothing, then an asymmetric attack/release envelope
+      band.smoothed = band.smoothed * band.smoothing + target * (1 - band.smoothing);
+      const time = band.smoothed > band.level ? band.attack : band.release;
+      const coefficient = time > 0 ? 1 - Math.exp(-deltaTime / time) : 1;
+      band.level += (band.smoothed - band.level) * coefficient;
+
+      levels[band.name] = band.level;
+    });
+    return levels;
+  }
+
+  /**
+   * Mean power of a band's bins, in dB
+   * @param {Float32Array} spectrum Frequency data in dB
+   * @param {Object} band Band with bin range
+   * @returns {number} Band level in dB
+   */
+  getBandDb(spectrum, band) {
+    let power = 0;
+    for (let i = band.startBin; i < band.endBin; i++) {
+      // -Infinity (digital silence) contributes nothing
+      if (spectrum[i] > this.minDb) power += Math.pow(10, spectrum[i] / 10);
+    }
+    power /= band.endBin - band.startBin;
+    return power > 0 ? 10 * Math.log10(power) : this.minDb;
+  }
+
+  /**
+   * Map a dB level to 0-1, adapting the range when auto-gain is on
+   * @param {Object} band Band state
+   * @param {number} db Band level in dB
+   * @param {number} deltaTime Seconds since the previous frame
+   * @returns {number} Normalized level
+   */
+  normalize(band, db, deltaTime) {
+    if (!this.autoGain) {
+      return Math.max(0, Math.min(1, (db - this.minDb) / (this.maxDb - this.minDb)));
+    }
+
+    if (db <= this.silenceDb) return 0;
+
+    // Jump up to new peaks immediately, relax back down slowly
+    if (band.ceiling === null || db > band.ceiling) {
+      band.ceiling = db;
+    } else {
+      const relax = 1 - Math.exp(-deltaTime / this.gainRelease);
+      band.ceiling = Math.max(this.minCeilingDb, band.ceiling + (db - band.ceiling) * relax);
+    }
+
+    const floor = band.ceiling - this.rangeDb;
+    return Math.max(0, Math.min(1, (db - floor) / this.rangeDb));
+  }
+
+  /**
+   * Forget adaptive gain and envelope state, e.g. when a new track starts
+   */
+  reset() {
+    this.bands.forEach(band => {
+      band.smoothed = 0;
+      band.level = 0;
+      band.ceiling = null;
+    });
+  }
+
+  /**
+   * Describe the current bands
+   * @returns {Array<Object>} Band definitions without runtime state
+   */
+  getBands() {
+    return this.bands.map(({ name, minFreq, maxFreq, smoothing, attack, release }) => ({
+      name, minFreq, maxFreq, smoothing, attack, release
+    }));
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * BeatDetector - spectral-flux onset detection with a running tempo estimate
+ *
+ * Each frame the positive change in spectral magnitude (flux) is compared
+ * against an adaptive threshold built from recent flux values. Onsets feed an
+ * inter-onset-interval histogram that yields the BPM, and a beat clock locked
+ * to that tempo provides beat ticks and a 0-1 beat phase between onsets.
+ */
+export class BeatDetector {
+  /**
+   * Create a new BeatDetector
+   * @param {Object} options Detector options
+   * @param {number} options.historySize Frames of flux used for the threshold
+   * @param {number} options.sensitivity Standard deviations above the mean for an onset
+   * @param {number} options.minOnsetInterval Refractory period between onsets in seconds
+   * @param {number} options.minBpm Lowest tempo reported
+   * @param {number} options.maxBpm Highest tempo reported
+   */
+  constructor(options = {}) {
+    this.historySize = options.historySize || 43; // ~0.7s at 60fps
+    this.sensitivity = options.sensitivity || 1.5;
+    this.minOnsetInterval = options.minOnsetInterval || 0.1;
+    this.minBpm = options.minBpm || 70;
+    this.maxBpm = options.maxBpm || 180;
+    this.tempoWindow = 8; // Seconds of onsets considered for tempo
+
+    this.reset();
+  }
+
+  /**
+   * Forget all history, e.g. when a new track starts
+   */
+  reset() {
+    this.previousMagnitudes = null;
+    this.fluxHistory = [];
+    this.previousFlux = 0;
+    this.lastOnsetTime = -Infinity;
+    this.onsetTimes = [];
+
+    this.bpm = 0;
+    this.beatPeriod = 0;
+    this.lastBeatTime = 0;
+  }
+
+  /**
+   * Analyze one frame of spectrum data
+   * @param {Float32Array} spectrum Frequency data in dB (AnalyserNode float data)
+   * @param {number} time Frame time in seconds (audio clock)
+   * @returns {{onset: boolean, onsetStrength: number, beat: boolean, bpm: number, beatPhase: number}}
+   */
+  process(spectrum, time) {
+    const flux = this.computeFlux(spectrum);
+    const threshold = this.getThreshold();
+
+    this.fluxHistory.push(flux);
+    if (this.fluxHistory.length > this.historySize) {
+      this.fluxHistory.shift();
+    }
+
+    // Peak-pick: above threshold, rising, and outside the refractory period
+    const isOnset = flux > threshold &&
+      flux >= this.previousFlux &&
+      time - this.lastOnsetTime >= this.minOnsetInterval;
+    this.previousFlux = flux;
+
+    let onsetStrength = 0;
+    if (isOnset) {
+      onsetStrength = threshold > 0 ? Math.min(1, (flux - threshold) / threshold) : 1;
+      this.registerOnset(time);
+    }
+
+    const beat = this.advanceBeatClock(time, isOnset);
+
+    return {
+      onset: isOnset,
+      onsetStrength,
+      beat,
+      bpm: Math.round(this.bpm),
+      beatPhase: this.getBeatPhase(time)
+    };
+  }
+
+  /**
+   * Sum of positive magnitude changes since the previous frame
+   * @param {Float32Array} spectrum Frequency data in dB
+   * @returns {number} Spectral flux
+   */
+  computeFlux(spectrum) {
+    const length = spectrum.length;
+    if (!this.previousMagnitudes || this.previousMagnitudes.length !== length) {
+      this.previousMagnitudes = new Float32Array(length);
+    }
+
+    let flux = 0;
+    for (let i = 0; i < length; i++) {
+      // dB → linear magnitude; -Infinity (silence) maps to 0
+      const magnitude = spectrum[i] > -160 ? Math.pow(10, spectrum[i] / 20) : 0;
+      const difference = magnitude - this.previousMagnitudes[i];
+      if (difference > 0) flux += difference;
+      this.previousMagnitudes[i] = magnitude;
+    }
+    return flux;
+  }
+
+  /**
+   * Adaptive threshold: mean + sensitivity × standard deviation of recent flux
+   * @returns {number} Threshold value
+   */
+  getThreshold() {
+    const count = this.fluxHistory.length;
+    if (count < 4) return Infinity;
+
+    let sum = 0;
+    for (const value of this.fluxHistory) sum += value;
+    const mean = sum / count;
+
+    let variance = 0;
+    for (const value of this.fluxHistory) variance += (value - mean) * (value - mean);
+    const deviation = Math.sqrt(variance / count);
+
+    return mean + this.sensitivity * deviation;
+  }
+
+  /**
+   * Record an onset and refresh the tempo estimate
+   * @param {number} time Onset time in seconds
+   */
+  registerOnset(time) {
+    this.lastOnsetTime = time;
+    this.onsetTimes.push(time);
+    while (this.onsetTimes.length && time - this.onsetTimes[0] > this.tempoWindow) {
+      this.onsetTimes.shift();
+    }
+    this.estimateTempo();
+  }
+
+  /**
+   * Vote inter-onset intervals into a BPM histogram. Intervals are folded
+   * into the min/max range so half- and double-time hits agree.
+   */
+  estimateTempo() {
+    const onsets = this.onsetTimes;
+    if (onsets.length < 4) return;
+
+    const histogram = new Float32Array(this.maxBpm - this.minBpm + 1);
+    for (let i = 0; i < onsets.length; i++) {
+      for (let j = i + 1; j < onsets.length; j++) {
+        const interval = onsets[j] - onsets[i];
+        if (interval > 2) break;
+
+        let bpm = 60 / interval;
+        while (bpm < this.minBpm) bpm *= 2;
+        while (bpm > this.maxBpm) bpm /= 2;
+
+        // Spread each vote over neighbouring bins to tolerate jitter
+        const center = bpm - this.minBpm;
+        for (let offset = -2; offset <= 2; offset++) {
+          const bin = Math.round(center) + offset;
+          if (bin >= 0 && bin < histogram.length) {
+            histogram[bin] += Math.exp(-(offset * offset) / 2) / (j - i);
+          }
+        }
+      }
+    }
+
+    let bestBin = 0;
+    for (let bin = 1; bin < histogram.length; bin++) {
+      if (histogram[bin] > histogram[bestBin]) bestBin = bin;
+    }
+    if (histogram[bestBin] === 0) return;
+
+    const candidate = bestBin + this.minBpm;
+    this.bpm = this.bpm ? this.bpm * 0.8 + candidate * 0.2 : candidate;
+    this.beatPeriod = 60 / this.bpm;
+  }
+
+  /**
+   * Step the beat clock. Onsets close to the predicted beat pull the
+   * clock into phase; otherwise it free-runs at the estimated tempo.
+   * @param {number} time Frame time in seconds
+   * @param {boolean} isOnset Whether this frame had an onset
+   * @returns {boolean} Whether a beat falls on this frame
+   */
+  advanceBeatClock(time, isOnset) {
+    if (!this.beatPeriod) {
+      // No tempo yet: every onset counts as a beat
+      if (isOnset) this.lastBeatTime = time;
+      return isOnset;
+    }
+
+    const nextBeat = this.lastBeatTime + this.beatPeriod;
+    const tolerance = this.beatPeriod * 0.2;
+
+    // Clock jumped backwards (seek): restart the grid here
+    if (time < this.lastBeatTime) {
+      this.lastBeatTime = time;
+      return false;
+    }
+
+    // Onset slightly ahead of the grid: take the beat early and re-phase
+    if (isOnset && nextBeat - time < tolerance && nextBeat - time > 0) {
+      this.lastBeatTime = time;
+      return true;
+    }
+
+    // Onset just after a free-running tick: pull the grid halfway towards it
+    if (isOnset && time - this.lastBeatTime < tolerance) {
+      this.lastBeatTime += (time - this.lastBeatTime) * 0.5;
+      return false;
+    }
+
+    if (time >= nextBeat) {
+      // Skip whole beats if frames were dropped
+      this.lastBeatTime += Math.floor((time - this.lastBeatTime) / this.beatPeriod) * this.beatPeriod;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Position within the current beat
+   * @param {number} time Frame time in seconds
+   * @returns {number} Phase from 0 (on the beat) to 1 (next beat)
+   */
+  getBeatPhase(time) {
+    if (!this.beatPeriod) return 0;
+    const phase = (time - this.lastBeatTime) / this.beatPeriod;
+    return Math.max(0, Math.min(1, phase - Math.floor(phase)));
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * ColorPalettes - named color gradients for audio-reactive visuals
+ *
+ * A palette is a list of colors spread evenly from low to high frequency.
+ * Lookups interpolate between neighboring colors, so any number of steps
+ * can be sampled from the same gradient.
+ */
+
+// Built-in palettes, low frequencies first
+export const PALETTES = {
+  spectrum: {
+    name: 'Spectrum',
+    colors: ['#8a2be2', '#0064ff', '#00ffff', '#00ff64', '#ffff00', '#ffa500', '#ff3232', '#ff1493']
+  },
+  omnivoid: {
+    name: 'OMNIVOID',
+    colors: ['#1f3d5c', '#4d7fb3', '#99ccff', '#e6f2ff']
+  },
+  thermal: {
+    name: 'Thermal',
+    colors: ['#2b0b3f', '#7a1f7a', '#d62d3a', '#ff7a00', '#ffd23f', '#ffffff']
+  },
+  neon: {
+    name: 'Neon',
+    colors: ['#ff00ff', '#7b2fff', '#00e5ff', '#39ff14', '#fff01f']
+  }
+};
+
+/**
+ * Sample a gradient into evenly spaced colors
+ * @param {Array<string>} colors CSS colors spread evenly over 0-1
+ * @param {number} steps Number of colors to sample
+ * @returns {Array<Object>} Colors { r, g, b } (0-255), sampled at positions i / steps
+ */
+export function samplePalette(colors, steps) {
+  const stops = colors.map(parseColor);
+  return Array.from({ length: steps }, (_, i) => interpolateStops(stops, i / steps));
+}
+
+/**
+ * Color at a position along a gradient
+ * @param {Array<Array<number>>} stops Parsed colors spread evenly over 0-1
+ * @param {number} position Position (0-1)
+ * @returns {Object} Color { r, g, b } (0-255)
+ */
+function interpolateStops(stops, position) {
+  if (stops.length === 1) {
+    const [r, g, b] = stops[0];
+    return { r, g, b };
+  }
+  const scaled = Math.max(0, Math.min(1, position)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(scaled));
+  const t = scaled - index;
+  const from = stops[index];
+  const to = stops[index + 1];
+  return {
+    r: Math.round(from[0] + (to[0] - from[0]) * t),
+    g: Math.round(from[1] + (to[1] - from[1]) * t),
+    b: Math.round(from[2] + (to[2] - from[2]) * t)
+  };
+}
+
+/**
+ * Parse a CSS hex or rgb()/rgba() color
+ * @param {string} color CSS color
+ * @returns {Array<number>} [r, g, b] (0-255) and alpha (0-1); white if unrecognized
+ */
+export function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16)).concat(1);
+  }
+  const rgb = /^rgba?\(([^)]+)\)$/i.exec(color.trim());
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return [r, g, b, a];
+  }
+  return [255, 255, 255, 1];
+}
@@ -0,0 +1,418 @@
+/**
+ * Effects - insertable master effects for the EffectsRack
+ *
+ * Every effect has the same shape: input → (dry, processed → wet) → output,
+ * a bypass switch, a wet/dry mix and a table of parameters that UI code can
+ * render and automate without knowing the effect's internals.
+ */
+
+// Bundled impulse responses for the convolution reverb
+export const IMPULSE_RESPONSES = {
+  room: './public/audio/impulses/room.wav',
+  plate: './public/audio/impulses/plate.wav',
+  hall: './public/audio/impulses/hall.wav'
+};
+
+// Note lengths for the tempo-synced delay, in beats
+export const DELAY_DIVISIONS = {
+  '1/16': 0.25,
+  '1/8': 0.5,
+  '3/16': 0.75,
+  '1/4': 1,
+  '3/8': 1.5,
+  '1/2': 2
+};
+
+/**
+ * Base class for rack effects
+ */
+export class Effect {
+  /**
+   * Create a new Effect
+   * @param {AudioContext} audioContext Shared audio context
+   * @param {string} id Effect ID used by the rack
+   * @param {string} name Display name
+   */
+  constructor(audioContext, id, name) {
+    this.audioContext = audioContext;
+    this.id = id;
+    this.name = name;
+
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.dry = audioContext.createGain();
+    this.wet = audioContext.createGain();
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+    this.wet.connect(this.output);
+
+    this.bypassed = true;
+    this.mix = 1;
+    // name → { label, min, max, step, value, scale?, options?, unit? }
+    this.params = {};
+    // While a sweep is scheduled: AudioParam → value it starts from
+    this.sweepStarts = null;
+    this.collectingSweepStarts = false;
+    this.updateMix(0);
+  }
+
+  /**
+   * Route the input through the effect's processing nodes
+   * @param {AudioNode} first First processing node
+   * @param {AudioNode} last Last processing node
+   */
+  connectProcessor(first, last) {
+    this.input.connect(first);
+    last.connect(this.wet);
+  }
+
+  /**
+   * Declare a parameter
+   * @param {string} name Parameter name
+   * @param {Object} definition Parameter definition (label, min, max, step, value, scale, options, unit)
+   */
+  defineParam(name, definition) {
+    this.params[name] = { step: 0.01, ...definition };
+  }
+
+  /**
+   * Switch the effect in or out of the signal path
+   * @param {boolean} bypassed Whether the effect is bypassed
+   */
+  setBypass(bypassed) {
+    this.bypassed = Boolean(bypassed);
+    this.updateMix(0.02);
+  }
+
+  /**
+   * Set the wet/dry balance
+   * @param {number} mix 0 = dry only, 1 = wet only
+   */
+  setMix(mix) {
+    this.mix = Math.max(0, Math.min(1, Number(mix)));
+    this.updateMix(0.02);
+  }
+
+  /**
+   * Apply bypass and mix to the dry/wet gains
+   * @param {number} rampTime Seconds to glide to the new gains
+   */
+  updateMix(rampTime) {
+    const wet = this.bypassed ? 0 : this.mix;
+    this.rampParam(this.wet.gain, wet, rampTime);
+    this.rampParam(this.dry.gain, 1 - wet, rampTime);
+  }
+
+  /**
+   * Set a parameter, optionally gliding to it (automation)
+   * @param {string} name Parameter name
+   * @param {number|string} value New value
+   * @param {number} rampTime Seconds to reach the value (0 = immediately)
+   */
+  setParam(name, value, rampTime = 0) {
+    const param = this.params[name];
+    if (!param) return;
+
+    if (param.options) {
+      if (!param.options.includes(value)) return;
+      param.value = value;
+    } else {
+      param.value = Math.max(param.min, Math.min(param.max, Number(value)));
+    }
+    this.applyParam(name, param.value, rampTime);
+  }
+
+  /**
+   * Automate a numeric parameter from one value to another. Both points go
+   * on one AudioParam timeline, so the ramp really starts at `from`.
+   * @param {string} name Parameter name
+   * @param {number} from Start value
+   * @param {number} to End value
+   * @param {number} duration Sweep length in seconds
+   */
+  sweepParam(name, from, to, duration) {
+    const param = this.params[name];
+    if (!param || param.options) return;
+    const clamp = value => Math.max(param.min, Math.min(param.max, Number(value)));
+
+    // Let the subclass map `from` onto its AudioParams without scheduling it
+    this.sweepStarts = new Map();
+    this.collectingSweepStarts = true;
+    this.applyParam(name, clamp(from), 0);
+    this.collectingSweepStarts = false;
+
+    param.value = clamp(to);
+    this.applyParam(name, param.value, duration);
+    this.sweepStarts = null;
+  }
+
+  /**
+   * Push a parameter value into the audio graph (implemented by subclasses)
+   * @param {string} name Parameter name
+   * @param {number|string} value Parameter value
+   * @param {number} rampTime Seconds to reach the value
+   */
+  applyParam(name, value, rampTime) {}
+
+  /**
+   * Glide an AudioParam from its current value (or a sweep's start) to a target
+   * @param {AudioParam} audioParam Target parameter
+   * @param {number} value Target value
+   * @param {number} rampTime Seconds to reach it
+   * @param {boolean} exponential Use an exponential ramp (frequencies)
+   */
+  rampParam(audioParam, value, rampTime, exponential = false) {
+    if (this.collectingSweepStarts) {
+      this.sweepStarts.set(audioParam, value);
+      return;
+    }
+    const now = this.audioContext.currentTime;
+    const start = this.sweepStarts && this.sweepStarts.has(audioParam)
+      ? this.sweepStarts.get(audioParam)
+      : audioParam.value;
+    audioParam.cancelScheduledValues(now);
+    audioParam.setValueAtTime(start, now);
+    if (rampTime <= 0) {
+      audioParam.setValueAtTime(value, now);
+    } else if (exponential && value > 0 && start > 0) {
+      audioParam.exponentialRampToValueAtTime(value, now + rampTime);
+    } else {
+      audioParam.linearRampToValueAtTime(value, now + rampTime);
+    }
+  }
+
+  /**
+   * Describe the effect for UI code
+   * @returns {Object} { id, name, bypassed, mix, params }
+   */
+  describe() {
+    return { id: this.id, name: this.name, bypassed: this.bypassed, mix: this.mix, params: this.params };
+  }
+}
+
+/**
+ * Three-band EQ: low shelf, mid peak, high shelf
+ */
+export class ThreeBandEq extends Effect {
+  constructor(audioContext) {
+    super(audioContext, 'eq3', '3-Band EQ');
+
+    this.low = createFilter(audioContext, 'lowshelf', 250);
+    this.mid = createFilter(audioContext, 'peaking', 1000, 0.7);
+    this.high = createFilter(audioContext, 'highshelf', 4000);
+    this.low.connect(this.mid);
+    this.mid.connect(this.high);
+    this.connectProcessor(this.low, this.high);
+
+    ['low', 'mid', 'high'].forEach(band => {
+      this.defineParam(band, { label: `${band[0].toUpperCase()}${band.slice(1)} (dB)`, min: -24, max: 12, step: 0.5, value: 0 });
+    });
+  }
+
+  applyParam(name, value, rampTime) {
+    this.rampParam(this[name].gain, value, rampTime);
+  }
+}
+
+/**
+ * Parametric EQ with three fully adjustable peaking bands
+ */
+export class ParametricEq extends Effect {
+  constructor(audioContext) {
+    super(audioContext, 'parametric', 'Parametric EQ');
+
+    const centers = [120, 1000, 6000];
+    this.bands = centers.map(frequency => createFilter(audioContext, 'peaking', frequency, 1));
+    // connect() returns its destination, so this chains the bands in order
+    this.bands.reduce((previous, band) => previous.connect(band));
+    this.connectProcessor(this.bands[0], this.bands[this.bands.length - 1]);
+
+    centers.forEach((frequency, index) => {
+      const number = index + 1;
+      this.defineParam(`freq${number}`, { label: `Band ${number} Hz`, min: 20, max: 20000, value: frequency, scale: 'log', unit: 'Hz' });
+      this.defineParam(`gain${number}`, { label: `Band ${number} dB`, min: -24, max: 12, step: 0.5, value: 0 });
+      this.defineParam(`q${number}`, { label: `Band ${number} Q`, min: 0.1, max: 18, step: 0.1, value: 1 });
+    });
+  }
+
+  applyParam(name, value, rampTime) {
+    const [, kind, number] = name.match(/^(freq|gain|q)(\d)$/);
+    const band = this.bands[number - 1];
+    if (kind === 'freq') this.rampParam(band.frequency, value, rampTime, true);
+    if (kind === 'gain') this.rampParam(band.gain, value, rampTime);
+    if (kind === 'q') this.rampParam(band.Q, value, rampTime);
+  }
+}
+
+/**
+ * Resonant low-pass/high-pass filter with a sweepable cutoff
+ */
+export class SweepFilter extends Effect {
+  constructor(audioContext) {
+    super(audioContext, 'filter', 'Filter');
+
+    this.filter = createFilter(audioContext, 'lowpass', 20000, 1);
+    this.connectProcessor(this.filter, this.filter);
+
+    this.defineParam('type', { label: 'Type', options: ['lowpass', 'highpass'], value: 'lowpass' });
+    this.defineParam('cutoff', { label: 'Cutoff', min: 20, max: 20000, value: 20000, scale: 'log', unit: 'Hz' });
+    this.defineParam('resonance', { label: 'Resonance', min: 0.1, max: 24, step: 0.1, value: 1 });
+  }
+
+  applyParam(name, value, rampTime) {
+    if (name === 'type') {
+      // Start each type fully open so switching never silences the mix
+      this.filter.type = value;
+      this.setParam('cutoff', value === 'highpass' ? 20 : 20000);
+    }
+    if (name === 'cutoff') this.rampParam(this.filter.frequency, value, rampTime, true);
+    if (name === 'resonance') this.rampParam(this.filter.Q, value, rampTime);
+  }
+}
+
+/**
+ * Feedback delay locked to the track tempo
+ */
+export class TempoDelay extends Effect {
+  constructor(audioContext) {
+    super(audioContext, 'delay', 'Tempo Delay');
+
+    this.bpm = 120;
+    this.delay = audioContext.createDelay(4);
+    this.feedback = audioContext.createGain();
+    // Darken each repeat so feedback tails sit behind the dry signal
+    this.tone = createFilter(audioContext, 'lowpass', 6000, 0.7);
+
+    this.delay.connect(this.tone);
+    this.tone.connect(this.feedback);
+    this.feedback.connect(this.delay);
+    this.connectProcessor(this.delay, this.tone);
+
+    this.defineParam('division', { label: 'Division', options: Object.keys(DELAY_DIVISIONS), value: '1/8' });
+    this.defineParam('feedback', { label: 'Feedback', min: 0, max: 0.9, value: 0.35 });
+    this.defineParam('tone', { label: 'Tone', min: 500, max: 16000, value: 6000, scale: 'log', unit: 'Hz' });
+
+    this.mix = 0.3;
+    this.applyParam('feedback', 0.35, 0);
+    this.updateDelayTime(0);
+  }
+
+  /**
+   * Follow a new tempo
+   * @param {number} bpm Beats per minute
+   */
+  setTempo(bpm) {
+    if (!bpm || Math.abs(bpm - this.bpm) < 0.5) return;
+    this.bpm = bpm;
+    this.updateDelayTime(0.1);
+  }
+
+  /**
+   * Set the delay time from tempo and division
+   * @param {number} rampTime Seconds to glide (short glides avoid clicks)
+   */
+  updateDelayTime(rampTime) {
+    const beats = DELAY_DIVISIONS[this.params.division.value];
+    this.rampParam(this.delay.delayTime, Math.min(4, beats * 60 / this.bpm), rampTime);
+  }
+
+  applyParam(name, value, rampTime) {
+    if (name === 'division') this.updateDelayTime(0.1);
+    if (name === 'feedback') this.rampParam(this.feedback.gain, value, rampTime);
+    if (name === 'tone') this.rampParam(this.tone.frequency, value, rampTime, true);
+  }
+}
+
+/**
+ * Convolution reverb using the bundled impulse responses
+ */
+export class ConvolutionReverb extends Effect {
+  constructor(audioContext) {
+    super(audioContext, 'reverb', 'Reverb');
+
+    this.convolver = audioContext.createConvolver();
+    this.connectProcessor(this.convolver, this.convolver);
+    this.impulses = new Map();
+
+    this.defineParam('impulse', { label: 'Space', options: Object.keys(IMPULSE_RESPONSES), value: 'hall' });
+    this.mix = 0.25;
+  }
+
+  setBypass(bypassed) {
+    // Impulse responses are only fetched once the reverb is used
+    if (!bypassed && !this.convolver.buffer) {
+      this.loadImpulse(this.params.impulse.value);
+    }
+    super.setBypass(bypassed);
+  }
+
+  applyParam(name, value) {
+    if (name === 'impulse') this.loadImpulse(value);
+  }
+
+  /**
+   * Fetch, decode and install an impulse response
+   * @param {string} name Impulse name from IMPULSE_RESPONSES
+   */
+  async loadImpulse(name) {
+    try {
+      if (!this.impulses.has(name)) {
+        const response = await fetch(IMPULSE_RESPONSES[name]);
+        const arrayBuffer = await response.arrayBuffer();
+        this.impulses.set(name, await this.audioContext.decodeAudioData(arrayBuffer));
+      }
+      // Ignore loads that finished after another space was picked
+      if (this.params.impulse.value === name) {
+        this.convolver.buffer = this.impulses.get(name);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Reverb: Could not load impulse "${name}":`, error);
+    }
+  }
+}
+
+/**
+ * Brickwall-style limiter built on DynamicsCompressorNode
+ */
+export class Limiter extends Effect {
+  constructor(audioContext) {
+    super(audioContext, 'limiter', 'Limiter');
+
+    this.compressor = audioContext.createDynamicsCompressor();
+    this.compressor.knee.value = 0;
+    this.compressor.ratio.value = 20;
+    this.compressor.attack.value = 0.003;
+    this.makeup = audioContext.createGain();
+    this.compressor.connect(this.makeup);
+    this.connectProcessor(this.compressor, this.makeup);
+
+    this.defineParam('threshold', { label: 'Threshold (dB)', min: -24, max: 0, step: 0.5, value: -1 });
+    this.defineParam('release', { label: 'Release (s)', min: 0.01, max: 1, value: 0.1 });
+    this.defineParam('makeup', { label: 'Makeup (dB)', min: 0, max: 12, step: 0.5, value: 0 });
+
+    this.applyParam('threshold', -1, 0);
+    this.applyParam('release', 0.1, 0);
+  }
+
+  applyParam(name, value, rampTime) {
+    if (name === 'threshold') this.rampParam(this.compressor.threshold, value, rampTime);
+    if (name === 'release') this.rampParam(this.compressor.release, value, rampTime);
+    if (name === 'makeup') this.rampParam(this.makeup.gain, Math.pow(10, value / 20), rampTime);
+  }
+}
+
+/**
+ * Create a biquad filter
+ * @param {AudioContext} audioContext Shared audio context
+ * @param {string} type Filter type
+ * @param {number} frequency Frequency in Hz
+ * @param {number} q Q factor
+ * @returns {BiquadFilterNode} Filter node
+ */
+function createFilter(audioContext, type, frequency, q = 1) {
+  const filter = audioContext.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.value = frequency;
+  filter.Q.value = q;
+  return filter;
+}
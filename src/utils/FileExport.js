@@ -0,0 +1,46 @@
+/**
+ * FileExport - hand generated files (recordings, captures) to the user
+ */
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob File contents
+ * @param {string} filename Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Build a timestamped file name, e.g. "omnivoid-set-20240131-214500.webm"
+ * @param {string} prefix Name prefix
+ * @param {string} extension File extension without the dot
+ * @param {Date} date Timestamp (defaults to now)
+ * @returns {string} File name
+ */
+export function createExportName(prefix, extension, date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${prefix}-${day}-${time}.${extension}`;
+}
+
+/**
+ * File extension for a recorder MIME type
+ * @param {string} mimeType MIME type, optionally with codecs
+ * @returns {string} Extension without the dot
+ */
+export function getExtension(mimeType) {
+  const type = mimeType.split(';')[0];
+  const extensions = { 'audio/webm': 'webm', 'video/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'video/mp4': 'mp4', 'audio/wav': 'wav' };
+  return extensions[type] || 'bin';
+}
@@ -0,0 +1,250 @@
+/**
+ * LoudnessMeter - offline EBU R128 / ITU-R BS.1770 measurement
+ *
+ * The K-weighting filters run in an OfflineAudioContext, so they render
+ * faster than real time without touching the live graph. Gating and the
+ * true-peak scan then run over the rendered samples.
+ */
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1; // 75% block overlap
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated mean
+
+// 4x oversampling for true peak: interpolated points between each sample pair
+const OVERSAMPLE = 4;
+const INTERPOLATION_TAPS = 12;
+const INTERPOLATION_FILTERS = createInterpolationFilters();
+// Samples scanned between yields, so a long measurement does not stall the visuals
+const SCAN_CHUNK = 1 << 18;
+
+/**
+ * Measure integrated loudness and true peak of a decoded track
+ * @param {AudioBuffer} buffer Decoded audio
+ * @returns {Promise<{integrated: number, truePeak: number}>} LUFS and dBTP (-Infinity for silence)
+ */
+export async function measureLoudness(buffer) {
+  const weighted = await renderKWeighted(buffer);
+  return {
+    integrated: measureIntegrated(weighted),
+    truePeak: await measureTruePeak(buffer)
+  };
+}
+
+/**
+ * Render the buffer through the BS.1770 K-weighting curve: a high shelf
+ * for the head's acoustic effect followed by a low-frequency roll-off
+ * @param {AudioBuffer} buffer Decoded audio
+ * @returns {Promise<AudioBuffer>} K-weighted audio
+ */
+async function renderKWeighted(buffer) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+
+  const [shelf, highpass] = createKWeightingFilters(context);
+  source.connect(shelf);
+  shelf.connect(highpass);
+  highpass.connect(context.destination);
+  source.start();
+
+  return context.startRendering();
+}
+
+/**
+ * Create the two K-weighting stages. The BS.1770 biquads are re-derived
+ * for the context's sample rate (the standard lists them for 48 kHz only);
+ * browsers without IIR filters get the closest BiquadFilterNode settings.
+ * @param {BaseAudioContext} context Audio context
+ * @returns {Array<AudioNode>} [shelf, highpass]
+ */
+function createKWeightingFilters(context) {
+  if (!context.createIIRFilter) {
+    const shelf = context.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1681.97;
+    shelf.gain.value = 4;
+
+    const highpass = context.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = 38.13;
+    // Web Audio takes highpass Q in dB; BS.1770 specifies a linear Q of 0.5003
+    highpass.Q.value = 20 * Math.log10(0.5003);
+    return [shelf, highpass];
+  }
+
+  const rate = context.sampleRate;
+
+  // Stage 1: high shelf, +4 dB above about 1.7 kHz
+  let k = Math.tan(Math.PI * 1681.974450955533 / rate);
+  let q = 0.7071752369554196;
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+  const shelf = context.createIIRFilter(
+    [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+    [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+  );
+
+  // Stage 2: second-order high-pass at about 38 Hz
+  k = Math.tan(Math.PI * 38.13547087602444 / rate);
+  q = 0.5003270373238773;
+  a0 = 1 + k / q + k * k;
+  const highpass = context.createIIRFilter(
+    [1, -2, 1],
+    [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+  );
+  return [shelf, highpass];
+}
+
+/**
+ * Gated integrated loudness over 400 ms blocks
+ * @param {AudioBuffer} weighted K-weighted audio
+ * @returns {number} Integrated loudness in LUFS
+ */
+function measureIntegrated(weighted) {
+  const step = Math.round(weighted.sampleRate * STEP_SECONDS);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const stepCount = Math.floor(weighted.length / step);
+  const weights = getChannelWeights(weighted.numberOfChannels);
+
+  // Weighted channel power per 100 ms step; blocks sum four neighbours
+  const stepPower = new Float64Array(stepCount);
+  for (let channel = 0; channel < weighted.numberOfChannels; channel++) {
+    if (!weights[channel]) continue;
+    const data = weighted.getChannelData(channel);
+    for (let i = 0; i < stepCount; i++) {
+      let sum = 0;
+      for (let j = i * step, end = j + step; j < end; j++) {
+        sum += data[j] * data[j];
+      }
+      stepPower[i] += weights[channel] * sum;
+    }
+  }
+
+  // Clips shorter than one block are measured as a single block
+  const blockPowers = [];
+  const blockSamples = step * stepsPerBlock;
+  if (stepCount < stepsPerBlock) {
+    const total = stepPower.reduce((sum, power) => sum + power, 0);
+    if (stepCount > 0) blockPowers.push(total / (step * stepCount));
+  } else {
+    for (let i = 0; i + stepsPerBlock <= stepCount; i++) {
+      let sum = 0;
+      for (let j = 0; j < stepsPerBlock; j++) sum += stepPower[i + j];
+      blockPowers.push(sum / blockSamples);
+    }
+  }
+
+  const aboveAbsolute = blockPowers.filter(power => powerToLufs(power) > ABSOLUTE_GATE);
+  if (aboveAbsolute.length === 0) return -Infinity;
+
+  const relativeGate = powerToLufs(mean(aboveAbsolute)) + RELATIVE_GATE;
+  const gated = aboveAbsolute.filter(power => powerToLufs(power) > relativeGate);
+  return powerToLufs(mean(gated));
+}
+
+/**
+ * Channel weights from BS.1770: surrounds count 1.41x, LFE is ignored
+ * @param {number} channelCount Number of channels
+ * @returns {Array<number>} Weight per channel
+ */
+function getChannelWeights(channelCount) {
+  if (channelCount === 6) {
+    return [1, 1, 1, 0, 1.41, 1.41]; // L, R, C, LFE, Ls, Rs
+  }
+  return new Array(channelCount).fill(1);
+}
+
+/**
+ * Estimate the true (inter-sample) peak with 4x oversampling. Only the
+ * neighbourhood of loud samples is interpolated: an inter-sample peak
+ * cannot exceed the sample peak by more than a few dB.
+ * @param {AudioBuffer} buffer Decoded audio
+ * @returns {Promise<number>} True peak in dBTP
+ */
+async function measureTruePeak(buffer) {
+  let samplePeak = 0;
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      if (value > samplePeak) samplePeak = value;
+    }
+  }
+  if (samplePeak === 0) return -Infinity;
+
+  const threshold = samplePeak * 0.5;
+  const half = INTERPOLATION_TAPS / 2;
+  let truePeak = samplePeak;
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    const end = data.length - half;
+    for (let chunk = half - 1; chunk < end; chunk += SCAN_CHUNK) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      truePeak = Math.max(truePeak, scanInterSamplePeaks(data, chunk, Math.min(end, chunk + SCAN_CHUNK), threshold));
+    }
+  }
+
+  return 20 * Math.log10(truePeak);
+}
+
+/**
+ * Interpolate between sample pairs where either sample is loud
+ * @param {Float32Array} data Channel samples
+ * @param {number} start First sample index (at least taps / 2 - 1)
+ * @param {number} end Last sample index, exclusive (at most length - taps / 2)
+ * @param {number} threshold Minimum sample level worth interpolating around
+ * @returns {number} Highest interpolated level (linear)
+ */
+function scanInterSamplePeaks(data, start, end, threshold) {
+  const offset = INTERPOLATION_TAPS / 2 - 1;
+  let peak = 0;
+  for (let i = start; i < end; i++) {
+    if (Math.abs(data[i]) < threshold && Math.abs(data[i + 1]) < threshold) continue;
+
+    for (let phase = 0; phase < INTERPOLATION_FILTERS.length; phase++) {
+      const taps = INTERPOLATION_FILTERS[phase];
+      let value = 0;
+      for (let k = 0; k < INTERPOLATION_TAPS; k++) {
+        value += data[i - offset + k] * taps[k];
+      }
+      if (value < 0) value = -value;
+      if (value > peak) peak = value;
+    }
+  }
+  return peak;
+}
+
+/**
+ * Windowed-sinc taps for each fractional position between two samples
+ * @returns {Array<Float32Array>} One tap set per interpolated point
+ */
+function createInterpolationFilters() {
+  const half = INTERPOLATION_TAPS / 2;
+  const filters = [];
+  for (let phase = 1; phase < OVERSAMPLE; phase++) {
+    const fraction = phase / OVERSAMPLE;
+    const taps = new Float32Array(INTERPOLATION_TAPS);
+    for (let k = 0; k < INTERPOLATION_TAPS; k++) {
+      // Distance from the interpolated point to tap k (tap half - 1 is the sample before it)
+      const x = k - (half - 1) - fraction;
+      const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 + 0.5 * Math.cos(Math.PI * x / half);
+      taps[k] = sinc * window;
+    }
+    filters.push(taps);
+  }
+  return filters;
+}
+
+function powerToLufs(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
@@ -0,0 +1,247 @@
+/**
+ * MasterRecorder - captures the master output to a file
+ *
+ * The input node is fed from the master chain. A MediaStreamAudioDestinationNode
+ * turns it into a stream for MediaRecorder (WebM/Opus where supported); an
+ * optional worklet tap collects 16-bit PCM for a lossless WAV alongside it.
+ */
+
+// Preferred compressed formats, best first
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+export class MasterRecorder {
+  /**
+   * Create a new MasterRecorder
+   * @param {AudioContext} audioContext Shared audio context
+   */
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain();
+
+    this.streamDestination = audioContext.createMediaStreamDestination();
+    this.input.connect(this.streamDestination);
+
+    this.mimeType = MasterRecorder.getSupportedMimeType();
+    this.mediaRecorder = null;
+    this.chunks = [];
+
+    // PCM tap, created on the first WAV recording
+    this.wavNode = null;
+    this.wavBlocks = [];
+    this.wavFlushed = null;
+    this.isCapturingWav = false;
+
+    this.state = 'inactive'; // 'inactive' | 'recording' | 'paused'
+    this.recordedBefore = 0; // Seconds recorded before the current run
+    this.runStartedAt = 0; // Context time the current run started
+  }
+
+  /**
+   * Best compressed format MediaRecorder supports here
+   * @returns {string|null} MIME type, or null without MediaRecorder
+   */
+  static getSupportedMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Seconds recorded so far, excluding pauses
+   * @returns {number} Elapsed time
+   */
+  get elapsed() {
+    if (this.state !== 'recording') return this.recordedBefore;
+    return this.recordedBefore + (this.audioContext.currentTime - this.runStartedAt);
+  }
+
+  /**
+   * Start a new recording
+   * @param {Object} options Recording options
+   * @param {boolean} options.wav Also capture a lossless WAV
+   * @returns {Promise<boolean>} Whether recording started
+   */
+  async start(options = {}) {
+    if (this.state !== 'inactive') {
+      console.warn('⚠️ MasterRecorder: Already recording');
+      return false;
+    }
+    if (this.mimeType === null && !options.wav) {
+      console.warn('⚠️ MasterRecorder: MediaRecorder not supported, only WAV capture is available');
+      return false;
+    }
+
+    // MediaStream destinations only produce audio while the context runs
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+
+    this.isCapturingWav = Boolean(options.wav) && await this.createWavTap();
+    if (options.wav && !this.isCapturingWav && this.mimeType === null) return false;
+
+    this.chunks = [];
+    if (this.mimeType !== null) {
+      this.mediaRecorder = new MediaRecorder(this.streamDestination.stream, {
+        mimeType: this.mimeType || undefined,
+        audioBitsPerSecond: 192000
+      });
+      this.mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) this.chunks.push(event.data);
+      };
+      // Timeslices keep data flowing so a crash loses at most a second
+      this.mediaRecorder.start(1000);
+    }
+
+    this.wavBlocks = [];
+    if (this.isCapturingWav) {
+      this.wavNode.port.postMessage({ type: 'record' });
+    }
+
+    this.state = 'recording';
+    this.recordedBefore = 0;
+    this.runStartedAt = this.audioContext.currentTime;
+    console.log(`⏺️ MasterRecorder: Recording (${this.mimeType || 'default format'}${this.isCapturingWav ? ' + WAV' : ''})`);
+    return true;
+  }
+
+  /**
+   * Pause the recording; the files continue seamlessly on resume
+   */
+  pause() {
+    if (this.state !== 'recording') return;
+    if (this.mediaRecorder) this.mediaRecorder.pause();
+    if (this.isCapturingWav) this.wavNode.port.postMessage({ type: 'pause' });
+
+    this.recordedBefore = this.elapsed;
+    this.state = 'paused';
+    console.log('⏸️ MasterRecorder: Paused');
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+    if (this.mediaRecorder) this.mediaRecorder.resume();
+    if (this.isCapturingWav) this.wavNode.port.postMessage({ type: 'record' });
+
+    this.runStartedAt = this.audioContext.currentTime;
+    this.state = 'recording';
+    console.log('⏺️ MasterRecorder: Resumed');
+  }
+
+  /**
+   * Finish the recording
+   * @returns {Promise<Object|null>} { audio, wav, duration } blobs (wav null unless captured), or null if idle
+   */
+  async stop() {
+    if (this.state === 'inactive') return null;
+    const duration = this.elapsed;
+    this.state = 'inactive';
+    this.recordedBefore = duration;
+
+    const [audio, wav] = await Promise.all([this.stopMediaRecorder(), this.stopWavCapture()]);
+    console.log(`⏹️ MasterRecorder: Stopped after ${duration.toFixed(1)}s`);
+    return { audio, wav, duration };
+  }
+
+  /**
+   * Stop MediaRecorder and collect its chunks
+   * @returns {Promise<Blob|null>} Compressed recording
+   */
+  stopMediaRecorder() {
+    const recorder = this.mediaRecorder;
+    this.mediaRecorder = null;
+    if (!recorder) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      recorder.onstop = () => {
+        resolve(new Blob(this.chunks, { type: recorder.mimeType || this.mimeType || 'audio/webm' }));
+        this.chunks = [];
+      };
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Flush the PCM tap and encode what it collected
+   * @returns {Promise<Blob|null>} WAV recording
+   */
+  async stopWavCapture() {
+    if (!this.isCapturingWav) return null;
+    this.isCapturingWav = false;
+
+    await new Promise(resolve => {
+      this.wavFlushed = resolve;
+      this.wavNode.port.postMessage({ type: 'flush' });
+    });
+
+    const wav = encodeWav(this.wavBlocks, this.audioContext.sampleRate, 2);
+    this.wavBlocks = [];
+    return wav;
+  }
+
+  /**
+   * Load the PCM capture worklet and tap the input with it
+   * @returns {Promise<boolean>} Whether WAV capture is available
+   */
+  async createWavTap() {
+    if (this.wavNode) return true;
+    try {
+      await this.audioContext.audioWorklet.addModule('/src/audio-worklet/recorder-processor.js');
+      this.wavNode = new AudioWorkletNode(this.audioContext, 'recorder-processor', {
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        processorOptions: { channelCount: 2 }
+      });
+      this.wavNode.port.onmessage = (event) => {
+        const { type, samples } = event.data;
+        if (type === 'samples') {
+          this.wavBlocks.push(samples);
+        } else if (type === 'flushed' && this.wavFlushed) {
+          this.wavFlushed();
+          this.wavFlushed = null;
+        }
+      };
+
+      // The worklet outputs silence; the connection keeps it processing
+      this.input.connect(this.wavNode);
+      this.wavNode.connect(this.audioContext.destination);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ MasterRecorder: WAV capture not supported:', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Wrap interleaved 16-bit PCM blocks in a WAV container
+ * @param {Array<Int16Array>} blocks Interleaved sample blocks
+ * @param {number} sampleRate Sample rate in Hz
+ * @param {number} channelCount Number of channels
+ * @returns {Blob} WAV blob
+ */
+function encodeWav(blocks, sampleRate, channelCount) {
+  const dataSize = blocks.reduce((size, block) => size + block.byteLength, 0);
+  const view = new DataView(new ArrayBuffer(44));
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * 2, true);
+  view.setUint16(32, channelCount * 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Blob parts are little-endian Int16 already, so no copy is needed
+  return new Blob([view, ...blocks], { type: 'audio/wav' });
+}
@@ -0,0 +1,33 @@
+/**
+ * Random - seedable random numbers for reproducible renders
+ */
+
+/**
+ * Create a seeded generator (mulberry32) with the same contract as Math.random
+ * @param {number|string} seed 32-bit integer seed, or any text (hashed)
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'string' ? hashSeed(seed) : seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn seed text into a 32-bit integer (FNV-1a); digit-only text keeps its value
+ * @param {string} text Seed text
+ * @returns {number} Integer seed
+ */
+export function hashSeed(text) {
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,122 @@
+/**
+ * SpatialHash - uniform grid for finding nearby points
+ *
+ * Points are bucketed into square cells as wide as the search radius, so
+ * every pair closer than the radius lies in the same or an adjacent cell.
+ * Cells are stored as a counting sort into flat typed arrays, which are
+ * reused between rebuilds to keep per-frame garbage at zero.
+ */
+
+// Column/row offsets of the right, lower-left, lower and lower-right cells
+const NEIGHBOR_OFFSETS = [1, 0, -1, 1, 0, 1, 1, 1];
+
+export class SpatialHash {
+  constructor() {
+    this.cellSize = 1;
+    this.columns = 0;
+    this.rows = 0;
+    this.cellStart = new Int32Array(1); // Offset of each cell in cellItems (+1 sentinel)
+    this.cellItems = new Int32Array(0); // Point indices grouped by cell
+    this.pointCells = new Int32Array(0); // Cell of each point
+  }
+
+  /**
+   * Re-bucket all points
+   * @param {Array<{x: number, y: number}>} points Points to index
+   * @param {number} width Area width
+   * @param {number} height Area height
+   * @param {number} cellSize Cell size, at least the largest search radius
+   */
+  rebuild(points, width, height, cellSize) {
+    const count = points.length;
+    this.cellSize = Math.max(1, cellSize);
+    this.columns = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+    const cellCount = this.columns * this.rows;
+    if (this.cellStart.length < cellCount + 1) this.cellStart = new Int32Array(cellCount + 1);
+    if (this.cellItems.length < count) {
+      this.cellItems = new Int32Array(count);
+      this.pointCells = new Int32Array(count);
+    }
+
+    const { cellStart, cellItems, pointCells } = this;
+    cellStart.fill(0, 0, cellCount + 1);
+
+    for (let i = 0; i < count; i++) {
+      // Points that overshoot an edge before bouncing count as the edge cell
+      const column = Math.min(this.columns - 1, Math.max(0, Math.floor(points[i].x / this.cellSize)));
+      const row = Math.min(this.rows - 1, Math.max(0, Math.floor(points[i].y / this.cellSize)));
+      const cell = row * this.columns + column;
+      pointCells[i] = cell;
+      cellStart[cell]++;
+    }
+
+    // Running totals give each cell's end; filling backwards walks them to its start
+    for (let cell = 1; cell < cellCount; cell++) {
+      cellStart[cell] += cellStart[cell - 1];
+    }
+    cellStart[cellCount] = count;
+    for (let i = count - 1; i >= 0; i--) {
+      cellItems[--cellStart[pointCells[i]]] = i;
+    }
+  }
+
+  /**
+   * Call back once for every pair of points closer than a radius
+   * @param {Array<{x: number, y: number}>} points Points passed to rebuild()
+   * @param {number} radius Search radius, at most the cell size
+   * @param {Function} callback Receives (i, j, distance) with i and j point indices
+   */
+  forEachPair(points, radius, callback) {
+    const { columns, rows, cellStart, cellItems } = this;
+    const radiusSquared = radius * radius;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const cell = row * columns + column;
+        const start = cellStart[cell];
+        const end = cellStart[cell + 1];
+
+        for (let a = start; a < end; a++) {
+          const i = cellItems[a];
+          const p = points[i];
+
+          // Later points in this cell, then the half of the neighbors not yet visited
+          for (let b = a + 1; b < end; b++) {
+            this.testPair(points, i, p, cellItems[b], radiusSquared, callback);
+          }
+          for (let n = 0; n < NEIGHBOR_OFFSETS.length; n += 2) {
+            const neighborColumn = column + NEIGHBOR_OFFSETS[n];
+            const neighborRow = row + NEIGHBOR_OFFSETS[n + 1];
+            if (neighborColumn < 0 || neighborColumn >= columns || neighborRow >= rows) continue;
+
+            const neighbor = neighborRow * columns + neighborColumn;
+            for (let b = cellStart[neighbor]; b < cellStart[neighbor + 1]; b++) {
+              this.testPair(points, i, p, cellItems[b], radiusSquared, callback);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Report a pair if it is within range
+   * @param {Array<{x: number, y: number}>} points Points
+   * @param {number} i First point index
+   * @param {Object} p First point
+   * @param {number} j Second point index
+   * @param {number} radiusSquared Squared search radius
+   * @param {Function} callback Pair callback
+   */
+  testPair(points, i, p, j, radiusSquared, callback) {
+    const q = points[j];
+    const dx = p.x - q.x;
+    const dy = p.y - q.y;
+    const distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared < radiusSquared) {
+      callback(i, j, Math.sqrt(distanceSquared));
+    }
+  }
+}
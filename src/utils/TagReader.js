@@ -0,0 +1,266 @@
+/**
+ * TagReader - client-side metadata for dropped audio files
+ *
+ * Reads ID3v2/ID3v1 tags (MP3, some WAV) and Vorbis comments (FLAC, OGG
+ * Vorbis, Opus). Only the start (and for ID3v1 the end) of the file is
+ * read, so large files are never loaded whole just for their title.
+ * Formats without a supported tag fall back to the file name.
+ */
+
+const HEAD_BYTES = 256 * 1024;
+const MAX_ID3_BYTES = 4 * 1024 * 1024;
+
+// ID3v2.2 uses three-letter frame IDs
+const ID3_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TLEN: 'length', TLE: 'length'
+};
+
+/**
+ * Read title/artist/album/duration from an audio file
+ * @param {File} file Audio file
+ * @returns {Promise<{title: string, artist: string|null, album: string|null, duration: number|null}>} Tags
+ */
+export async function readTags(file) {
+  const tags = { title: null, artist: null, album: null, duration: null };
+
+  try {
+    const head = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+    const magic = readAscii(head, 0, 4);
+
+    if (magic.startsWith('ID3')) {
+      Object.assign(tags, await readId3v2(file, head));
+    } else if (magic === 'fLaC') {
+      Object.assign(tags, readFlac(head));
+    } else if (magic === 'OggS') {
+      Object.assign(tags, readOgg(head));
+    }
+
+    if (!tags.title && file.size > 128) {
+      const tail = new Uint8Array(await file.slice(file.size - 128).arrayBuffer());
+      Object.assign(tags, readId3v1(tail, tags));
+    }
+  } catch (error) {
+    console.warn(`⚠️ TagReader: Could not read tags from ${file.name}:`, error);
+  }
+
+  return {
+    title: tags.title || file.name.replace(/\.[^.]+$/, ''),
+    artist: tags.artist,
+    album: tags.album,
+    duration: tags.duration
+  };
+}
+
+/**
+ * Parse an ID3v2.2/2.3/2.4 tag at the start of the file
+ * @param {File} file Audio file
+ * @param {Uint8Array} head First bytes of the file
+ * @returns {Promise<Object>} Parsed tags
+ */
+async function readId3v2(file, head) {
+  const version = head[3];
+  const flags = head[5];
+  const tagSize = readSyncsafe(head, 6);
+
+  // Tags with large embedded artwork exceed the head slice
+  let bytes = head;
+  if (tagSize + 10 > head.length) {
+    bytes = new Uint8Array(await file.slice(0, Math.min(tagSize + 10, MAX_ID3_BYTES)).arrayBuffer());
+  }
+  const end = Math.min(bytes.length, tagSize + 10);
+
+  let offset = 10;
+  if (flags & 0x40) {
+    // Extended header: v2.3 size excludes its own 4 bytes, v2.4 includes them
+    offset += version === 3 ? readUint32(bytes, offset) + 4 : readSyncsafe(bytes, offset);
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const tags = {};
+
+  while (offset + headerLength <= end) {
+    const id = readAscii(bytes, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let size;
+    if (version === 2) {
+      size = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+    } else if (version === 4) {
+      size = readSyncsafe(bytes, offset + 4);
+    } else {
+      size = readUint32(bytes, offset + 4);
+    }
+
+    const start = offset + headerLength;
+    const key = ID3_FRAMES[id];
+    if (key && start + size <= end) {
+      const value = decodeId3Text(bytes.subarray(start, start + size));
+      if (key === 'length') {
+        const milliseconds = parseInt(value, 10);
+        if (milliseconds > 0) tags.duration = milliseconds / 1000;
+      } else if (value) {
+        tags[key] = value;
+      }
+    }
+    offset = start + size;
+  }
+
+  return tags;
+}
+
+/**
+ * Decode an ID3 text frame body (encoding byte + text)
+ * @param {Uint8Array} data Frame body
+ * @returns {string} Text
+ */
+function decodeId3Text(data) {
+  const encodings = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'];
+  let encoding = encodings[data[0]] || 'iso-8859-1';
+  let body = data.subarray(1);
+  // Encoding 1 is UTF-16 with a byte order mark; FE FF means big-endian
+  if (data[0] === 1 && body.length >= 2) {
+    if (body[0] === 0xfe && body[1] === 0xff) {
+      encoding = 'utf-16be';
+      body = body.subarray(2);
+    } else if (body[0] === 0xff && body[1] === 0xfe) {
+      body = body.subarray(2);
+    }
+  }
+  const text = new TextDecoder(encoding).decode(body);
+  // Multiple values are null-separated; keep the first
+  return text.split('\0')[0].trim();
+}
+
+/**
+ * Parse an ID3v1 tag from the last 128 bytes
+ * @param {Uint8Array} tail Last 128 bytes of the file
+ * @param {Object} tags Tags found so far (kept when already set)
+ * @returns {Object} Parsed tags
+ */
+function readId3v1(tail, tags) {
+  if (readAscii(tail, 0, 3) !== 'TAG') return {};
+  const field = (start, length) => new TextDecoder('iso-8859-1')
+    .decode(tail.subarray(start, start + length))
+    .split('\0')[0]
+    .trim() || null;
+
+  return {
+    title: field(3, 30),
+    artist: tags.artist || field(33, 30),
+    album: tags.album || field(63, 30)
+  };
+}
+
+/**
+ * Parse FLAC metadata blocks: STREAMINFO for duration, VORBIS_COMMENT for tags
+ * @param {Uint8Array} head First bytes of the file
+ * @returns {Object} Parsed tags
+ */
+function readFlac(head) {
+  const tags = {};
+  let offset = 4;
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= head.length) {
+    isLast = Boolean(head[offset] & 0x80);
+    const type = head[offset] & 0x7f;
+    const length = (head[offset + 1] << 16) | (head[offset + 2] << 8) | head[offset + 3];
+    const start = offset + 4;
+
+    if (type === 0 && start + 18 <= head.length) {
+      const sampleRate = (head[start + 10] << 12) | (head[start + 11] << 4) | (head[start + 12] >> 4);
+      const totalSamples = (head[start + 13] & 0x0f) * 2 ** 32 + readUint32(head, start + 14);
+      if (sampleRate > 0 && totalSamples > 0) {
+        tags.duration = totalSamples / sampleRate;
+      }
+    } else if (type === 4) {
+      Object.assign(tags, readVorbisComments(head, start));
+    }
+    offset = start + length;
+  }
+
+  return tags;
+}
+
+/**
+ * Find the comment header of an Ogg Vorbis or Opus stream
+ * @param {Uint8Array} head First bytes of the file
+ * @returns {Object} Parsed tags
+ */
+function readOgg(head) {
+  for (const marker of ['\x03vorbis', 'OpusTags']) {
+    const index = indexOfAscii(head, marker);
+    if (index !== -1) {
+      return readVorbisComments(head, index + marker.length);
+    }
+  }
+  return {};
+}
+
+/**
+ * Parse a Vorbis comment block (little-endian lengths, KEY=value entries)
+ * @param {Uint8Array} bytes Buffer containing the block
+ * @param {number} offset Start of the vendor length field
+ * @returns {Object} Parsed tags
+ */
+function readVorbisComments(bytes, offset) {
+  const tags = {};
+  const decoder = new TextDecoder('utf-8');
+  const readLength = position => (bytes[position] | (bytes[position + 1] << 8) |
+    (bytes[position + 2] << 16) | (bytes[position + 3] << 24)) >>> 0;
+
+  if (offset + 8 > bytes.length) return tags;
+  offset += 4 + readLength(offset); // Vendor string
+  const count = readLength(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readLength(offset);
+    offset += 4;
+    if (offset + length > bytes.length) break;
+
+    const entry = decoder.decode(bytes.subarray(offset, offset + length));
+    offset += length;
+
+    const separator = entry.indexOf('=');
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1).trim();
+    if (key === 'TITLE' && !tags.title) tags.title = value;
+    if (key === 'ARTIST' && !tags.artist) tags.artist = value;
+    if (key === 'ALBUM' && !tags.album) tags.album = value;
+  }
+
+  return tags;
+}
+
+function readAscii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint32(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readSyncsafe(bytes, offset) {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function indexOfAscii(bytes, text) {
+  const first = text.charCodeAt(0);
+  for (let i = 0; i <= bytes.length - text.length; i++) {
+    if (bytes[i] !== first) continue;
+    let match = true;
+    for (let j = 1; j < text.length; j++) {
+      if (bytes[i + j] !== text.charCodeAt(j)) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i;
+  }
+  return -1;
+}
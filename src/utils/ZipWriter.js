@@ -0,0 +1,116 @@
+/**
+ * ZipWriter - minimal uncompressed ZIP archive builder
+ *
+ * Entries are stored, not deflated: the files bundled here (PNG frames)
+ * are compressed already, so storing them costs nothing in size. There is
+ * no ZIP64 support: archives stay under 4 GB and 65,535 entries.
+ */
+
+const CRC_TABLE = createCrcTable();
+// Limits of the 16- and 32-bit count and offset fields
+const MAX_ENTRIES = 0xffff;
+const MAX_BYTES = 0xffffffff;
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this.directorySize = 0;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name Path inside the archive
+   * @param {Uint8Array} data File contents
+   * @throws {Error} When the archive would pass 65,535 entries or 4 GB
+   */
+  addFile(name, data) {
+    const nameBytes = new TextEncoder().encode(name);
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error('ZIP archives hold at most 65,535 files');
+    }
+    // Offsets past 4 GB would wrap silently and corrupt the archive
+    const size = this.offset + 30 + nameBytes.length + data.length
+      + this.directorySize + 46 + nameBytes.length + 22;
+    if (size > MAX_BYTES) {
+      throw new Error('ZIP archives are limited to 4 GB');
+    }
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header
+    header.setUint16(4, 20, true); // Version needed
+    header.setUint16(8, 0, true); // Stored
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+
+    this.parts.push(header, nameBytes, data);
+    this.entries.push({ nameBytes, crc, size: data.length, offset: this.offset });
+    this.offset += 30 + nameBytes.length + data.length;
+    this.directorySize += 46 + nameBytes.length;
+  }
+
+  /**
+   * Archive size so far, without the central directory
+   * @returns {number} Bytes
+   */
+  getSize() {
+    return this.offset;
+  }
+
+  /**
+   * Write the central directory and return the archive
+   * @returns {Blob} ZIP file
+   */
+  finish() {
+    const directoryStart = this.offset;
+    let directorySize = 0;
+
+    this.entries.forEach(entry => {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true); // Central directory header
+      record.setUint16(4, 20, true); // Version made by
+      record.setUint16(6, 20, true); // Version needed
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.offset, true);
+      this.parts.push(record, entry.nameBytes);
+      directorySize += 46 + entry.nameBytes.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, directoryStart, true);
+    this.parts.push(end);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+}
+
+function createCrcTable() {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+}
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}